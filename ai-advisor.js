@@ -1,28 +1,129 @@
 const { OpenAI } = require("openai");
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+const SYSTEM_PROMPT = "You are a senior software engineer helping debug JavaScript automation scripts. Respond with practical code suggestions only.";
+// Supports structured output (json_schema), which aiExtract relies on; gpt-3.5-turbo does not
+const DEFAULT_OPENAI_MODEL = "gpt-4o-mini";
+
+// The model rejected the json_schema response format (older OpenAI models, many local servers)
+function isResponseFormatUnsupported(error) {
+  return error && error.status === 400 && /response_format|json_schema/i.test(error.message || "");
+}
+
+/**
+ * Build an advisor for one backend:
+ *  - "openai": the OpenAI API (OPENAI_API_KEY).
+ *  - "local": any OpenAI-compatible server at `baseURL` (e.g. Ollama, llama.cpp), for offline use.
+ *  - "mock": no network; a canned answer built from the prompt (or `respond(prompt)`), for tests.
+ * @param {object} [options]
+ * @param {string} [options.backend] - Default: AI_BACKEND or "openai".
+ * @param {string} [options.model] - Default: AI_MODEL or "gpt-4o-mini".
+ * @param {string} [options.baseURL] - Default: AI_BASE_URL (local backend).
+ * @param {string} [options.apiKey] - Default: OPENAI_API_KEY (or AI_API_KEY for the local backend).
+ * @param {function(string, object): string|Promise<string>} [options.respond] - Mock backend: reply text for a prompt.
+ * @returns {{ backend: string, model: string, configured: boolean, complete: function(string, object=): Promise<object> }}
+ *   complete(prompt, { system, jsonSchema: { name, schema }, temperature }) resolves to { text, model, usage };
+ *   with `jsonSchema` the reply is requested as structured output matching the schema, or in JSON mode with
+ *   the schema in the system prompt when the model does not support structured output.
+ */
+function createAdvisor(options = {}) {
+  const backend = options.backend || process.env.AI_BACKEND || "openai";
+  const model = options.model || process.env.AI_MODEL || (backend === "mock" ? "mock" : DEFAULT_OPENAI_MODEL);
+
+  if (backend === "mock") {
+    return {
+      backend,
+      model,
+      configured: true,
+      async complete(prompt, completionOptions = {}) {
+        const firstLine = prompt.split("\n").map(line => line.trim()).find(Boolean) || "";
+        return {
+          text: options.respond ? await options.respond(prompt, completionOptions) : `Mock suggestion for: ${firstLine.slice(0, 200)}`,
+          model,
+          usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+        };
+      },
+    };
+  }
+
+  if (backend !== "openai" && backend !== "local") {
+    throw new Error(`Unknown AI backend: ${backend}. Expected openai, local or mock.`);
+  }
+
+  const baseURL = backend === "local" ? options.baseURL || process.env.AI_BASE_URL : undefined;
+  const apiKey = options.apiKey || (backend === "local" ? process.env.AI_API_KEY || "local" : process.env.OPENAI_API_KEY);
+  let client = null; // Created on first use: the OpenAI constructor throws without a key
+  let structuredOutput = true; // Until the model turns json_schema down once
+
+  return {
+    backend,
+    model,
+    configured: backend === "local" ? Boolean(baseURL) : Boolean(apiKey),
+    async complete(prompt, { system = SYSTEM_PROMPT, jsonSchema, temperature } = {}) {
+      if (!client) client = new OpenAI({ apiKey, baseURL });
+      const request = (systemContent, responseFormat) => client.chat.completions.create({
+        model,
+        messages: [
+          { role: "system", content: systemContent },
+          { role: "user", content: prompt },
+        ],
+        ...(responseFormat ? { response_format: responseFormat } : {}),
+        ...(temperature !== undefined ? { temperature } : {}),
+      });
+
+      let res = null;
+      if (!jsonSchema) {
+        res = await request(system);
+      } else if (structuredOutput) {
+        try {
+          // Not strict: strict mode rejects common schema features; callers validate the reply themselves
+          res = await request(system, { type: "json_schema", json_schema: { name: jsonSchema.name, schema: jsonSchema.schema, strict: false } });
+        } catch (error) {
+          if (!isResponseFormatUnsupported(error)) throw error;
+          console.warn(`⚠️ ${model} does not support structured output; using JSON mode instead.`);
+          structuredOutput = false;
+        }
+      }
+      if (!res) {
+        res = await request(`${system}\n\nReply with only a JSON object matching this JSON schema:\n${JSON.stringify(jsonSchema.schema)}`, { type: "json_object" });
+      }
+
+      return {
+        text: res.choices[0].message.content,
+        model: res.model || model,
+        usage: res.usage || null,
+      };
+    },
+  };
+}
+
+let defaultAdvisor = null;
+
+/**
+ * The advisor configured through the environment (AI_BACKEND, AI_MODEL, AI_BASE_URL).
+ */
+function getAdvisor() {
+  if (!defaultAdvisor) defaultAdvisor = createAdvisor();
+  return defaultAdvisor;
+}
+
+/**
+ * Swap the advisor used by getFixSuggestion and the worker's failure diagnosis (e.g. a mock in tests).
+ */
+function setAdvisor(advisor) {
+  defaultAdvisor = advisor;
+}
 
 /**
  * Generates a GPT-based suggestion for an error.
  * @param {string} prompt
  * @returns {Promise<string>}
  */
-module.exports = async function getFixSuggestion(prompt) {
-  const res = await openai.chat.completions.create({
-    model: "gpt-3.5-turbo", // change to gpt-3.5-turbo if needed
-    messages: [
-      {
-        role: "system",
-        content: "You are a senior software engineer helping debug JavaScript automation scripts. Respond with practical code suggestions only.",
-      },
-      {
-        role: "user",
-        content: prompt,
-      },
-    ],
-  });
+async function getFixSuggestion(prompt) {
+  const { text } = await getAdvisor().complete(prompt);
+  return text;
+}
 
-  return res.choices[0].message.content;
-};
+module.exports = getFixSuggestion;
+module.exports.createAdvisor = createAdvisor;
+module.exports.getAdvisor = getAdvisor;
+module.exports.setAdvisor = setAdvisor;
@@ -0,0 +1,40 @@
+// api/middleware/auth.js
+const { prisma } = require('../../lib/prisma');
+const { hashToken } = require('../../lib/auth');
+
+function readToken(req) {
+  const header = req.get('authorization');
+  if (header && header.startsWith('Bearer ')) return header.slice('Bearer '.length).trim();
+  return req.get('x-api-key') || null;
+}
+
+/**
+ * Require a valid session token or API key (`Authorization: Bearer <token>` or `X-API-Key`).
+ * Sets `req.user` ({ user_id, email }) and `req.apiToken` for the route handlers.
+ */
+async function requireAuth(req, res, next) {
+  const token = readToken(req);
+  if (!token) return res.status(401).json({ error: 'Authentication required.' });
+
+  const apiToken = await prisma.apiToken.findUnique({
+    where: { token_hash: hashToken(token) },
+    include: { user: { select: { user_id: true, email: true } } },
+  });
+
+  if (!apiToken || (apiToken.expires_at && apiToken.expires_at < new Date())) {
+    return res.status(401).json({ error: 'Invalid or expired token.' });
+  }
+
+  req.user = apiToken.user;
+  req.apiToken = apiToken;
+
+  // Usage tracking is best-effort and must not slow down or fail the request
+  prisma.apiToken.update({
+    where: { token_id: apiToken.token_id },
+    data: { last_used_at: new Date() },
+  }).catch(err => console.error('Failed to update token usage:', err.message));
+
+  next();
+}
+
+module.exports = { requireAuth };
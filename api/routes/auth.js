@@ -0,0 +1,120 @@
+// api/routes/auth.js
+const express = require('express');
+const { prisma } = require('../../lib/prisma');
+const { hashPassword, verifyPassword, generateToken, hashToken } = require('../../lib/auth');
+const { requireAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+const SESSION_TTL_HOURS = Number(process.env.AUTH_SESSION_TTL_HOURS) || 24;
+const MIN_PASSWORD_LENGTH = 8;
+
+const publicUserFields = {
+  user_id: true,
+  email: true,
+  full_name: true,
+  company_name: true,
+  created_at: true,
+};
+
+async function issueToken(userId, { tokenType, name, expiresAt }) {
+  const token = generateToken();
+  const apiToken = await prisma.apiToken.create({
+    data: {
+      user_id: userId,
+      token_hash: hashToken(token),
+      token_type: tokenType,
+      name: name || null,
+      expires_at: expiresAt || null,
+    },
+  });
+  return { token, token_id: apiToken.token_id, token_type: tokenType, expires_at: apiToken.expires_at };
+}
+
+// POST /auth/register
+router.post('/register', async (req, res) => {
+  const { email, password, full_name: fullName, company_name: companyName } = req.body || {};
+
+  if (typeof email !== 'string' || !/^[^@\s]+@[^@\s]+$/.test(email)) {
+    return res.status(400).json({ error: 'A valid "email" is required.' });
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ error: `"password" must be at least ${MIN_PASSWORD_LENGTH} characters.` });
+  }
+
+  const normalizedEmail = email.trim().toLowerCase();
+  const existing = await prisma.user.findUnique({ where: { email: normalizedEmail } });
+  if (existing) return res.status(409).json({ error: 'An account with this email already exists.' });
+
+  const user = await prisma.user.create({
+    data: {
+      email: normalizedEmail,
+      password_hash: await hashPassword(password),
+      full_name: fullName || null,
+      company_name: companyName || null,
+    },
+    select: publicUserFields,
+  });
+
+  res.status(201).json(user);
+});
+
+// POST /auth/login - exchange email/password for a session token
+router.post('/login', async (req, res) => {
+  const { email, password } = req.body || {};
+  if (typeof email !== 'string' || typeof password !== 'string') {
+    return res.status(400).json({ error: '"email" and "password" are required.' });
+  }
+
+  const user = await prisma.user.findUnique({ where: { email: email.trim().toLowerCase() } });
+  if (!user || !(await verifyPassword(password, user.password_hash))) {
+    return res.status(401).json({ error: 'Invalid email or password.' });
+  }
+
+  const expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000);
+  res.json(await issueToken(user.user_id, { tokenType: 'session', expiresAt }));
+});
+
+// POST /auth/logout - revoke the token used for this request
+router.post('/logout', requireAuth, async (req, res) => {
+  await prisma.apiToken.delete({ where: { token_id: req.apiToken.token_id } });
+  res.status(204).end();
+});
+
+// GET /auth/me
+router.get('/me', requireAuth, async (req, res) => {
+  const user = await prisma.user.findUnique({ where: { user_id: req.user.user_id }, select: publicUserFields });
+  res.json(user);
+});
+
+// POST /auth/api-keys - create a long-lived key for programmatic access
+router.post('/api-keys', requireAuth, async (req, res) => {
+  const { name, expires_in_days: expiresInDays } = req.body || {};
+  if (expiresInDays !== undefined && !(Number(expiresInDays) > 0)) {
+    return res.status(400).json({ error: '"expires_in_days" must be a positive number.' });
+  }
+
+  const expiresAt = expiresInDays ? new Date(Date.now() + Number(expiresInDays) * 24 * 60 * 60 * 1000) : null;
+  res.status(201).json(await issueToken(req.user.user_id, { tokenType: 'api_key', name, expiresAt }));
+});
+
+// GET /auth/api-keys
+router.get('/api-keys', requireAuth, async (req, res) => {
+  const keys = await prisma.apiToken.findMany({
+    where: { user_id: req.user.user_id, token_type: 'api_key' },
+    select: { token_id: true, name: true, expires_at: true, last_used_at: true, created_at: true },
+    orderBy: { created_at: 'desc' },
+  });
+  res.json({ api_keys: keys });
+});
+
+// DELETE /auth/api-keys/:id
+router.delete('/api-keys/:id', requireAuth, async (req, res) => {
+  const { count } = await prisma.apiToken.deleteMany({
+    where: { token_id: req.params.id, user_id: req.user.user_id, token_type: 'api_key' },
+  });
+  if (count === 0) return res.status(404).json({ error: `API key ${req.params.id} not found.` });
+  res.status(204).end();
+});
+
+module.exports = router;
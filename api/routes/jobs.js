@@ -0,0 +1,187 @@
+// api/routes/jobs.js
+const path = require('path');
+const express = require('express');
+const { prisma } = require('../../lib/prisma');
+const { EXPORT_FORMATS, getExportDir, createExportWriter, exportProcessorResult } = require('../../lib/exporter');
+const { getProcessor } = require('../../jobs/registry');
+const { createJob, cancelJob, retryJob } = require('../../jobs/service');
+const { readRecordBatches } = require('../../jobs/recordSink');
+const { requireAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+const MAX_PAGE_SIZE = 100;
+
+// Every lookup is scoped to the authenticated user; other users' jobs are reported as not found
+function findOwnJob(req, include) {
+  return prisma.dataProcessingJob.findFirst({
+    where: { job_id: req.params.id, user_id: req.user.user_id },
+    include,
+  });
+}
+
+// POST /jobs - create a DataProcessingJob and enqueue it
+router.post('/', async (req, res) => {
+  const { type, job_name: jobName, input_file_id: inputFileId, data = {} } = req.body || {};
+  const userId = req.user.user_id;
+
+  if (!type) return res.status(400).json({ error: '"type" is required (processor name or job_type).' });
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    return res.status(400).json({ error: '"data" must be an object.' });
+  }
+
+  const dbJob = await createJob({ userId, type, data, jobName, inputFileId });
+  res.status(201).json(dbJob);
+});
+
+// POST /jobs/generate - { url, goal, previous?, feedback?, dry_run?, preview_pages? } queue a
+// generateActions job that proposes a scrapeWebPage config for a plain-English goal, with a
+// dry-run preview; poll GET /jobs/:id for its result. To accept the proposal, POST its config
+// to /jobs as { type: 'scrapeWebPage', data: config }; to refine it, send it back as `previous`
+// with `feedback`.
+router.post('/generate', async (req, res) => {
+  const { url, goal, previous, feedback, dry_run: dryRun, preview_pages: previewPages } = req.body || {};
+  const userId = req.user.user_id;
+
+  const data = { url, goal, previous, feedback, dryRun: dryRun !== false, previewPages };
+  Object.keys(data).forEach(key => data[key] === undefined && delete data[key]);
+  const dbJob = await createJob({ userId, type: 'generateActions', data });
+  res.status(202).json(dbJob);
+});
+
+// GET /jobs?status=&type=&limit=&offset=
+router.get('/', async (req, res) => {
+  const { status, type } = req.query;
+  const limit = Math.min(Number(req.query.limit) || 20, MAX_PAGE_SIZE);
+  const offset = Number(req.query.offset) || 0;
+
+  const where = { user_id: req.user.user_id };
+  if (status) where.status = status;
+  if (type) where.job_type = getProcessor(type)?.jobType || type;
+
+  const [jobs, total] = await Promise.all([
+    prisma.dataProcessingJob.findMany({
+      where,
+      orderBy: { created_at: 'desc' },
+      take: limit,
+      skip: offset,
+    }),
+    prisma.dataProcessingJob.count({ where }),
+  ]);
+
+  res.json({ jobs, total, limit, offset });
+});
+
+// GET /jobs/:id - job with its results and error logs (with their AI diagnoses); the record
+// batches of streamed results are left out, POST /jobs/:id/export writes them to a file
+router.get('/:id', async (req, res) => {
+  const dbJob = await findOwnJob(req, {
+    results: { where: { user_id: req.user.user_id, NOT: { result_type: { endsWith: '_records' } } }, orderBy: { created_at: 'asc' } },
+    error_logs: { where: { user_id: req.user.user_id }, orderBy: { timestamp: 'asc' }, include: { diagnosis: true } },
+  });
+
+  if (!dbJob) return res.status(404).json({ error: `Job ${req.params.id} not found.` });
+  res.json(dbJob);
+});
+
+// GET /jobs/:id/diagnosis - the AI diagnosis of the job's last diagnosed failure
+router.get('/:id/diagnosis', async (req, res) => {
+  const dbJob = await findOwnJob(req);
+  if (!dbJob) return res.status(404).json({ error: `Job ${req.params.id} not found.` });
+
+  const errorLog = await prisma.errorLog.findFirst({
+    where: { job_id: dbJob.job_id, user_id: req.user.user_id, diagnosis_id: { not: null } },
+    orderBy: { timestamp: 'desc' },
+    include: { diagnosis: true },
+  });
+  if (!errorLog) return res.status(404).json({ error: `Job ${req.params.id} has no diagnosis.` });
+
+  const { diagnosis, ...log } = errorLog;
+  res.json({ error_log: log, diagnosis });
+});
+
+// POST /jobs/:id/cancel
+router.post('/:id/cancel', async (req, res) => {
+  const dbJob = await findOwnJob(req);
+  if (!dbJob) return res.status(404).json({ error: `Job ${req.params.id} not found.` });
+
+  res.json(await cancelJob(dbJob));
+});
+
+// POST /jobs/:id/retry
+router.post('/:id/retry', async (req, res) => {
+  const dbJob = await findOwnJob(req);
+  if (!dbJob) return res.status(404).json({ error: `Job ${req.params.id} not found.` });
+
+  res.json(await retryJob(dbJob));
+});
+
+// POST /jobs/:id/export - { format, fields?, columns? } export the job's stored result to a file
+router.post('/:id/export', async (req, res) => {
+  const { format, fields, columns } = req.body || {};
+  if (!EXPORT_FORMATS[String(format).toLowerCase()]) {
+    return res.status(400).json({ error: `"format" must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}.` });
+  }
+
+  const dbJob = await findOwnJob(req);
+  if (!dbJob) return res.status(404).json({ error: `Job ${req.params.id} not found.` });
+
+  const latestResult = await prisma.processingResult.findFirst({
+    where: {
+      job_id: dbJob.job_id,
+      user_id: req.user.user_id,
+      AND: [{ result_type: { not: 'transformed_data_link' } }, { NOT: { result_type: { endsWith: '_records' } } }],
+    },
+    orderBy: { created_at: 'desc' },
+  });
+  if (!latestResult) return res.status(409).json({ error: `Job ${dbJob.job_id} has no results to export yet.` });
+
+  let exportInfo;
+  if (latestResult.data.record_batches) {
+    // Streamed results (csvImport) keep their records in batches next to the summary
+    const writer = createExportWriter({ format, columns, userId: req.user.user_id, fileName: `${dbJob.job_id}-${Date.now()}` });
+    const jobName = getProcessor(dbJob.job_type)?.name || dbJob.job_type;
+    for await (const records of readRecordBatches(dbJob.job_id, jobName)) await writer.write(records);
+    exportInfo = await writer.close();
+  } else {
+    exportInfo = await exportProcessorResult(latestResult.data, { format, fields, columns }, {
+      userId: req.user.user_id,
+      jobId: dbJob.job_id,
+    });
+  }
+
+  const linkResult = await prisma.processingResult.create({
+    data: {
+      job_id: dbJob.job_id,
+      user_id: req.user.user_id,
+      result_type: 'transformed_data_link',
+      data: exportInfo,
+      status: 'success',
+    },
+  });
+  res.status(201).json(linkResult);
+});
+
+// GET /jobs/:id/results/:resultId/download - download an exported file
+router.get('/:id/results/:resultId/download', async (req, res) => {
+  const linkResult = await prisma.processingResult.findFirst({
+    where: {
+      result_id: req.params.resultId,
+      job_id: req.params.id,
+      user_id: req.user.user_id,
+      result_type: 'transformed_data_link',
+    },
+  });
+  if (!linkResult) return res.status(404).json({ error: `Export ${req.params.resultId} not found.` });
+
+  // Only serve files from the user's own export directory
+  const filePath = path.resolve(linkResult.data.output_file_path);
+  const userDir = path.join(getExportDir(), req.user.user_id) + path.sep;
+  if (!filePath.startsWith(userDir)) return res.status(404).json({ error: `Export ${req.params.resultId} not found.` });
+
+  res.download(filePath);
+});
+
+module.exports = router;
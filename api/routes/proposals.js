@@ -0,0 +1,55 @@
+// api/routes/proposals.js
+const express = require('express');
+const { prisma } = require('../../lib/prisma');
+const { approveProposal, rejectProposal } = require('../../jobs/proposals');
+const { requireAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+function findOwnProposal(req) {
+  return prisma.configChangeProposal.findFirst({
+    where: { proposal_id: req.params.id, user_id: req.user.user_id },
+  });
+}
+
+// GET /proposals?status=&job_id= - config changes waiting for review (or decided ones)
+router.get('/', async (req, res) => {
+  const { status, job_id: jobId } = req.query;
+  const proposals = await prisma.configChangeProposal.findMany({
+    where: {
+      user_id: req.user.user_id,
+      ...(status ? { status } : {}),
+      ...(jobId ? { job_id: jobId } : {}),
+    },
+    orderBy: { created_at: 'desc' },
+  });
+  res.json({ proposals });
+});
+
+// GET /proposals/:id - the proposal with the job config it would change
+router.get('/:id', async (req, res) => {
+  const proposal = await prisma.configChangeProposal.findFirst({
+    where: { proposal_id: req.params.id, user_id: req.user.user_id },
+    include: { job: { select: { job_id: true, job_name: true, job_type: true, config: true } } },
+  });
+  if (!proposal) return res.status(404).json({ error: `Proposal ${req.params.id} not found.` });
+  res.json(proposal);
+});
+
+// POST /proposals/:id/approve - apply the changes to the saved job config
+router.post('/:id/approve', async (req, res) => {
+  const proposal = await findOwnProposal(req);
+  if (!proposal) return res.status(404).json({ error: `Proposal ${req.params.id} not found.` });
+  res.json(await approveProposal(proposal));
+});
+
+// POST /proposals/:id/reject
+router.post('/:id/reject', async (req, res) => {
+  const proposal = await findOwnProposal(req);
+  if (!proposal) return res.status(404).json({ error: `Proposal ${req.params.id} not found.` });
+  res.json(await rejectProposal(proposal));
+});
+
+module.exports = router;
@@ -0,0 +1,74 @@
+// api/routes/schedules.js
+const express = require('express');
+const { prisma } = require('../../lib/prisma');
+const { SCHEDULE_FILTER, scheduleJob, pauseSchedule, resumeSchedule, deleteSchedule } = require('../../jobs/scheduler');
+const { requireAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+const RECENT_RUNS = 20;
+
+router.use(requireAuth);
+
+function findOwnSchedule(req, include) {
+  return prisma.dataProcessingJob.findFirst({
+    where: { job_id: req.params.id, user_id: req.user.user_id, ...SCHEDULE_FILTER },
+    include,
+  });
+}
+
+// POST /schedules - { type, data, job_name, run_at } for a one-off run or { ..., cron, timezone } for a recurring one
+router.post('/', async (req, res) => {
+  const { type, job_name: jobName, data = {}, run_at: runAt, cron, timezone } = req.body || {};
+
+  if (!type) return res.status(400).json({ error: '"type" is required (processor name or job_type).' });
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    return res.status(400).json({ error: '"data" must be an object.' });
+  }
+
+  const scheduled = await scheduleJob({ userId: req.user.user_id, type, data, jobName, runAt, cron, timezone });
+  res.status(201).json(scheduled);
+});
+
+// GET /schedules - recurring schedules plus one-off jobs that have not run yet
+router.get('/', async (req, res) => {
+  const schedules = await prisma.dataProcessingJob.findMany({
+    where: { user_id: req.user.user_id, ...SCHEDULE_FILTER },
+    include: { _count: { select: { runs: true } } },
+    orderBy: { scheduled_at: 'asc' },
+  });
+  res.json({ schedules });
+});
+
+// GET /schedules/:id - schedule with its most recent runs
+router.get('/:id', async (req, res) => {
+  const schedule = await findOwnSchedule(req, {
+    runs: { orderBy: { created_at: 'desc' }, take: RECENT_RUNS },
+  });
+  if (!schedule) return res.status(404).json({ error: `Schedule ${req.params.id} not found.` });
+  res.json(schedule);
+});
+
+// POST /schedules/:id/pause
+router.post('/:id/pause', async (req, res) => {
+  const schedule = await findOwnSchedule(req);
+  if (!schedule) return res.status(404).json({ error: `Schedule ${req.params.id} not found.` });
+  res.json(await pauseSchedule(schedule));
+});
+
+// POST /schedules/:id/resume
+router.post('/:id/resume', async (req, res) => {
+  const schedule = await findOwnSchedule(req);
+  if (!schedule) return res.status(404).json({ error: `Schedule ${req.params.id} not found.` });
+  res.json(await resumeSchedule(schedule));
+});
+
+// DELETE /schedules/:id
+router.delete('/:id', async (req, res) => {
+  const schedule = await findOwnSchedule(req);
+  if (!schedule) return res.status(404).json({ error: `Schedule ${req.params.id} not found.` });
+  await deleteSchedule(schedule);
+  res.status(204).end();
+});
+
+module.exports = router;
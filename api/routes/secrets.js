@@ -0,0 +1,38 @@
+// api/routes/secrets.js
+const express = require('express');
+const { setSecret, listSecrets, deleteSecret } = require('../../lib/secrets');
+const { requireAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+const NAME_PATTERN = /^[A-Za-z0-9_.-]{1,100}$/;
+
+router.use(requireAuth);
+
+// PUT /secrets/:name - { value }; creates or replaces the secret. Values are write-only.
+router.put('/:name', async (req, res) => {
+  const { value } = req.body || {};
+  if (!NAME_PATTERN.test(req.params.name)) {
+    return res.status(400).json({ error: 'Secret names may only contain letters, digits, "_", "-" and ".".' });
+  }
+  if (typeof value !== 'string' || value.length === 0) {
+    return res.status(400).json({ error: '"value" must be a non-empty string.' });
+  }
+
+  const secret = await setSecret(req.user.user_id, req.params.name, value);
+  res.json({ ...secret, reference: `{{secret:${secret.name}}}` });
+});
+
+// GET /secrets - names and timestamps only
+router.get('/', async (req, res) => {
+  res.json({ secrets: await listSecrets(req.user.user_id) });
+});
+
+// DELETE /secrets/:name
+router.delete('/:name', async (req, res) => {
+  const deleted = await deleteSecret(req.user.user_id, req.params.name);
+  if (!deleted) return res.status(404).json({ error: `Secret "${req.params.name}" not found.` });
+  res.status(204).end();
+});
+
+module.exports = router;
@@ -0,0 +1,118 @@
+// api/routes/sessions.js
+const express = require('express');
+const { prisma } = require('../../lib/prisma');
+const { validateLoginActions, resetSiteSession } = require('../../lib/siteSessions');
+const { requireAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+const NAME_PATTERN = /^[A-Za-z0-9_.-]{1,100}$/;
+
+router.use(requireAuth);
+
+// Saved cookies and localStorage are credentials in their own right, so they never leave the server
+function serializeSession(session) {
+  const { saved_state: savedState, ...rest } = session;
+  return { ...rest, has_saved_state: Boolean(savedState) };
+}
+
+function findOwnSession(req) {
+  return prisma.siteSession.findUnique({
+    where: { user_id_name: { user_id: req.user.user_id, name: req.params.name } },
+  });
+}
+
+// Shared checks for create/update; returns the Prisma data or a list of problems
+function parseSessionBody(body, { partial = false } = {}) {
+  const { login_url: loginUrl, login_actions: loginActions, success_selector: successSelector, ttl_minutes: ttlMinutes } = body;
+  const problems = [];
+  const data = {};
+
+  if (loginUrl !== undefined || !partial) {
+    if (typeof loginUrl !== 'string' || !/^https?:\/\//.test(loginUrl)) problems.push('"login_url" must be an http(s) URL.');
+    data.login_url = loginUrl;
+  }
+  if (loginActions !== undefined || !partial) {
+    problems.push(...validateLoginActions(loginActions));
+    data.login_actions = loginActions;
+  }
+  if (successSelector !== undefined) {
+    if (successSelector !== null && typeof successSelector !== 'string') problems.push('"success_selector" must be a string.');
+    data.success_selector = successSelector;
+  }
+  if (ttlMinutes !== undefined) {
+    if (!Number.isInteger(ttlMinutes) || ttlMinutes < 1) problems.push('"ttl_minutes" must be a positive integer.');
+    data.ttl_minutes = ttlMinutes;
+  }
+
+  return { data, problems };
+}
+
+// POST /sessions - { name, login_url, login_actions, success_selector?, ttl_minutes? }
+router.post('/', async (req, res) => {
+  const body = req.body || {};
+  if (typeof body.name !== 'string' || !NAME_PATTERN.test(body.name)) {
+    return res.status(400).json({ error: '"name" is required (letters, digits, "_", "-", "." only).' });
+  }
+
+  const { data, problems } = parseSessionBody(body);
+  if (problems.length > 0) return res.status(400).json({ error: 'Invalid site session.', details: problems });
+
+  const existing = await prisma.siteSession.findUnique({
+    where: { user_id_name: { user_id: req.user.user_id, name: body.name } },
+  });
+  if (existing) return res.status(409).json({ error: `A site session named "${body.name}" already exists.` });
+
+  const session = await prisma.siteSession.create({
+    data: { ...data, user_id: req.user.user_id, name: body.name },
+  });
+  res.status(201).json(serializeSession(session));
+});
+
+// GET /sessions
+router.get('/', async (req, res) => {
+  const sessions = await prisma.siteSession.findMany({
+    where: { user_id: req.user.user_id },
+    orderBy: { name: 'asc' },
+  });
+  res.json({ sessions: sessions.map(serializeSession) });
+});
+
+// GET /sessions/:name
+router.get('/:name', async (req, res) => {
+  const session = await findOwnSession(req);
+  if (!session) return res.status(404).json({ error: `Site session "${req.params.name}" not found.` });
+  res.json(serializeSession(session));
+});
+
+// PATCH /sessions/:name - change the login config; saved state is dropped so the next job logs in again
+router.patch('/:name', async (req, res) => {
+  const session = await findOwnSession(req);
+  if (!session) return res.status(404).json({ error: `Site session "${req.params.name}" not found.` });
+
+  const { data, problems } = parseSessionBody(req.body || {}, { partial: true });
+  if (problems.length > 0) return res.status(400).json({ error: 'Invalid site session.', details: problems });
+
+  const updated = await prisma.siteSession.update({
+    where: { session_id: session.session_id },
+    data: { ...data, saved_state: null, expires_at: null },
+  });
+  res.json(serializeSession(updated));
+});
+
+// POST /sessions/:name/reset - forget saved cookies/localStorage
+router.post('/:name/reset', async (req, res) => {
+  const session = await findOwnSession(req);
+  if (!session) return res.status(404).json({ error: `Site session "${req.params.name}" not found.` });
+  res.json(serializeSession(await resetSiteSession(session)));
+});
+
+// DELETE /sessions/:name
+router.delete('/:name', async (req, res) => {
+  const session = await findOwnSession(req);
+  if (!session) return res.status(404).json({ error: `Site session "${req.params.name}" not found.` });
+  await prisma.siteSession.delete({ where: { session_id: session.session_id } });
+  res.status(204).end();
+});
+
+module.exports = router;
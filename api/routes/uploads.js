@@ -0,0 +1,90 @@
+// api/routes/uploads.js
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const { prisma } = require('../../lib/prisma');
+const { SUPPORTED_FILE_TYPES, resolveStoragePath } = require('../../lib/fileReader');
+const { requireAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+const MAX_UPLOAD_SIZE = process.env.MAX_UPLOAD_SIZE || '50mb';
+
+router.use(requireAuth);
+
+// BigInt columns are not JSON-serializable
+function serializeUpload(upload) {
+  return {
+    ...upload,
+    file_size_bytes: upload.file_size_bytes === null ? null : Number(upload.file_size_bytes),
+  };
+}
+
+function findOwnUpload(req) {
+  return prisma.fileUpload.findFirst({
+    where: { file_id: req.params.id, user_id: req.user.user_id, deleted_at: null },
+  });
+}
+
+// POST /uploads?filename=contacts.csv - raw file contents in the request body
+router.post('/', express.raw({ type: () => true, limit: MAX_UPLOAD_SIZE }), async (req, res) => {
+  const filename = path.basename(String(req.query.filename || ''));
+  const fileType = path.extname(filename).slice(1).toLowerCase();
+
+  if (!filename) return res.status(400).json({ error: '"filename" query parameter is required.' });
+  if (!SUPPORTED_FILE_TYPES.includes(fileType)) {
+    return res.status(400).json({ error: `Unsupported file type ".${fileType}". Expected one of ${SUPPORTED_FILE_TYPES.join(', ')}.` });
+  }
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({ error: 'Request body must contain the file contents.' });
+  }
+
+  const fileId = crypto.randomUUID();
+  const storagePath = path.join(req.user.user_id, `${fileId}.${fileType}`);
+  const absolutePath = resolveStoragePath(storagePath);
+
+  await fs.mkdir(path.dirname(absolutePath), { recursive: true });
+  await fs.writeFile(absolutePath, req.body);
+
+  const upload = await prisma.fileUpload.create({
+    data: {
+      file_id: fileId,
+      user_id: req.user.user_id,
+      original_filename: filename,
+      storage_path: storagePath,
+      file_type: fileType,
+      file_size_bytes: BigInt(req.body.length),
+      upload_status: 'uploaded',
+    },
+  });
+
+  res.status(201).json(serializeUpload(upload));
+});
+
+// GET /uploads
+router.get('/', async (req, res) => {
+  const uploads = await prisma.fileUpload.findMany({
+    where: { user_id: req.user.user_id, deleted_at: null },
+    orderBy: { uploaded_at: 'desc' },
+  });
+  res.json({ uploads: uploads.map(serializeUpload) });
+});
+
+// GET /uploads/:id
+router.get('/:id', async (req, res) => {
+  const upload = await findOwnUpload(req);
+  if (!upload) return res.status(404).json({ error: `Upload ${req.params.id} not found.` });
+  res.json(serializeUpload(upload));
+});
+
+// DELETE /uploads/:id - soft delete
+router.delete('/:id', async (req, res) => {
+  const upload = await findOwnUpload(req);
+  if (!upload) return res.status(404).json({ error: `Upload ${req.params.id} not found.` });
+
+  await prisma.fileUpload.update({ where: { file_id: upload.file_id }, data: { deleted_at: new Date() } });
+  res.status(204).end();
+});
+
+module.exports = router;
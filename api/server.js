@@ -0,0 +1,68 @@
+// api/server.js
+require('dotenv').config();
+const express = require('express');
+const authRouter = require('./routes/auth');
+const jobsRouter = require('./routes/jobs');
+const proposalsRouter = require('./routes/proposals');
+const schedulesRouter = require('./routes/schedules');
+const secretsRouter = require('./routes/secrets');
+const sessionsRouter = require('./routes/sessions');
+const uploadsRouter = require('./routes/uploads');
+const { JobValidationError } = require('../jobs/registry');
+const { JobStateError, JobLimitError } = require('../jobs/service');
+const { ActionGenerationError } = require('../jobs/actionGenerator');
+const { installConsoleRedaction } = require('../lib/redact');
+
+installConsoleRedaction();
+
+const app = express();
+
+app.use(express.json({ limit: '5mb' }));
+
+app.get('/health', (req, res) => res.json({ status: 'ok' }));
+app.use('/auth', authRouter);
+app.use('/jobs', jobsRouter);
+app.use('/proposals', proposalsRouter);
+app.use('/schedules', schedulesRouter);
+app.use('/secrets', secretsRouter);
+app.use('/sessions', sessionsRouter);
+app.use('/uploads', uploadsRouter);
+
+app.use((req, res) => {
+  res.status(404).json({ error: `Route ${req.method} ${req.path} not found.` });
+});
+
+// Express 5 forwards rejected promises from async handlers here
+app.use((err, req, res, next) => {
+  if (err instanceof JobValidationError) {
+    return res.status(400).json({ error: err.message, details: err.details });
+  }
+  if (err instanceof JobStateError) {
+    return res.status(409).json({ error: err.message });
+  }
+  if (err instanceof JobLimitError) {
+    return res.status(429).json({ error: err.message });
+  }
+  if (err instanceof ActionGenerationError) {
+    return res.status(422).json({ error: err.message, details: err.details });
+  }
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Request body is not valid JSON.' });
+  }
+
+  console.error(`API error on ${req.method} ${req.path}:`, err);
+  res.status(500).json({ error: 'Internal server error.' });
+});
+
+function startServer(port = process.env.PORT || 3000) {
+  return app.listen(port, () => {
+    console.log(`🌐 API listening on http://localhost:${port}`);
+  });
+}
+
+// Start the server when this module is called directly
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = { app, startServer };
@@ -1,18 +1,20 @@
 const getFixSuggestion = require("./ai-advisor");
+const { redact, redactText } = require("./lib/redact");
 
 async function handleError(err, context) {
   console.log("❌ Error occurred. Asking GPT for advice...");
 
-  const prompt = `
+  // Nothing reaches the AI advisor without going through the redaction layer
+  const prompt = redactText(`
 A JavaScript automation job threw an error.
 
 Error: ${err.message}
 Stack: ${err.stack}
 
-Context: ${JSON.stringify(context, null, 2)}
+Context: ${JSON.stringify(redact(context), null, 2)}
 
 What would be a safe and robust fix or improvement?
-  `;
+  `);
 
   const suggestion = await getFixSuggestion(prompt);
   console.log("🤖 GPT Suggestion:\n", suggestion);
@@ -1,5 +1,5 @@
 require("dotenv").config();
-console.log("Loaded API Key:", process.env.OPENAI_API_KEY);
+console.log("OpenAI API key configured:", Boolean(process.env.OPENAI_API_KEY));
 
 const { runJob } = require("./job-runner");
 
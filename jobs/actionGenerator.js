@@ -0,0 +1,242 @@
+// jobs/actionGenerator.js
+const { getProcessor, validateJobData, JobValidationError } = require('./registry');
+const { getAdvisor } = require('../ai-advisor');
+const { setupPage } = require('../lib/browser');
+const { acquireBrowserContext } = require('../lib/browserPool');
+const { captureDomSnapshot } = require('../lib/domSnapshot');
+const { redact, redactText } = require('../lib/redact');
+
+const MAX_GENERATION_ATTEMPTS = 2; // A reply that doesn't validate is sent back once with the problems
+const DOM_MAX_LENGTH = 20000;
+const DEFAULT_PREVIEW_PAGES = 2;
+const MAX_PREVIEW_PAGES = 5;
+const PREVIEW_CRAWL_PAGES = 3;
+const PREVIEW_SAMPLE_SIZE = 5;
+
+// What the model may use; evaluate and screenshot are left out on purpose
+const ACTION_TYPES = ['click', 'type', 'extract', 'extractRecords', 'extractTable', 'aiExtract', 'waitForSelector', 'delay', 'scroll', 'goto', 'goBack', 'forEach', 'if', 'setVariable'];
+
+const ACTION_REFERENCE = `Action types (every action is an object with "type"; results are kept under "name"):
+- extract: { selector, name, attribute?, parseNumber? } - text (or an attribute) of every matching element, as a list
+- extractRecords: { selector, name, fields: { <field>: "<sub-selector>" | { selector, attribute?, parse?: "number"|"integer"|"url"|"exists" } } } - one record per container element
+- extractTable: { selector, name } - rows of a <table> keyed by header
+- aiExtract: { name, schema: <JSON schema of one item>, many?, selector?, instructions? } - AI extraction from free-form text; costs tokens on every page, so only when selectors can't do it
+- click: { selector }, type: { selector, text }, waitForSelector: { selector }, delay: { ms }, scroll: { toBottom: true }
+- goto: { url }, goBack: {}
+- forEach: { selector, as?, actions: [...] } - run nested actions once per matching element ({{item.selector}} targets it)
+- if: { selector?, condition: { ifExists?, ifNotExists?, ifTextContains? }, then: [...], else: [...] }
+- setVariable: { name, selector?, attribute?, value? }
+Pagination (optional): { mode: "nextButton", nextButtonSelector } | { mode: "urlPattern", urlTemplate: "https://...{{n}}..." } | { mode: "infiniteScroll", itemSelector } | { mode: "loadMore", loadMoreSelector, itemSelector }, plus maxPages.
+Crawl (optional, to open detail pages): { from: "<name of an extracted list of links>" | linkSelector: "<selector>", actions: [...] }.`;
+
+/**
+ * Thrown when the model's reply can't be turned into a valid job config.
+ */
+class ActionGenerationError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'ActionGenerationError';
+    this.details = details;
+  }
+}
+
+function buildPrompt({ url, goal, domSnapshot, previous, feedback, problems }) {
+  const sections = [
+    `Write a browser scraping job for ${url}. Goal: ${goal}`,
+    ACTION_REFERENCE,
+    'Use CSS selectors that exist in the DOM below; prefer ids, names and data attributes over positions. Use extractRecords when the goal asks for several fields per item.',
+    `Trimmed DOM of the page:\n${domSnapshot}`,
+  ];
+  if (previous) sections.push(`Your previous proposal:\n${JSON.stringify({ actions: previous.actions, pagination: previous.pagination, crawl: previous.crawl })}`);
+  if (feedback) sections.push(`Feedback on it: ${feedback}`);
+  if (problems && problems.length > 0) sections.push(`Your last reply was rejected:\n${problems.map(problem => `- ${problem}`).join('\n')}`);
+  sections.push('Reply with only a JSON object: {"actions": [...], "pagination": {...} or null, "crawl": {...} or null, "notes": "<one sentence on what the job does>"}.');
+
+  // Nothing reaches the AI backend without going through the redaction layer
+  return redactText(sections.join('\n\n'));
+}
+
+// Action types used anywhere in an action list, nested lists included
+function collectActionTypes(actions, types = []) {
+  for (const action of actions || []) {
+    if (!action || typeof action !== 'object') continue;
+    types.push(action.type);
+    collectActionTypes(action.actions, types);
+    collectActionTypes(action.then, types);
+    collectActionTypes(action.else, types);
+  }
+  return types;
+}
+
+/**
+ * The job config in a model reply ({ actions, pagination, crawl, notes }, possibly in a code
+ * fence), or the list of problems that make it unusable.
+ */
+function parseGeneratedConfig(text, url) {
+  const match = String(text || '').match(/\{[\s\S]*\}/);
+  if (!match) return { problems: ['The reply did not contain a JSON object.'] };
+
+  let reply;
+  try {
+    reply = JSON.parse(match[0]);
+  } catch (error) {
+    return { problems: [`The reply is not valid JSON: ${error.message}`] };
+  }
+  if (!Array.isArray(reply.actions) || reply.actions.length === 0) {
+    return { problems: ['"actions" must be a non-empty array.'] };
+  }
+
+  const config = { url, actions: reply.actions };
+  if (reply.pagination) config.pagination = reply.pagination;
+  if (reply.crawl) config.crawl = reply.crawl;
+
+  const usedTypes = collectActionTypes([...config.actions, ...((config.crawl && config.crawl.actions) || [])]);
+  const problems = [...new Set(usedTypes)]
+    .filter(type => !ACTION_TYPES.includes(type))
+    .map(type => `Unsupported action type: ${type}`);
+  try {
+    validateJobData('scrapeWebPage', config);
+  } catch (error) {
+    if (!(error instanceof JobValidationError)) throw error;
+    problems.push(...(error.details.length > 0 ? error.details : [error.message]));
+  }
+  return problems.length > 0 ? { problems } : { config, notes: typeof reply.notes === 'string' ? reply.notes : null };
+}
+
+// Load the page once and take the trimmed DOM the model writes selectors against
+async function snapshotPage(url, { puppeteerOptions, timeout }) {
+  const lease = await acquireBrowserContext(puppeteerOptions);
+  try {
+    const page = await lease.context.newPage();
+    await setupPage(page, { timeout, viewport: puppeteerOptions.defaultViewport });
+    await page.goto(url, { waitUntil: 'networkidle2', timeout });
+    const domSnapshot = await captureDomSnapshot(page, { maxLength: DOM_MAX_LENGTH });
+    if (!domSnapshot) throw new ActionGenerationError(`Could not read the page at ${url}.`);
+    return domSnapshot;
+  } finally {
+    await lease.release();
+  }
+}
+
+// Extracted values from a dry run, per named result: how many and the first few, plus
+// the config's top-level extractions that came back empty
+function summarizeDryRun(result, config, previewPages) {
+  const extracted = {};
+  const add = (key, value) => {
+    if (!Array.isArray(value)) return;
+    extracted[key] = extracted[key] || { count: 0, sample: [] };
+    extracted[key].count += value.length;
+    extracted[key].sample.push(...value.slice(0, PREVIEW_SAMPLE_SIZE - extracted[key].sample.length));
+  };
+  const skip = ['page', 'url', 'timestamp', 'pageTitle', 'currentUrl', 'errors', 'error', 'depth', 'listingPage', 'listingUrl', 'parentUrl'];
+
+  for (const pageResult of [...result.results, ...(result.details || [])]) {
+    for (const [key, value] of Object.entries(pageResult)) {
+      if (!skip.includes(key)) add(key, value);
+    }
+  }
+
+  const errors = [...result.results, ...(result.details || [])].flatMap(pageResult => [
+    ...(pageResult.error ? [{ url: pageResult.url || null, page: pageResult.page, message: pageResult.error }] : []),
+    ...(pageResult.errors || []).map(error => ({ url: pageResult.url || null, page: pageResult.page, ...error })),
+  ]);
+
+  return {
+    pagesVisited: result.totalPages,
+    pagesLimit: previewPages,
+    detailPagesVisited: result.details ? result.details.length : 0,
+    extracted: redact(extracted),
+    empty: config.actions
+      .filter(action => action.name && action.type.startsWith('extract'))
+      .map(action => action.name)
+      .filter(name => !extracted[name] || extracted[name].count === 0),
+    errors,
+  };
+}
+
+/**
+ * Turn a plain-English goal into a scrapeWebPage config: the page's trimmed DOM and the goal
+ * go to the AI advisor, which proposes actions plus pagination (and crawl) settings; the
+ * proposal is validated against the processor schema and, unless `dryRun` is false, run on
+ * the first `previewPages` pages so the caller can accept it or refine it with `feedback`.
+ * @param {object} params
+ * @param {string} params.url
+ * @param {string} params.goal - e.g. "get every product name, price and link, all pages".
+ * @param {object} [params.previous] - A config returned earlier, to refine.
+ * @param {string} [params.feedback] - What to change about `previous`.
+ * @param {boolean} [params.dryRun] - Run the proposal for a preview (default: true).
+ * @param {number} [params.previewPages] - Listing pages the dry run visits (default: 2).
+ * @param {object} [params.advisor] - Advisor to use instead of the configured one (e.g. a mock).
+ * @param {object} [params.puppeteerOptions]
+ * @param {number} [params.timeout] - Page load timeout in ms (default: 30000).
+ * @param {AbortSignal} [params.signal] - Stops generation between steps and aborts the dry run.
+ * @returns {Promise<object>} - { config, notes, preview, backend, model, usage }.
+ */
+async function generateActions({ url, goal, previous = null, feedback = null, dryRun = true, previewPages = DEFAULT_PREVIEW_PAGES, advisor = getAdvisor(), puppeteerOptions = {}, timeout = 30000, signal = new AbortController().signal }) {
+  if (typeof url !== 'string' || !/^https?:\/\//.test(url)) {
+    throw new JobValidationError(`Invalid URL: ${url}. Must start with http:// or https://.`);
+  }
+  if (typeof goal !== 'string' || !goal.trim()) throw new JobValidationError('A goal is required.');
+  if (!advisor.configured) throw new ActionGenerationError('No AI advisor is configured (AI_BACKEND / OPENAI_API_KEY).');
+
+  console.log(`🪄 Generating actions for ${url}: "${goal}"`);
+  const domSnapshot = await snapshotPage(url, { puppeteerOptions, timeout });
+
+  const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+  let problems = [];
+  let generated = null;
+  let model = advisor.model;
+  for (let attempt = 1; attempt <= MAX_GENERATION_ATTEMPTS && !generated; attempt++) {
+    signal.throwIfAborted();
+    const reply = await advisor.complete(buildPrompt({ url, goal, domSnapshot, previous, feedback, problems }));
+    model = reply.model || model;
+    if (reply.usage) Object.keys(usage).forEach(key => { usage[key] += reply.usage[key] || 0; });
+
+    const parsed = parseGeneratedConfig(reply.text, url);
+    if (parsed.config) {
+      generated = parsed;
+    } else {
+      problems = parsed.problems;
+      console.warn(`🪄 Generated config rejected (attempt ${attempt}/${MAX_GENERATION_ATTEMPTS}): ${problems.join('; ')}`);
+    }
+  }
+  if (!generated) throw new ActionGenerationError('The model did not produce a valid action list.', problems);
+
+  let preview = null;
+  if (dryRun) {
+    signal.throwIfAborted();
+    // Same config, capped to a few pages; the processor's own errors end up in the preview
+    const dryRunData = { ...generated.config, puppeteerOptions, timeout };
+    if (dryRunData.pagination) {
+      dryRunData.pagination = { ...dryRunData.pagination, maxPages: Math.min(dryRunData.pagination.maxPages || previewPages, previewPages) };
+    }
+    if (dryRunData.crawl) {
+      dryRunData.crawl = { ...dryRunData.crawl, maxPages: Math.min(dryRunData.crawl.maxPages || PREVIEW_CRAWL_PAGES, PREVIEW_CRAWL_PAGES) };
+    }
+
+    console.log(`🪄 Dry-running the generated config on up to ${previewPages} page(s)...`);
+    try {
+      const result = await getProcessor('scrapeWebPage').process({ data: dryRunData, signal });
+      preview = summarizeDryRun(result, generated.config, previewPages);
+    } catch (error) {
+      signal.throwIfAborted(); // A timeout fails the job rather than passing for a failed preview
+      preview = { failed: true, errors: [{ message: redactText(error.message) }] };
+    }
+  }
+
+  return {
+    config: generated.config,
+    notes: generated.notes,
+    preview,
+    backend: advisor.backend,
+    model,
+    usage,
+  };
+}
+
+module.exports = {
+  MAX_PREVIEW_PAGES,
+  ActionGenerationError,
+  parseGeneratedConfig,
+  generateActions,
+};
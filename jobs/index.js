@@ -1,9 +1,27 @@
-const { Worker } = require('bullmq');
+require('dotenv').config();
+const crypto = require('crypto');
+const { Worker, UnrecoverableError } = require('bullmq');
+const { Prisma } = require('@prisma/client');
 const IORedis = require('ioredis');
-const jobQueue = require('./queue');
-const sampleProcessor = require('./processors/sampleProcessor');
-const puppeteerProcessor = require('./processors/puppeteerProcessor');
+const { getProcessor, listProcessors, enqueueJob } = require('./registry');
+const { queueName } = require('./queue');
+const { createScheduledRun } = require('./scheduler');
 const { prisma } = require('../lib/prisma'); // Prisma client
+const { hashPassword } = require('../lib/auth');
+const { collectRecords } = require('../lib/records');
+const { compileTransformSpec, transformRecords } = require('../lib/transformRules');
+const { compileValidationSpec, validateRecords } = require('../lib/recordValidator');
+const { exportProcessorResult } = require('../lib/exporter');
+const { resolveSecretRefs } = require('../lib/secrets');
+const { redact, redactText, installConsoleRedaction } = require('../lib/redact');
+const { closeBrowserPool } = require('../lib/browserPool');
+const { closeRateLimiter } = require('../lib/rateLimiter');
+const { diagnoseFailure } = require('../lib/diagnosis');
+const { proposeSelectorHeals } = require('./proposals');
+const { recordBatchType, quarantineRows, createRecordSink } = require('./recordSink');
+
+// Everything the worker and its processors print goes through the redaction layer
+installConsoleRedaction();
 
 const connection = new IORedis({
   host: 'localhost',
@@ -11,6 +29,135 @@ const connection = new IORedis({
   maxRetriesPerRequest: null, // Required for BullMQ compatibility
 });
 
+// Reject if a promise takes longer than `ms` (the work itself is not stopped)
+function withTimeout(promise, ms, message) {
+  if (!ms) return promise;
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+const ABORT_GRACE_MS = 15000;
+
+/**
+ * Run `run(signal)` for at most `ms`. On timeout the signal is aborted, so the processor
+ * stops at its next check and closes its browser; the attempt then fails with the timeout
+ * error once the processor has wound down (or after ABORT_GRACE_MS), so a BullMQ retry never
+ * overlaps with the attempt it replaces.
+ */
+async function runWithTimeout(run, ms, message) {
+  const controller = new AbortController();
+  const running = run(controller.signal);
+  if (!ms) return running;
+
+  let timer;
+  const timedOut = new Promise((resolve) => { timer = setTimeout(resolve, ms); });
+  try {
+    const finished = await Promise.race([running.then(value => ({ value })), timedOut.then(() => null)]);
+    if (finished) return finished.value;
+  } finally {
+    clearTimeout(timer);
+  }
+
+  const error = new Error(message);
+  controller.abort(error);
+  let grace;
+  await Promise.race([
+    running.catch(() => {}),
+    new Promise((resolve) => { grace = setTimeout(resolve, ABORT_GRACE_MS); }),
+  ]);
+  clearTimeout(grace);
+  throw error;
+}
+
+const PROGRESS_WRITE_INTERVAL_MS = 1000;
+const CHECKPOINT_WRITE_INTERVAL_MS = Number(process.env.CHECKPOINT_WRITE_INTERVAL_MS) || 10000;
+const DIAGNOSIS_TIMEOUT_MS = 60000;
+
+// Build the reportProgress callback handed to processors. Progress goes to BullMQ on every
+// call and to DataProcessingJob.progress at most once per second (plus the last value).
+function createProgressReporter(job, jobId) {
+  let lastWrite = 0;
+  let pending = null;
+  let timer = null;
+
+  const write = async () => {
+    timer = null;
+    lastWrite = Date.now();
+    const progress = pending;
+    pending = null;
+    await prisma.dataProcessingJob.update({ where: { job_id: jobId }, data: { progress } })
+      .catch(err => console.error(`Failed to persist progress for job ${jobId}:`, err.message));
+  };
+
+  const reportProgress = async (progress) => {
+    const value = { ...progress, updated_at: new Date().toISOString() };
+    await job.updateProgress(value).catch(() => {});
+    pending = value;
+    if (timer) return;
+    const wait = Math.max(0, PROGRESS_WRITE_INTERVAL_MS - (Date.now() - lastWrite));
+    timer = setTimeout(write, wait);
+  };
+
+  // Write any buffered progress immediately (called when the processor finishes)
+  reportProgress.flush = async () => {
+    if (!timer) return;
+    clearTimeout(timer);
+    await write();
+  };
+
+  return reportProgress;
+}
+
+// Build the checkpoint writer behind the saveCheckpoint callback. A checkpoint holds everything
+// the run has done so far, so writing one per page would rewrite the whole result every page;
+// instead the latest state is written at most every CHECKPOINT_WRITE_INTERVAL_MS, and flushed
+// when the attempt fails. A worker crash loses at most that interval of progress.
+function createCheckpointWriter(jobId) {
+  let lastWrite = 0;
+  let pending = null;
+  let timer = null;
+  let writing = Promise.resolve(); // Writes go out one at a time, so an older state never lands last
+
+  const write = () => {
+    timer = null;
+    lastWrite = Date.now();
+    const state = pending;
+    pending = null;
+    writing = writing.then(() => prisma.dataProcessingJob.update({ where: { job_id: jobId }, data: { checkpoint: redact(state) } }))
+      .catch(err => console.error(`Failed to save checkpoint for job ${jobId}:`, err.message));
+    return writing;
+  };
+
+  const writeCheckpoint = (state) => {
+    pending = state;
+    if (timer) return;
+    const wait = Math.max(0, CHECKPOINT_WRITE_INTERVAL_MS - (Date.now() - lastWrite));
+    timer = setTimeout(write, wait);
+  };
+
+  // Write the buffered state now (the attempt failed and a retry will resume from it)
+  writeCheckpoint.flush = async () => {
+    if (timer) {
+      clearTimeout(timer);
+      write();
+    }
+    await writing;
+  };
+
+  // Drop the buffered state (the run finished, so there is nothing left to resume)
+  writeCheckpoint.cancel = async () => {
+    clearTimeout(timer);
+    timer = null;
+    pending = null;
+    await writing;
+  };
+
+  return writeCheckpoint;
+}
+
 // Ensure a demo user exists for test jobs
 async function ensureDemoUser(userId = 'demo-user-id') {
   return prisma.user.upsert({
@@ -19,7 +166,7 @@ async function ensureDemoUser(userId = 'demo-user-id') {
     create: {
       user_id: userId,
       email: `${userId}@example.com`, // Dummy email, must be unique
-      password_hash: 'dummy_password_hash', // Dummy password hash
+      password_hash: await hashPassword(crypto.randomBytes(24).toString('hex')), // Random password: the demo user cannot log in
     },
   });
 }
@@ -29,35 +176,67 @@ async function addSampleTestJob() {
   const userId = 'demo-user-id';
   await ensureDemoUser(userId);
 
-  const input = [2, 4, 6, 8, "ten"]; // Includes bad input to test error handling
+  const input = [2, 4, 6, 8, "ten"]; // "ten" is quarantined and the job ends as a partial success
 
   const dbJob = await prisma.dataProcessingJob.create({
     data: {
       user_id: userId,
       job_name: 'Double Numbers Job',
-      job_type: 'data_transformation_sample',
+      job_type: getProcessor('doubleNumbers').jobType,
       status: 'queued',
       config: { input },
     },
   });
 
-  await jobQueue.add('doubleNumbers', {
+  await enqueueJob('doubleNumbers', {
     jobId: dbJob.job_id,
     userId,
     input,
   });
 
-  await jobQueue.add('scrapeWebPage', {
+  await enqueueJob('scrapeWebPage', {
   jobId: dbJob.job_id,
   userId,
   url: 'https://quotes.toscrape.com/',
   puppeteerOptions: { headless: true },
+  network: { blockResourceTypes: ['image', 'font', 'media'] }, // Not needed for text extraction
   actions: [
     { type: 'extract', name: 'allQuotes', selector: '.quote .text' }, // Extracts text content
     { type: 'extract', name: 'authorLinks', selector: '.quote .author + a', attribute: 'href' }, // Extracts 'href' attribute
+    { // One object per quote, so text/author/link can't get out of step
+      type: 'extractRecords',
+      name: 'quotes',
+      selector: '.quote',
+      fields: {
+        text: '.text',
+        author: '.author',
+        authorLink: { selector: '.author + a', attribute: 'href', parse: 'url' },
+        tags: { selector: '.tag', multiple: true },
+      },
+    },
+    { // Drill into each author's page from the listing; item.selector scopes to one quote
+      type: 'forEach',
+      name: 'authors',
+      selector: '.quote',
+      limit: 3,
+      actions: [
+        { type: 'extract', name: 'author', selector: '{{item.selector}} .author' },
+        { type: 'goto', url: '{{item.href}}' }, // First link in the quote: the "(about)" page
+        { type: 'extract', name: 'born', selector: '.author-born-date' },
+      ],
+    },
     { type: 'click', selector: '.pager .next a' }, // Click the "Next" button
     { type: 'extract', name: 'quotesPage2', selector: '.quote .text' } // Extract quotes from the next page
-  ]
+  ],
+  crawl: { // Visit every extracted author link (deduped) and read the author's details
+    from: 'authorLinks',
+    allow: ['*/author/*'],
+    concurrency: 2,
+    actions: [
+      { type: 'extract', name: 'authorName', selector: '.author-title' },
+      { type: 'extract', name: 'born', selector: '.author-born-date' },
+    ],
+  },
 });
 
   console.log(`📝 Added sample job ${dbJob.job_id} to queue.`);
@@ -74,13 +253,13 @@ async function addPuppeteerTestJob() {
     data: {
       user_id: userId,
       job_name: `Scrape: ${targetUrl}`,
-      job_type: 'web_scraping_puppeteer',
+      job_type: getProcessor('scrapeWebPage').jobType,
       status: 'queued',
       config: { url: targetUrl, puppeteerOptions: { headless: true } }, // Store URL and any options
     },
   });
 
-  await jobQueue.add('scrapeWebPage', {
+  await enqueueJob('scrapeWebPage', {
     jobId: dbJob.job_id,
     userId,
     url: targetUrl,
@@ -91,97 +270,297 @@ async function addPuppeteerTestJob() {
 }
 
 
-// Worker: listens for new jobs and processes them
+// Workers: one per processor, listening on that processor's queue and running up to its
+// `concurrency` jobs at once, so a job only leaves the queue when a slot is free for it.
 function startWorker() {
-  const worker = new Worker(
-    'jobQueue',
-    async (job) => {
-      const { jobId, userId } = job.data; // Common data
-      let processorResult;
-      // Clone job.data for context logging, removing redundant fields
-      const jobSpecificContextData = { ...job.data };
-      delete jobSpecificContextData.jobId;
-      delete jobSpecificContextData.userId;
-
-
-      console.log(`🚀 Processing job: ${job.id}, Name: ${job.name}, Data:`, JSON.stringify(job.data));
-
-      try {
-        // --- Job Type Routing ---
-        if (job.name === 'doubleNumbers') {
-          processorResult = await sampleProcessor({ data: job.data });
-        } else if (job.name === 'scrapeWebPage') {
-          processorResult = await puppeteerProcessor({ data: job.data });
-        } else {
-          console.error(`Unknown job name: ${job.name} for job ID: ${job.id}`);
-          throw new Error(`Unknown job name: ${job.name}`);
-        }
-        // --- End Job Type Routing ---
-
-        // 1. Update job status to completed
-        await prisma.dataProcessingJob.update({
-          where: { job_id: jobId },
-          data: {
-            status: 'completed',
-            completed_at: new Date(),
-          },
-        });
+  const handleJob = async (job) => {
+    let { jobId, userId } = job.data; // Common data
+    let processorResult;
+
+    // Runs produced by a recurring schedule get their own history row on first pickup;
+    // the id is written back so BullMQ retries of this run reuse the same row
+    if (!jobId && job.data.scheduleId) {
+      const run = await createScheduledRun(job.data.scheduleId);
+      if (!run) {
+        console.log(`⏸️ Schedule ${job.data.scheduleId} is no longer active, skipping run.`);
+        return null;
+      }
+      jobId = run.job_id;
+      await job.updateData({ ...job.data, jobId });
+    }
+
+    // Clone job.data for context logging, removing redundant fields and masking credentials
+    const jobSpecificContextData = redact(job.data);
+    delete jobSpecificContextData.jobId;
+    delete jobSpecificContextData.userId;
+    delete jobSpecificContextData.scheduleId;
+
+
+    console.log(`🚀 Processing job: ${job.id}, Name: ${job.name}, Data:`, JSON.stringify(redact(job.data)));
+
+    const attempt = job.attemptsMade + 1;
+    const maxAttempts = job.opts.attempts || 1;
+
+    // Mark the job running; jobs cancelled through the API while still waiting in Redis are skipped
+    const dbJob = await prisma.dataProcessingJob.findUnique({ where: { job_id: jobId }, select: { status: true, started_at: true, checkpoint: true } });
+    if (dbJob && dbJob.status === 'cancelled') {
+      console.log(`🚫 Job ${job.id} was cancelled, skipping.`);
+      return null;
+    }
+    await prisma.dataProcessingJob.update({
+      where: { job_id: jobId },
+      data: {
+        status: 'running',
+        started_at: (dbJob && dbJob.started_at) || new Date(), // Keep the first attempt's start time
+        attempts: { increment: 1 },
+      },
+    });
+
+    const reportProgress = createProgressReporter(job, jobId);
 
-        // 2. Log result
+    // Processors that checkpoint resume from the last state an earlier attempt saved
+    let checkpoint = (dbJob && dbJob.checkpoint) || null;
+    let processorSignal = null; // Set once the processor runs; nothing is saved after it times out
+    const writeCheckpoint = createCheckpointWriter(jobId);
+    const saveCheckpoint = async (state) => {
+      if (processorSignal && processorSignal.aborted) return;
+      checkpoint = state;
+      writeCheckpoint(state);
+    };
+
+    try {
+      // Fail fast on a malformed mapping or validation spec, before doing any work
+      const transformSpec = job.data.transform ? compileTransformSpec(job.data.transform) : null;
+      const validationSpec = job.data.validation ? compileValidationSpec(job.data.validation) : null;
+
+      // --- Job Type Routing ---
+      const processor = getProcessor(job.name);
+      if (!processor) {
+        console.error(`Unknown job name: ${job.name} for job ID: ${job.id}`);
+        throw new Error(`Unknown job name: ${job.name}`);
+      }
+      // {{secret:NAME}} references are only resolved here, in memory, for the processor
+      const processorData = await resolveSecretRefs(job.data, userId);
+      // Processors with large outputs (csvImport) stream their records through this instead of returning them
+      const writeRecords = createRecordSink({ jobName: job.name, jobId, userId, transformSpec, validationSpec, exportSpec: job.data.export });
+      processorResult = await runWithTimeout(
+        (signal) => {
+          processorSignal = signal;
+          return processor.process({ data: processorData, rawData: job.data, reportProgress, checkpoint, saveCheckpoint, writeRecords, signal });
+        },
+        processor.options.timeout,
+        `${job.name} timed out after ${processor.options.timeout}ms`
+      );
+      await reportProgress.flush();
+      await writeCheckpoint.cancel();
+      // --- End Job Type Routing ---
+
+      // Streamed records were already transformed, validated, quarantined and exported batch by batch
+      let streamedExport = null;
+      if (writeRecords.used) {
+        const { summary, exportInfo } = await writeRecords.finish();
+        const { rows_invalid: rowsInvalid, ...counts } = summary;
+        processorResult = {
+          ...processorResult,
+          ...counts,
+          rows_failed: (processorResult.rows_failed || 0) + rowsInvalid,
+          partial: processorResult.partial || rowsInvalid > 0,
+          ...(rowsInvalid > 0 ? { quarantined_rows: rowsInvalid } : {}),
+        };
+        streamedExport = exportInfo;
+        console.log(`📦 Stored ${counts.rows_processed} records in ${counts.record_batches} batches (${rowsInvalid} quarantined)`);
+      }
+
+      // Apply declarative field-mapping rules to whatever records the processor produced
+      if (transformSpec && !writeRecords.used) {
+        const { records, errors } = transformRecords(collectRecords(processorResult, job.data.transform.source), transformSpec);
+        processorResult = { ...processorResult, records, transformErrors: errors };
+        console.log(`🔀 Transformed ${records.length} records (${errors.length} field errors)`);
+      }
+
+      // Check every row against the job's validation spec; only valid rows go on to the export
+      let quarantined = processorResult && Array.isArray(processorResult.rejectedRows) ? processorResult.rejectedRows : [];
+      if (validationSpec && !writeRecords.used) {
+        const source = transformSpec ? undefined : job.data.validation.source;
+        const { valid, invalid } = validateRecords(collectRecords(processorResult, source), validationSpec);
+        quarantined = [...quarantined, ...invalid];
+        processorResult = {
+          ...processorResult,
+          records: valid,
+          rows_processed: valid.length,
+          rows_failed: (processorResult.rows_failed || 0) + invalid.length,
+          partial: processorResult.partial || invalid.length > 0,
+        };
+        console.log(`🧪 Validated ${valid.length + invalid.length} records: ${valid.length} valid, ${invalid.length} quarantined`);
+      }
+      if (quarantined.length > 0) {
+        await quarantineRows(quarantined, { jobId, userId });
+        const { rejectedRows, ...rest } = processorResult;
+        processorResult = { ...rest, quarantined_rows: quarantined.length };
+      }
+
+      // Nothing the processor echoed from its resolved secrets reaches the export, the result row
+      // or BullMQ's copy of the return value in Redis
+      processorResult = redact(processorResult);
+
+      // Write the records to a CSV/XLSX/NDJSON file if the job asks for one
+      const exportInfo = job.data.export && !writeRecords.used
+        ? await exportProcessorResult(processorResult, job.data.export, { userId, jobId })
+        : streamedExport;
+
+      // 1. Update job status to completed (unless it was cancelled while running)
+      const { count } = await prisma.dataProcessingJob.updateMany({
+        where: { job_id: jobId, status: { not: 'cancelled' } },
+        data: {
+          status: 'completed',
+          completed_at: new Date(),
+          checkpoint: Prisma.DbNull, // Nothing left to resume
+        },
+      });
+      if (count === 0) {
+        console.log(`🚫 Job ${job.id} was cancelled while running, discarding result.`);
+        await prisma.processingResult.deleteMany({ where: { job_id: jobId, result_type: recordBatchType(job.name) } });
+        return null;
+      }
+
+      // 2. Log result
+      await prisma.processingResult.create({
+        data: {
+          job_id: jobId,
+          user_id: userId,
+          result_type: `${job.name}_result`, // e.g., 'doubleNumbers_result' or 'scrapeWebPage_result'
+          data: processorResult, // Store the full result from the processor
+          status: processorResult && processorResult.partial ? 'partial_success' : 'success', // Some pages/rows failed
+        },
+      });
+
+      // 3. Selectors healed during the run become a config change for a human to approve
+      if (processorResult && processorResult.healedSelectors) {
+        await proposeSelectorHeals({ userId, jobId, heals: processorResult.healedSelectors })
+          .catch(proposeErr => console.error(`Failed to propose selector fixes for job ${jobId}:`, proposeErr.message));
+      }
+
+      // 4. Link to the exported file, if any
+      if (exportInfo) {
         await prisma.processingResult.create({
           data: {
             job_id: jobId,
             user_id: userId,
-            result_type: `${job.name}_result`, // e.g., 'doubleNumbers_result' or 'scrapeWebPage_result'
-            data: processorResult, // Store the full result from the processor
+            result_type: 'transformed_data_link',
+            data: exportInfo,
             status: 'success',
           },
         });
+      }
 
-        return processorResult;
-      } catch (err) {
-        console.error(`Error processing job ${job.id} (${job.name}):`, err.message);
-        // 1. Mark job as failed in DB
-        await prisma.dataProcessingJob.update({
-          where: { job_id: jobId },
-          data: {
-            status: 'failed',
-            completed_at: new Date(), // Mark completion time even for failures
+      return processorResult;
+    } catch (err) {
+      await reportProgress.flush();
+      await writeCheckpoint.flush();
+      const isFinalAttempt = attempt >= maxAttempts || err instanceof UnrecoverableError;
+      console.error(`Error processing job ${job.id} (${job.name}), attempt ${attempt}/${maxAttempts}:`, err.message);
+
+      // 1. Only the last attempt marks the job failed; otherwise it goes back to waiting for BullMQ's retry
+      await prisma.dataProcessingJob.updateMany({
+        where: { job_id: jobId, status: { not: 'cancelled' } },
+        data: isFinalAttempt
+          ? { status: 'failed', completed_at: new Date() } // Mark completion time even for failures
+          : { status: 'queued' },
+      });
+
+      // 2. Log error details in ErrorLog table, one row per attempt
+      const diagnostics = err.diagnostics || {}; // Failed action, selector and page, when the processor knows them
+      const errorLog = await prisma.errorLog.create({
+        data: {
+          job_id: jobId,
+          user_id: userId,
+          error_message: redactText(err.message),
+          error_stack: redactText(err.stack),
+          severity: isFinalAttempt ? 'error' : 'warning',
+          context_data: {
+            ...jobSpecificContextData, // Log the specific data for this job
+            attempt,
+            max_attempts: maxAttempts,
+            will_retry: !isFinalAttempt,
+            ...(diagnostics.action ? { failed_action: redact(diagnostics.action) } : {}),
+            ...(diagnostics.selector ? { selector: diagnostics.selector } : {}),
+            ...(diagnostics.pageUrl ? { page_url: redactText(diagnostics.pageUrl) } : {}),
           },
-        });
+        },
+      });
 
-        // 2. Log error details in ErrorLog table
-        await prisma.errorLog.create({
+      // 3. Keep what the failed job did finish: the data in its last checkpoint
+      if (isFinalAttempt && checkpoint && checkpoint.result) {
+        await prisma.processingResult.create({
           data: {
             job_id: jobId,
             user_id: userId,
-            error_message: err.message,
-            error_stack: err.stack,
-            severity: 'error',
-            context_data: jobSpecificContextData, // Log the specific data for this job
+            result_type: `${job.name}_result`,
+            data: { ...redact(checkpoint.result), error: redactText(err.message) },
+            status: 'partial_success',
           },
-        });
-        throw err; // Important to re-throw for BullMQ to mark as failed and trigger 'failed' event
+        })
+          .then(() => console.log(`💾 Saved partial result for job ${jobId} from its last checkpoint.`))
+          .catch(saveErr => console.error(`Failed to save partial result for job ${jobId}:`, saveErr.message));
       }
-    },
-    { connection }
-  );
 
-  worker.on('completed', (job, result) => {
-    console.log(`✅ Job ${job.id} (${job.name}) completed successfully.`);
-  });
+      // 4. Selectors healed before the failure are proposed all the same
+      if (err.healedSelectors) {
+        await proposeSelectorHeals({ userId, jobId, heals: err.healedSelectors })
+          .catch(proposeErr => console.error(`Failed to propose selector fixes for job ${jobId}:`, proposeErr.message));
+      }
 
-  worker.on('failed', (job, err) => {
-    // Logging is already done in the main try/catch, but this event is useful for other monitoring
-    console.error(`❌ Job ${job.id} (${job.name}) failed event:`, err.message);
-  });
+      // 5. Ask the AI advisor for a fix (repeat failures reuse the stored diagnosis); this never fails the handler
+      if (isFinalAttempt) {
+        await withTimeout(
+          diagnoseFailure({ userId, jobName: job.name, error: err, diagnostics }),
+          DIAGNOSIS_TIMEOUT_MS,
+          `Diagnosis timed out after ${DIAGNOSIS_TIMEOUT_MS}ms`
+        )
+          .then(diagnosis => diagnosis && prisma.errorLog.update({
+            where: { log_id: errorLog.log_id },
+            data: { diagnosis_id: diagnosis.diagnosis_id },
+          }))
+          .catch(diagErr => console.error(`Failed to diagnose job ${jobId}:`, diagErr.message));
+      }
+
+      throw err; // Important to re-throw for BullMQ to mark as failed and trigger 'failed' event
+    }
+  };
+
+  const workers = listProcessors().map((processor) => {
+    const worker = new Worker(queueName(processor.name), handleJob, { connection, concurrency: processor.concurrency });
 
-  worker.on('error', err => {
-    // Generic worker errors (e.g., connection issues)
-    console.error('Worker error:', err);
+    worker.on('completed', (job, result) => {
+      console.log(`✅ Job ${job.id} (${job.name}) completed successfully.`);
+    });
+
+    worker.on('failed', (job, err) => {
+      // Logging is already done in the main try/catch, but this event is useful for other monitoring
+      console.error(`❌ Job ${job.id} (${job.name}) failed event:`, err.message);
+    });
+
+    worker.on('error', err => {
+      // Generic worker errors (e.g., connection issues)
+      console.error(`Worker error (${processor.name}):`, err);
+    });
+
+    return worker;
   });
 
-  console.log('Worker started and listening for jobs...');
+  // Finish the jobs in hand, then close the pooled browsers
+  const shutdown = async (signal) => {
+    console.log(`🛑 ${signal} received, shutting down worker...`);
+    await Promise.all(workers.map(worker => worker.close()));
+    await closeBrowserPool();
+    await closeRateLimiter();
+    await connection.quit();
+    process.exit(0);
+  };
+  process.once('SIGTERM', () => shutdown('SIGTERM'));
+  process.once('SIGINT', () => shutdown('SIGINT'));
+
+  console.log(`Worker started and listening for jobs (concurrency ${listProcessors().map(p => `${p.name}=${p.concurrency}`).join(', ')})...`);
 }
 
 // Main execution
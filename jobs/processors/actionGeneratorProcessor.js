@@ -0,0 +1,46 @@
+// jobs/processors/actionGeneratorProcessor.js
+const { generateActions, MAX_PREVIEW_PAGES } = require('../actionGenerator');
+
+/**
+ * Proposes a scrapeWebPage config for a plain-English goal (see jobs/actionGenerator.js).
+ * Runs as a job because it loads the page, calls the AI backend and dry-runs the proposal,
+ * which takes far too long for an HTTP request; the proposal is the job's result.
+ * @param {object} job - The job object from BullMQ.
+ * @param {object} job.data - The data associated with the job.
+ * @param {string} job.data.url
+ * @param {string} job.data.goal
+ * @param {object} [job.data.previous] - A config proposed earlier, to refine.
+ * @param {string} [job.data.feedback] - What to change about `previous`.
+ * @param {boolean} [job.data.dryRun] - Run the proposal for a preview (default: true).
+ * @param {number} [job.data.previewPages] - Listing pages the dry run visits (default: 2).
+ * @param {AbortSignal} [job.signal] - Aborted when the job times out; the dry run stops with it.
+ * @returns {Promise<object>} - { config, notes, preview, backend, model, usage }.
+ */
+async function actionGeneratorProcessor({ data, signal = new AbortController().signal }) {
+  const { url, goal, previous = null, feedback = null, dryRun = true, previewPages } = data;
+  return generateActions({ url, goal, previous, feedback, dryRun, previewPages, signal });
+}
+
+module.exports = {
+  name: 'generateActions',
+  jobType: 'action_generation',
+  concurrency: 1,
+  maxPendingPerUser: 3, // Each one holds a browser and spends AI tokens
+  schema: {
+    required: ['url', 'goal'],
+    properties: {
+      url: { type: 'string', pattern: '^https?://' },
+      goal: { type: 'string', minLength: 1, maxLength: 2000 },
+      previous: { type: 'object' },
+      feedback: { type: 'string', maxLength: 2000 },
+      dryRun: { type: 'boolean' },
+      previewPages: { type: 'integer', minimum: 1, maximum: MAX_PREVIEW_PAGES },
+    },
+  },
+  options: {
+    // Every attempt costs AI tokens; a failed proposal is better asked for again with feedback
+    attempts: 1,
+    timeout: 10 * 60 * 1000,
+  },
+  process: actionGeneratorProcessor,
+};
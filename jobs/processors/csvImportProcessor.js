@@ -0,0 +1,185 @@
+// jobs/processors/csvImportProcessor.js
+const { UnrecoverableError } = require('bullmq');
+const { prisma } = require('../../lib/prisma');
+const { SUPPORTED_FILE_TYPES, resolveStoragePath, readRecords } = require('../../lib/fileReader');
+const { redact, redactText } = require('../../lib/redact');
+
+const ERROR_BATCH_SIZE = 100;
+const RECORD_BATCH_SIZE = 1000;
+const PROGRESS_EVERY_ROWS = 500;
+
+/**
+ * Imports a stored CSV/XLSX/JSON upload row by row.
+ * Fills in FileUpload.metadata (headers, row_count) and moves upload_status from
+ * 'uploaded' to 'validated', or to 'processing_error' if the file cannot be read.
+ * Rows that fail are written to ErrorLog with their row number instead of failing the job.
+ * In the worker, imported rows are handed to `writeRecords` in batches and only counts are
+ * returned; called without it, the records are returned in the result.
+ * @param {object} job - The job object from BullMQ.
+ * @param {object} job.data - The data associated with the job.
+ * @param {string} job.data.jobId - The DataProcessingJob id.
+ * @param {string} job.data.userId - Owner of the job and the upload.
+ * @param {string} job.data.fileId - The FileUpload to import.
+ * @param {Array<string>} [job.data.requiredColumns] - Columns that must be present and non-empty.
+ * @param {string} [job.data.delimiter] - CSV delimiter (default: ',').
+ * @param {string|number} [job.data.sheet] - XLSX worksheet name or 1-based index.
+ * @param {function} [job.reportProgress] - Called with { current, unit: 'rows' } as rows are read.
+ * @param {function} [job.writeRecords] - async (records) => void, receives the imported rows in batches.
+ * @param {AbortSignal} [job.signal] - Aborted when the job times out; reading stops at the next row.
+ * @returns {Promise<object>} - Row counts and headers (plus the imported records without `writeRecords`).
+ */
+async function csvImportProcessor({ data, reportProgress = async () => {}, writeRecords = null, signal = new AbortController().signal }) {
+  const { jobId, userId, fileId, requiredColumns = [], delimiter, sheet } = data;
+
+  if (!fileId) throw new Error('fileId is required for csvImportProcessor.');
+  if (!Array.isArray(requiredColumns)) throw new Error('requiredColumns must be an array.');
+
+  const file = await prisma.fileUpload.findFirst({
+    where: { file_id: fileId, user_id: userId, deleted_at: null },
+  });
+  if (!file) throw new Error(`File upload ${fileId} not found for user ${userId}.`);
+  if (!SUPPORTED_FILE_TYPES.includes(file.file_type)) {
+    throw new Error(`Unsupported file type: ${file.file_type}. Expected one of ${SUPPORTED_FILE_TYPES.join(', ')}.`);
+  }
+
+  await prisma.fileUpload.update({
+    where: { file_id: fileId },
+    data: { upload_status: 'uploaded' },
+  });
+
+  // Row errors logged by an earlier attempt are replaced by this one's
+  await prisma.errorLog.deleteMany({
+    where: { job_id: jobId, context_data: { path: ['failed_step'], equals: 'csv_import' } },
+  });
+
+  const filePath = resolveStoragePath(file.storage_path);
+  const records = [];
+  let rowsImported = 0;
+  const pendingErrors = [];
+  let headers = [];
+  let rowCount = 0;
+  let rowsFailed = 0;
+
+  const flushErrors = async () => {
+    if (pendingErrors.length === 0) return;
+    await prisma.errorLog.createMany({ data: pendingErrors.splice(0) });
+  };
+
+  const flushRecords = async () => {
+    if (!writeRecords || records.length === 0) return;
+    await writeRecords(records.splice(0));
+  };
+
+  const recordRowError = async (rowNumber, message, raw) => {
+    rowsFailed++;
+    pendingErrors.push({
+      job_id: jobId,
+      user_id: userId,
+      error_message: redactText(`Row ${rowNumber}: ${message}`),
+      severity: 'warning',
+      context_data: {
+        row_number: rowNumber,
+        file_id: fileId,
+        failed_step: 'csv_import',
+        input_snippet: raw === undefined ? null : redactText(JSON.stringify(redact(raw)).slice(0, 500)),
+      },
+    });
+    if (pendingErrors.length >= ERROR_BATCH_SIZE) await flushErrors();
+  };
+
+  console.log(`📥 Importing ${file.file_type.toUpperCase()} upload ${fileId} (${file.original_filename})`);
+
+  try {
+    const rows = readRecords(filePath, file.file_type, {
+      delimiter,
+      sheet,
+      onHeaders: (names) => {
+        headers = names;
+        const missing = requiredColumns.filter(column => !names.includes(column));
+        if (missing.length > 0) {
+          // The file won't change between attempts, so retrying can't help
+          throw new UnrecoverableError(`Missing required column(s): ${missing.join(', ')}`);
+        }
+      },
+    });
+
+    for await (const row of rows) {
+      signal.throwIfAborted();
+      rowCount++;
+      if (rowCount % PROGRESS_EVERY_ROWS === 0) {
+        await reportProgress({ current: rowCount, total: null, unit: 'rows' });
+      }
+
+      if (row.error) {
+        await recordRowError(row.rowNumber, row.error, row.raw);
+        continue;
+      }
+
+      const emptyRequired = requiredColumns.filter(column => row.record[column] === null || row.record[column] === undefined);
+      if (emptyRequired.length > 0) {
+        await recordRowError(row.rowNumber, `Missing value for required column(s): ${emptyRequired.join(', ')}`, row.record);
+        continue;
+      }
+
+      records.push({ row_number: row.rowNumber, ...row.record });
+      rowsImported++;
+      if (records.length >= RECORD_BATCH_SIZE) await flushRecords();
+    }
+
+    await flushRecords();
+    await flushErrors();
+  } catch (error) {
+    await flushErrors().catch(() => {});
+    await prisma.fileUpload.update({
+      where: { file_id: fileId },
+      data: {
+        upload_status: 'processing_error',
+        metadata: { ...(file.metadata || {}), headers, row_count: rowCount, error: error.message },
+      },
+    });
+    throw error;
+  }
+
+  await reportProgress({ current: rowCount, total: rowCount, unit: 'rows' });
+
+  const allRowsFailed = rowCount > 0 && rowsFailed === rowCount;
+  await prisma.fileUpload.update({
+    where: { file_id: fileId },
+    data: {
+      upload_status: allRowsFailed ? 'processing_error' : 'validated',
+      metadata: { ...(file.metadata || {}), headers, row_count: rowCount, rows_failed: rowsFailed },
+    },
+  });
+
+  console.log(`✅ Imported ${rowsImported}/${rowCount} rows from ${file.original_filename} (${rowsFailed} failed)`);
+
+  return {
+    fileId,
+    headers,
+    rows_processed: rowsImported,
+    rows_failed: rowsFailed,
+    row_count: rowCount,
+    ...(writeRecords ? {} : { records }),
+  };
+}
+
+module.exports = {
+  name: 'csvImport',
+  jobType: 'csv_import',
+  concurrency: 2,
+  schema: {
+    required: ['fileId'],
+    properties: {
+      fileId: { type: 'string', minLength: 1 },
+      requiredColumns: { type: 'array', items: { type: 'string' } },
+      delimiter: { type: 'string', minLength: 1, maxLength: 1 },
+      sheet: { type: ['string', 'integer'] },
+    },
+  },
+  options: {
+    attempts: 2,
+    backoff: { type: 'fixed', delay: 5000 },
+    timeout: 30 * 60 * 1000,
+  },
+  process: csvImportProcessor,
+};
@@ -0,0 +1,426 @@
+// jobs/processors/formSubmitProcessor.js
+const { prisma } = require('../../lib/prisma');
+const { SUPPORTED_FILE_TYPES, resolveStoragePath, readRecords } = require('../../lib/fileReader');
+const { collectRecords } = require('../../lib/records');
+const { parseDate } = require('../../lib/transformRules');
+const { renderTemplate } = require('../../lib/template');
+const { PUPPETEER_OPTIONS_SCHEMA, setupPage, sleep } = require('../../lib/browser');
+const { acquireBrowserContext } = require('../../lib/browserPool');
+const { openSiteSession } = require('../../lib/siteSessions');
+const { readRecordBatches } = require('../recordSink');
+
+const FIELD_TYPES = ['text', 'select', 'checkbox', 'radio', 'date', 'file'];
+const TRUTHY_VALUES = ['true', 'yes', 'y', '1', 'on', 'x', 'checked'];
+
+/**
+ * Load the records to submit: inline `records`, a stored upload (`fileId`) or the
+ * records of one of the user's earlier jobs (`sourceJobId`).
+ */
+async function loadInputRecords({ userId, records, fileId, sourceJobId, sourceFields, delimiter, sheet }) {
+  if (Array.isArray(records)) return records;
+
+  if (fileId) {
+    const file = await prisma.fileUpload.findFirst({
+      where: { file_id: fileId, user_id: userId, deleted_at: null },
+    });
+    if (!file) throw new Error(`File upload ${fileId} not found for user ${userId}.`);
+    if (!SUPPORTED_FILE_TYPES.includes(file.file_type)) {
+      throw new Error(`Unsupported file type: ${file.file_type}. Expected one of ${SUPPORTED_FILE_TYPES.join(', ')}.`);
+    }
+
+    const rows = [];
+    for await (const row of readRecords(resolveStoragePath(file.storage_path), file.file_type, { delimiter, sheet })) {
+      if (row.error) {
+        console.warn(`⚠️ Skipping unreadable row ${row.rowNumber} of ${file.original_filename}: ${row.error}`);
+        continue;
+      }
+      rows.push({ row_number: row.rowNumber, ...row.record });
+    }
+    return rows;
+  }
+
+  if (sourceJobId) {
+    const result = await prisma.processingResult.findFirst({
+      where: {
+        job_id: sourceJobId,
+        user_id: userId,
+        status: 'success',
+        AND: [{ result_type: { not: 'transformed_data_link' } }, { NOT: { result_type: { endsWith: '_records' } } }],
+      },
+      orderBy: { created_at: 'desc' },
+    });
+    if (!result) throw new Error(`No results found for source job ${sourceJobId}.`);
+    if (result.data.record_batches) {
+      // Streamed results (csvImport) keep their records in batches next to the summary
+      const rows = [];
+      for await (const batch of readRecordBatches(sourceJobId, result.result_type.replace(/_result$/, ''))) rows.push(...batch);
+      return rows;
+    }
+    return collectRecords(result.data, sourceFields);
+  }
+
+  throw new Error('One of records, fileId or sourceJobId is required for formSubmitProcessor.');
+}
+
+function toBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  if (value === null || value === undefined) return false;
+  return TRUTHY_VALUES.includes(String(value).trim().toLowerCase());
+}
+
+// Format a parsed date with YYYY / MM / DD tokens, for date pickers that take typed text
+function formatDate(date, format) {
+  const pad = number => String(number).padStart(2, '0');
+  return format
+    .replace('YYYY', date.getUTCFullYear())
+    .replace('MM', pad(date.getUTCMonth() + 1))
+    .replace('DD', pad(date.getUTCDate()));
+}
+
+// Set a value the way a user would have, so frameworks listening for input/change notice it
+function setElementValue(element, value) {
+  const prototype = element instanceof HTMLTextAreaElement ? HTMLTextAreaElement.prototype
+    : element instanceof HTMLSelectElement ? HTMLSelectElement.prototype
+      : HTMLInputElement.prototype;
+  const setter = Object.getOwnPropertyDescriptor(prototype, 'value').set;
+  setter.call(element, value);
+  element.dispatchEvent(new Event('input', { bubbles: true }));
+  element.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+async function fillText(page, field, value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  if (field.clear !== false) {
+    await page.$eval(field.selector, setElementValue, '');
+  }
+  if (field.typeDelay === undefined) {
+    // Fast path: set the value directly
+    await page.$eval(field.selector, setElementValue, text);
+  } else {
+    await page.type(field.selector, text, { delay: field.typeDelay });
+  }
+}
+
+// Options can be matched by value or by their visible label
+async function fillSelect(page, field, value) {
+  const wanted = (Array.isArray(value) ? value : [value]).map(item => String(item ?? '').trim());
+  const matched = await page.$eval(field.selector, (select, wantedValues) => {
+    const options = Array.from(select.options);
+    const chosen = wantedValues
+      .map(wantedValue => options.find(option => option.value === wantedValue)
+        || options.find(option => option.textContent.trim().toLowerCase() === wantedValue.toLowerCase()))
+      .filter(Boolean);
+    if (chosen.length === 0) return [];
+    options.forEach(option => { option.selected = chosen.includes(option); });
+    select.dispatchEvent(new Event('input', { bubbles: true }));
+    select.dispatchEvent(new Event('change', { bubbles: true }));
+    return chosen.map(option => option.value);
+  }, wanted);
+
+  if (matched.length === 0) {
+    throw new Error(`No option matching "${wanted.join(', ')}" in ${field.selector}`);
+  }
+}
+
+async function fillCheckbox(page, field, value) {
+  const wanted = toBoolean(value);
+  const checked = await page.$eval(field.selector, element => element.checked);
+  if (checked !== wanted) await page.click(field.selector);
+}
+
+// `selector` matches the whole radio group; the button is picked by value or label text
+async function fillRadio(page, field, value) {
+  const wanted = String(value ?? '').trim();
+  const index = await page.$$eval(field.selector, (radios, wantedValue) => {
+    const labelOf = radio => (radio.labels && radio.labels[0] ? radio.labels[0].textContent.trim() : '');
+    let match = radios.findIndex(radio => radio.value === wantedValue);
+    if (match === -1) match = radios.findIndex(radio => labelOf(radio).toLowerCase() === wantedValue.toLowerCase());
+    return match;
+  }, wanted);
+
+  if (index === -1) throw new Error(`No radio button matching "${wanted}" in ${field.selector}`);
+  const radios = await page.$$(field.selector);
+  await radios[index].click();
+}
+
+async function fillDate(page, field, value) {
+  const date = parseDate(value, field.inputFormats);
+  if (!date) throw new Error(`Cannot parse date from "${value}" for ${field.selector}`);
+
+  const inputType = await page.$eval(field.selector, element => element.type);
+  if (['date', 'datetime-local', 'month'].includes(inputType)) {
+    const iso = date.toISOString();
+    const formatted = inputType === 'date' ? iso.slice(0, 10) : inputType === 'month' ? iso.slice(0, 7) : iso.slice(0, 16);
+    await page.$eval(field.selector, setElementValue, formatted);
+    return;
+  }
+
+  // Text-based date pickers: type the date in the format the widget expects
+  await fillText(page, { ...field, typeDelay: field.typeDelay ?? 0 }, formatDate(date, field.format || 'YYYY-MM-DD'));
+  if (field.closePicker !== false) await page.keyboard.press('Escape');
+}
+
+// File inputs take the id of one of the user's uploads, never an arbitrary path
+async function fillFile(page, field, value, { userId }) {
+  const fileIds = (Array.isArray(value) ? value : [value]).filter(Boolean).map(String);
+  if (fileIds.length === 0) return;
+
+  const files = await prisma.fileUpload.findMany({
+    where: { file_id: { in: fileIds }, user_id: userId, deleted_at: null },
+  });
+  if (files.length !== fileIds.length) {
+    throw new Error(`File upload(s) not found for ${field.selector}: ${fileIds.join(', ')}`);
+  }
+
+  const input = await page.$(field.selector);
+  if (!input) throw new Error(`File input not found: ${field.selector}`);
+  await input.uploadFile(...files.map(file => resolveStoragePath(file.storage_path)));
+}
+
+const FILLERS = {
+  text: fillText,
+  select: fillSelect,
+  checkbox: fillCheckbox,
+  radio: fillRadio,
+  date: fillDate,
+  file: fillFile,
+};
+
+async function fillField(page, field, record, context) {
+  const value = renderTemplate(field.value, { record });
+  const type = field.type || 'text';
+  if ((value === null || value === undefined || value === '') && field.skipEmpty) return;
+
+  await page.waitForSelector(field.selector, { timeout: field.timeout });
+  await FILLERS[type](page, field, value, context);
+}
+
+/**
+ * Wait until the page shows the submission succeeded (or failed).
+ * Resolves with { ok, message }.
+ */
+async function checkSubmission(page, success, failure, timeout) {
+  const checks = [];
+
+  if (success.selector) {
+    checks.push(page.waitForSelector(success.selector, { timeout }).then(() => ({ ok: true })));
+  }
+  if (success.text) {
+    checks.push(page.waitForFunction(
+      text => document.body && document.body.innerText.includes(text),
+      { timeout },
+      success.text
+    ).then(() => ({ ok: true })));
+  }
+  if (success.urlContains) {
+    checks.push(page.waitForFunction(
+      fragment => window.location.href.includes(fragment),
+      { timeout },
+      success.urlContains
+    ).then(() => ({ ok: true })));
+  }
+  if (failure && failure.selector) {
+    checks.push(page.waitForSelector(failure.selector, { timeout }).then(async (handle) => {
+      const message = await handle.evaluate(element => element.textContent.trim()).catch(() => '');
+      return { ok: false, message: message || `Failure indicator ${failure.selector} appeared` };
+    }));
+  }
+
+  // The first indicator to show up wins; if none do, every wait times out
+  try {
+    return await Promise.any(checks);
+  } catch {
+    return { ok: false, message: `No success indicator within ${timeout}ms` };
+  }
+}
+
+/**
+ * Form submission processor: fills and submits a web form once per input record.
+ * Each record produces one result row with status 'passed' or 'failed'; a failing
+ * record does not fail the job.
+ * @param {object} job - The job object from BullMQ.
+ * @param {object} job.data - The data associated with the job.
+ * @param {string} job.data.url - Form page; may use {{record.field}} placeholders.
+ * @param {Array<object>} [job.data.records] - Records to submit inline.
+ * @param {string} [job.data.fileId] - Upload (CSV/XLSX/JSON) to read records from.
+ * @param {string} [job.data.sourceJobId] - Earlier job whose result records are submitted.
+ * @param {Array<object>} job.data.fields - { selector, value, type?, ... } mapping; value uses {{record.field}}.
+ * @param {string} job.data.submitSelector - Element clicked to submit the form.
+ * @param {object} job.data.success - { selector?, text?, urlContains? } proving the submission worked.
+ * @param {object} [job.data.failure] - { selector } of an error message that marks the record failed.
+ * @param {string} [job.data.session] - Name of a saved site session to log in with first.
+ * @param {boolean} [job.data.stopOnFailure] - Stop after the first failed record (default: false).
+ * @param {number} [job.data.delayBetweenRecords] - Pause between submissions (ms).
+ * @param {object} [job.rawData] - job.data before {{secret:NAME}} references were resolved.
+ * @param {function} [job.reportProgress] - Called with { current, total, unit: 'records' } after each record.
+ * @param {AbortSignal} [job.signal] - Aborted when the job times out: the browser context is released and no more records are submitted.
+ * @returns {Promise<object>} - Pass/fail counts and one result row per record.
+ */
+async function formSubmitProcessor({ data, rawData = data, reportProgress = async () => {}, signal = new AbortController().signal }) {
+  const {
+    userId,
+    url,
+    fields = [],
+    submitSelector,
+    success = {},
+    failure,
+    session,
+    puppeteerOptions = {},
+    timeout = 30000,
+    successTimeout = 10000,
+    stopOnFailure = false,
+    delayBetweenRecords = 0,
+  } = data;
+
+  if (!url) throw new Error('URL is required for formSubmitProcessor.');
+  if (!submitSelector) throw new Error('submitSelector is required for formSubmitProcessor.');
+  if (!success.selector && !success.text && !success.urlContains) {
+    throw new Error('success needs a selector, text or urlContains to verify submissions.');
+  }
+  const unknownType = fields.find(field => field.type && !FIELD_TYPES.includes(field.type));
+  if (unknownType) throw new Error(`Unknown field type: ${unknownType.type}`);
+
+  const inputRecords = await loadInputRecords(data);
+  // Result rows echo each record as submitted, but with its {{secret:NAME}} references rather than their values
+  const echoedRecords = Array.isArray(rawData.records) ? rawData.records : inputRecords;
+  const results = [];
+  let lease = null;
+  const releaseOnAbort = () => lease && lease.release();
+
+  console.log(`📝 Submitting ${inputRecords.length} records to ${url}`);
+
+  try {
+    lease = await acquireBrowserContext(puppeteerOptions);
+    signal.throwIfAborted();
+    signal.addEventListener('abort', releaseOnAbort, { once: true });
+    const page = await lease.context.newPage();
+    await setupPage(page, { timeout, viewport: puppeteerOptions.defaultViewport });
+
+    if (session) {
+      await openSiteSession(page, { userId, name: session, timeout });
+    }
+
+    for (let index = 0; index < inputRecords.length; index++) {
+      signal.throwIfAborted();
+      const record = inputRecords[index];
+      const row = { row_number: record.row_number ?? index + 1, status: 'passed', error: null, page_url: null, input: echoedRecords[index] };
+
+      try {
+        const formUrl = renderTemplate(url, { record });
+        if (!/^https?:\/\//.test(String(formUrl))) throw new Error(`Invalid form URL: ${formUrl}`);
+        await page.goto(formUrl, { waitUntil: 'networkidle2', timeout });
+
+        for (const field of fields) {
+          try {
+            await fillField(page, field, record, { userId });
+          } catch (error) {
+            throw new Error(`Field ${field.name || field.selector}: ${error.message}`);
+          }
+        }
+
+        await page.waitForSelector(submitSelector, { timeout });
+        const outcome = checkSubmission(page, success, failure, successTimeout);
+        await page.click(submitSelector);
+        const { ok, message } = await outcome;
+        if (!ok) throw new Error(message);
+      } catch (error) {
+        row.status = 'failed';
+        row.error = error.message;
+      }
+
+      row.page_url = page.url();
+      results.push(row);
+      console.log(`${row.status === 'passed' ? '✅' : '❌'} Record ${row.row_number}: ${row.status}${row.error ? ` (${row.error})` : ''}`);
+      await reportProgress({ current: index + 1, total: inputRecords.length, unit: 'records' });
+
+      if (row.status === 'failed' && stopOnFailure) {
+        console.log('🛑 Stopping after first failed record (stopOnFailure).');
+        break;
+      }
+      if (delayBetweenRecords > 0 && index < inputRecords.length - 1) await sleep(delayBetweenRecords);
+    }
+  } finally {
+    signal.removeEventListener('abort', releaseOnAbort);
+    if (lease) {
+      await lease.release().catch(err => console.error('Error releasing browser context:', err.message));
+    }
+  }
+
+  const passed = results.filter(row => row.status === 'passed').length;
+  console.log(`📊 Form submission finished: ${passed} passed, ${results.length - passed} failed, ${inputRecords.length - results.length} not attempted`);
+
+  return {
+    url,
+    records_total: inputRecords.length,
+    rows_processed: passed,
+    rows_failed: results.length - passed,
+    rows_skipped: inputRecords.length - results.length,
+    records: results,
+  };
+}
+
+module.exports = {
+  name: 'submitForms',
+  jobType: 'form_entry_puppeteer',
+  concurrency: 2,
+  schema: {
+    required: ['url', 'fields', 'submitSelector', 'success'],
+    anyOf: [{ required: ['records'] }, { required: ['fileId'] }, { required: ['sourceJobId'] }],
+    properties: {
+      url: { type: 'string', pattern: '^(https?://|\\{\\{)' },
+      records: { type: 'array', items: { type: 'object' } },
+      fileId: { type: 'string', minLength: 1 },
+      sourceJobId: { type: 'string', minLength: 1 },
+      sourceFields: { type: 'array', items: { type: 'string' } },
+      delimiter: { type: 'string', minLength: 1, maxLength: 1 },
+      sheet: { type: ['string', 'integer'] },
+      fields: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['selector', 'value'],
+          properties: {
+            selector: { type: 'string', minLength: 1 },
+            value: {},
+            type: { enum: FIELD_TYPES },
+            name: { type: 'string' },
+            clear: { type: 'boolean' },
+            skipEmpty: { type: 'boolean' },
+            typeDelay: { type: 'integer', minimum: 0 },
+            format: { type: 'string' },
+            inputFormats: { type: 'array', items: { type: 'string' } },
+            closePicker: { type: 'boolean' },
+            timeout: { type: 'integer', minimum: 1 },
+          },
+        },
+      },
+      submitSelector: { type: 'string', minLength: 1 },
+      success: {
+        type: 'object',
+        minProperties: 1,
+        properties: {
+          selector: { type: 'string' },
+          text: { type: 'string' },
+          urlContains: { type: 'string' },
+        },
+      },
+      failure: {
+        type: 'object',
+        properties: { selector: { type: 'string' } },
+      },
+      session: { type: 'string', minLength: 1 },
+      puppeteerOptions: PUPPETEER_OPTIONS_SCHEMA,
+      timeout: { type: 'integer', minimum: 1 },
+      successTimeout: { type: 'integer', minimum: 1 },
+      stopOnFailure: { type: 'boolean' },
+      delayBetweenRecords: { type: 'integer', minimum: 0 },
+    },
+  },
+  options: {
+    // Retrying the whole job would submit the records that already passed a second time
+    attempts: 1,
+    timeout: 60 * 60 * 1000,
+  },
+  process: formSubmitProcessor,
+};
@@ -0,0 +1,273 @@
+// jobs/processors/puppeteer/aiExtract.js
+const Ajv = require('ajv');
+const { getAdvisor } = require('../../../ai-advisor');
+const { redactText } = require('../../../lib/redact');
+
+const DEFAULT_CHUNK_CHARS = 12000;
+const DEFAULT_MAX_CHUNKS = 10;
+const DEFAULT_ATTEMPTS = 2;
+const SYSTEM_PROMPT = 'You extract structured data from web page text. Use only information present in the text, use null for fields it does not contain, and never invent values.';
+
+const MAX_CACHED_VALIDATORS = 100;
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+// Schema JSON -> { schema, validate }, least recently used first. Schemas come from job configs,
+// so the cache is bounded, and an evicted schema is dropped from Ajv's own cache as well.
+const validators = new Map();
+
+function compile(schema) {
+  const key = JSON.stringify(schema);
+  const cached = validators.get(key);
+  if (cached) {
+    validators.delete(key);
+    validators.set(key, cached);
+    return cached.validate;
+  }
+
+  let validate;
+  try {
+    validate = ajv.compile(schema);
+  } catch (error) {
+    ajv.removeSchema(schema);
+    throw new Error(`Invalid aiExtract schema: ${error.message}`);
+  }
+  if (validators.size >= MAX_CACHED_VALIDATORS) {
+    const [oldestKey, oldest] = validators.entries().next().value;
+    validators.delete(oldestKey);
+    ajv.removeSchema(oldest.schema);
+  }
+  validators.set(key, { schema, validate });
+  return validate;
+}
+
+function describeErrors(errors) {
+  return (errors || []).map(error => `${error.instancePath || '/'} ${error.message}`);
+}
+
+// What the model must return: one entry per item, its data plus a 0-1 confidence per field
+function responseSchema(itemSchema, fields) {
+  return {
+    type: 'object',
+    required: ['items'],
+    properties: {
+      items: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['data', 'confidence'],
+          properties: {
+            data: itemSchema,
+            confidence: {
+              type: 'object',
+              properties: Object.fromEntries(fields.map(field => [field, { type: 'number', minimum: 0, maximum: 1 }])),
+            },
+          },
+        },
+      },
+    },
+  };
+}
+
+// Split page text into chunks of at most `maxChars`, on line boundaries where possible
+function chunkText(text, maxChars) {
+  const chunks = [];
+  let current = '';
+  for (const line of text.split('\n')) {
+    for (let start = 0; start === 0 || start < line.length; start += maxChars) {
+      const piece = line.slice(start, start + maxChars);
+      if (current && current.length + piece.length + 1 > maxChars) {
+        chunks.push(current);
+        current = '';
+      }
+      current += current ? `\n${piece}` : piece;
+    }
+  }
+  chunks.push(current);
+  return chunks.filter(chunk => chunk.trim());
+}
+
+function addUsage(total, usage) {
+  if (!usage) return;
+  for (const key of ['prompt_tokens', 'completion_tokens', 'total_tokens']) {
+    total[key] += usage[key] || 0;
+  }
+}
+
+function buildPrompt({ action, itemSchema, many, chunk, index, count, pageUrl, problems }) {
+  const sections = [
+    many
+      ? 'Extract every item described by this JSON schema from the page text below.'
+      : 'Extract the fields described by this JSON schema from the page text below.',
+    `Schema: ${JSON.stringify(itemSchema)}`,
+  ];
+  if (action.instructions) sections.push(`Instructions: ${action.instructions}`);
+  sections.push(`Reply with {"items": [{"data": {...}, "confidence": {"<field>": <0 to 1>}}]}: ${many ? 'one entry per item found, or an empty list' : 'a single entry, or an empty list if none of the fields are present'}. "confidence" is how sure you are of each field's value.`);
+  if (problems.length > 0) {
+    sections.push(`Your previous reply did not match the schema:\n${problems.map(problem => `- ${problem}`).join('\n')}`);
+  }
+  sections.push(`Page text${count > 1 ? ` (part ${index + 1} of ${count})` : ''} from ${pageUrl}:\n---\n${chunk}\n---`);
+
+  // Nothing reaches the AI backend without going through the redaction layer
+  return redactText(sections.join('\n\n'));
+}
+
+/**
+ * Ask for one chunk's items until the reply matches the schema or `attempts` run out; on
+ * the last attempt the items that do match are kept and the rest counted as invalid.
+ */
+async function extractChunk(advisor, { action, itemSchema, fields, many, chunk, index, count, pageUrl, attempts, usage }) {
+  const validateReply = compile(responseSchema(itemSchema, fields));
+  const validateItem = compile(itemSchema);
+  let problems = [];
+
+  for (let attempt = 1; ; attempt++) {
+    const reply = await advisor.complete(
+      buildPrompt({ action, itemSchema, many, chunk, index, count, pageUrl, problems }),
+      { system: SYSTEM_PROMPT, jsonSchema: { name: 'extraction', schema: responseSchema(itemSchema, fields) }, temperature: 0 }
+    );
+    addUsage(usage, reply.usage);
+
+    let parsed = null;
+    try {
+      parsed = JSON.parse(String(reply.text).match(/\{[\s\S]*\}/)[0]);
+    } catch (error) {
+      problems = ['The reply was not a JSON object.'];
+    }
+
+    if (parsed && validateReply(parsed)) return { items: parsed.items, invalid: 0, model: reply.model, attempts: attempt };
+    if (parsed) problems = describeErrors(validateReply.errors);
+
+    if (attempt >= attempts) {
+      const candidates = parsed && Array.isArray(parsed.items) ? parsed.items : [];
+      const items = candidates.filter(item => item && typeof item === 'object' && validateItem(item.data));
+      console.warn(`🤖 aiExtract part ${index + 1}/${count}: reply still off-schema after ${attempts} attempts (${problems.slice(0, 3).join('; ')})`);
+      return { items: items.map(item => ({ data: item.data, confidence: item.confidence || {} })), invalid: candidates.length - items.length, model: reply.model, attempts: attempt };
+    }
+    console.warn(`🤖 aiExtract part ${index + 1}/${count}: reply did not match the schema, retrying (${problems.slice(0, 3).join('; ')})`);
+  }
+}
+
+// Single-object mode: each field from the chunk that gave it with the highest confidence
+function mergeFields(items, fields) {
+  const data = {};
+  const confidence = {};
+  for (const field of fields) {
+    for (const item of items) {
+      const value = item.data[field];
+      const score = typeof item.confidence[field] === 'number' ? item.confidence[field] : 0;
+      if (value !== null && value !== undefined && (!(field in data) || score > confidence[field])) {
+        data[field] = value;
+        confidence[field] = score;
+      }
+    }
+  }
+  return { data, confidence };
+}
+
+function averageConfidence(confidences, fields) {
+  return Object.fromEntries(fields.map((field) => {
+    const scores = confidences.map(confidence => confidence[field]).filter(score => typeof score === 'number');
+    return [field, scores.length > 0 ? Number((scores.reduce((sum, score) => sum + score, 0) / scores.length).toFixed(3)) : null];
+  }));
+}
+
+/**
+ * aiExtract: pull structured fields out of free-form page text with the AI advisor
+ * (structured output), for pages CSS selectors can't handle. The text of `selector`
+ * (default: the whole page) is split into chunks of `maxChunkChars`; each reply is
+ * validated against `schema` and re-requested on mismatch, up to `attempts` times.
+ * @param {object} action
+ * @param {object} action.schema - JSON schema of one item (an object with `properties`).
+ * @param {boolean} [action.many] - A list of items (default) or a single object (false).
+ * @param {string} [action.selector] - Element whose text is read (default: body).
+ * @param {string} [action.instructions] - Extra guidance for the model.
+ * @param {number} [action.maxChunkChars] - Characters per request (default: 12000).
+ * @param {number} [action.maxChunks] - Requests per page; longer text is cut (default: 10).
+ * @param {number} [action.attempts] - Tries per chunk when the reply doesn't match the schema (default: 2).
+ * @param {import('puppeteer').Page} page
+ * @returns {Promise<{ value: *, extraction: object }>} - The items (or object), and per-field
+ *   confidence, token usage and request counts for the page result.
+ */
+async function aiExtract(action, page) {
+  const itemSchema = action.schema;
+  if (!itemSchema || typeof itemSchema !== 'object' || !itemSchema.properties) {
+    throw new Error('schema with properties required for aiExtract action');
+  }
+  compile(itemSchema);
+  const advisor = getAdvisor();
+  if (!advisor.configured) throw new Error('aiExtract needs an AI advisor (AI_BACKEND / OPENAI_API_KEY)');
+
+  const many = action.many !== false;
+  const fields = Object.keys(itemSchema.properties);
+  const selector = action.selector || 'body';
+  const attempts = Number(action.attempts) || DEFAULT_ATTEMPTS;
+  const maxChunks = Number(action.maxChunks) || DEFAULT_MAX_CHUNKS;
+
+  await page.waitForSelector(selector, { timeout: 5000 });
+  const text = await page.$eval(selector, el => el.innerText || el.textContent || '');
+  const allChunks = chunkText(text, Number(action.maxChunkChars) || DEFAULT_CHUNK_CHARS);
+  const chunks = allChunks.slice(0, maxChunks);
+  if (allChunks.length > chunks.length) {
+    console.warn(`🤖 aiExtract: page text needs ${allChunks.length} parts, only the first ${maxChunks} are read (maxChunks)`);
+  }
+
+  const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+  const extraction = { model: advisor.model, chunks: chunks.length, truncated: allChunks.length > chunks.length, requests: 0, invalidItems: 0, usage };
+  const found = [];
+  const pageUrl = page.url();
+  const partialSchema = many ? itemSchema : { ...itemSchema, required: [] }; // Single-object fields may be spread over chunks
+
+  for (const [index, chunk] of chunks.entries()) {
+    const result = await extractChunk(advisor, { action, itemSchema: partialSchema, fields, many, chunk, index, count: chunks.length, pageUrl, attempts, usage });
+    extraction.model = result.model || extraction.model;
+    extraction.requests += result.attempts;
+    extraction.invalidItems += result.invalid;
+    found.push(...(many ? result.items : result.items.slice(0, 1)));
+  }
+
+  if (many) {
+    const seen = new Set();
+    const items = found.filter((item) => {
+      const key = JSON.stringify(item.data);
+      if (seen.has(key)) return false; // Items repeated where chunks meet
+      seen.add(key);
+      return true;
+    });
+    extraction.confidence = items.map(item => item.confidence);
+    extraction.fieldConfidence = averageConfidence(extraction.confidence, fields);
+    console.log(`🤖 aiExtract: ${items.length} items for "${action.name || selector}" (${usage.total_tokens} tokens)`);
+    return { value: items.map(item => item.data), extraction };
+  }
+
+  const { data, confidence } = mergeFields(found, fields);
+  const validate = compile(itemSchema);
+  if (found.length > 0 && !validate(data)) {
+    throw new Error(`aiExtract result does not match the schema: ${describeErrors(validate.errors).join('; ')}`);
+  }
+  extraction.confidence = confidence;
+  extraction.fieldConfidence = confidence;
+  console.log(`🤖 aiExtract: ${Object.keys(data).length}/${fields.length} fields for "${action.name || selector}" (${usage.total_tokens} tokens)`);
+  return { value: found.length > 0 ? data : null, extraction };
+}
+
+/**
+ * Token usage of every aiExtract action across page results (pages and detail pages).
+ * @returns {object|null} - { requests, prompt_tokens, completion_tokens, total_tokens, model }, or null if none ran.
+ */
+function summarizeAiExtractions(pageResults) {
+  const extractions = pageResults.flatMap(pageResult => Object.values((pageResult && pageResult.aiExtractions) || {}));
+  if (extractions.length === 0) return null;
+
+  const total = { requests: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, model: extractions[0].model };
+  for (const extraction of extractions) {
+    total.requests += extraction.requests;
+    addUsage(total, extraction.usage);
+  }
+  return total;
+}
+
+module.exports = {
+  chunkText,
+  aiExtract,
+  summarizeAiExtractions,
+};
@@ -0,0 +1,169 @@
+// jobs/processors/puppeteer/network.js
+const { sleep } = require('../../../lib/browser');
+const { getPath } = require('../../../lib/template');
+const { compileUrlPattern } = require('../../../lib/urlPattern');
+
+// Puppeteer resource types a job may block ('document' never: it would break navigation)
+const BLOCKABLE_RESOURCE_TYPES = [
+  'stylesheet', 'image', 'media', 'font', 'script', 'texttrack', 'xhr', 'fetch', 'prefetch',
+  'eventsource', 'websocket', 'manifest', 'signedexchange', 'ping', 'cspviolationreport', 'preflight', 'other',
+];
+const CAPTURED_RESOURCE_TYPES = ['xhr', 'fetch'];
+const DEFAULT_BUFFER_SIZE = 100;
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+const DEFAULT_CAPTURE_TIMEOUT_MS = 10000;
+const CAPTURE_POLL_MS = 100;
+
+// Response recorder of each page that has one (see setupNetwork)
+const recorders = new WeakMap();
+
+/**
+ * Apply a job's `network` options to a page:
+ *  - blockResourceTypes / blockUrlPatterns abort matching requests via request interception;
+ *  - `beforeNavigation` runs before every top-level page load (rate limiting, robots.txt)
+ *    and aborts it when it returns false;
+ *  - with `capture`, JSON responses of XHR/fetch calls are kept in a bounded buffer
+ *    (oldest dropped first, cleared on each full navigation) for captureResponses actions.
+ * @param {import('puppeteer').Page} page
+ * @param {object} [network]
+ * @param {Array<string>} [network.blockResourceTypes] - e.g. ['image', 'font', 'media'].
+ * @param {Array<string>} [network.blockUrlPatterns] - Globs or "/regex/" matched against request URLs.
+ * @param {number} [network.bufferSize] - Responses kept per page (default: 100).
+ * @param {object} [options]
+ * @param {boolean} [options.capture] - Record responses for captureResponses actions.
+ * @param {function(string): Promise<boolean>} [options.beforeNavigation] - Called with the URL of each page load.
+ * @param {object} [options.stats] - Counters updated in place ({ blockedRequests, capturedResponses }).
+ */
+async function setupNetwork(page, network = {}, { capture = false, beforeNavigation = null, stats = {} } = {}) {
+  const blockedTypes = new Set(network.blockResourceTypes || []);
+  const blockedUrls = (network.blockUrlPatterns || []).map(compileUrlPattern);
+  stats.blockedRequests = stats.blockedRequests || 0;
+  stats.capturedResponses = stats.capturedResponses || 0;
+
+  if (blockedTypes.size > 0 || blockedUrls.length > 0 || beforeNavigation) {
+    await page.setRequestInterception(true);
+    page.on('request', async (request) => {
+      if (request.isInterceptResolutionHandled()) return;
+      let blocked = blockedTypes.has(request.resourceType()) ||
+        blockedUrls.some(pattern => pattern.test(request.url()));
+      if (!blocked && beforeNavigation && request.isNavigationRequest() && request.frame() === page.mainFrame()) {
+        blocked = !(await beforeNavigation(request.url()).catch((error) => {
+          console.error(`beforeNavigation failed for ${request.url()}:`, error.message);
+          return true;
+        }));
+      }
+      if (blocked) {
+        stats.blockedRequests++;
+        request.abort('blockedbyclient').catch(() => {});
+      } else {
+        request.continue().catch(() => {});
+      }
+    });
+  }
+
+  if (capture) {
+    const recorder = { responses: [], seq: 0, bufferSize: network.bufferSize || DEFAULT_BUFFER_SIZE };
+    recorders.set(page, recorder);
+
+    // A new document starts with an empty buffer; in-page (pushState) changes keep it
+    page.on('request', (request) => {
+      if (request.isNavigationRequest() && request.frame() === page.mainFrame()) recorder.responses = [];
+    });
+    page.on('response', (response) => {
+      const entry = recordResponse(response, recorder.seq + 1);
+      if (!entry) return;
+      recorder.seq = entry.seq;
+      recorder.responses.push(entry);
+      if (recorder.responses.length > recorder.bufferSize) recorder.responses.shift();
+      stats.capturedResponses++;
+    });
+  }
+}
+
+// Buffer entry for a JSON XHR/fetch response; the body is read right away, before the page can move on
+function recordResponse(response, seq) {
+  const request = response.request();
+  if (!CAPTURED_RESOURCE_TYPES.includes(request.resourceType())) return null;
+  if (response.status() >= 300 && response.status() < 400) return null;
+
+  const headers = response.headers();
+  if (!/json/i.test(headers['content-type'] || '')) return null;
+  if (Number(headers['content-length']) > MAX_BODY_BYTES) return null;
+
+  const entry = { seq, url: response.url(), method: request.method(), status: response.status(), body: undefined };
+  entry.ready = response.text()
+    .then((text) => {
+      if (text.length > MAX_BODY_BYTES) throw new Error('body too large');
+      entry.body = JSON.parse(text);
+    })
+    .catch((error) => {
+      entry.error = error.message;
+    });
+  return entry;
+}
+
+/**
+ * captureResponses: JSON bodies of XHR/fetch responses whose URL matches `urlPattern`.
+ * Responses the page made since it loaded count; with nested `actions` (e.g. a click or
+ * a scroll) only the responses they trigger do. Waits up to `timeout` ms for at least
+ * `minResponses` (default: 1), and returns [{ url, status, body }] - or, with `path`,
+ * the values at that path of each body, arrays flattened (e.g. 'data.items').
+ * @param {object} action
+ * @param {import('puppeteer').Page} page
+ * @param {function(Array<object>): Promise<object>} [runNested] - Runs the nested actions.
+ * @returns {Promise<Array>}
+ */
+async function captureResponses(action, page, runNested) {
+  const recorder = recorders.get(page);
+  if (!recorder) throw new Error('Response capture is not enabled on this page');
+  if (!action.urlPattern) throw new Error('urlPattern required for captureResponses action');
+
+  const pattern = compileUrlPattern(action.urlPattern);
+  const minResponses = action.minResponses ?? 1;
+  const maxResponses = Math.min(action.maxResponses || recorder.bufferSize, recorder.bufferSize);
+  const timeout = action.timeout || DEFAULT_CAPTURE_TIMEOUT_MS;
+
+  let afterSeq = 0;
+  if (Array.isArray(action.actions) && action.actions.length > 0) {
+    afterSeq = recorder.seq;
+    await runNested(action.actions);
+  }
+
+  const matching = () => recorder.responses.filter(entry => entry.seq > afterSeq && pattern.test(entry.url));
+  const deadline = Date.now() + timeout;
+  while (matching().length < minResponses && Date.now() < deadline) {
+    await sleep(CAPTURE_POLL_MS);
+  }
+
+  const entries = matching().slice(-maxResponses);
+  await Promise.all(entries.map(entry => entry.ready));
+  const parsed = entries.filter(entry => entry.error === undefined);
+  if (parsed.length < minResponses) {
+    throw new Error(`Expected ${minResponses} JSON responses matching ${action.urlPattern}, got ${parsed.length}`);
+  }
+  console.log(`📡 Captured ${parsed.length} responses matching ${action.urlPattern}`);
+
+  if (!action.path) return parsed.map(({ url, status, body }) => ({ url, status, body }));
+  return parsed.flatMap((entry) => {
+    const value = getPath(entry.body, action.path);
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+  });
+}
+
+// Whether any action (at any nesting level) is of the given type
+function usesActionType(actions, type) {
+  return (actions || []).some(action => action && (
+    action.type === type ||
+    usesActionType(action.actions, type) ||
+    usesActionType(action.then, type) ||
+    usesActionType(action.else, type)
+  ));
+}
+
+module.exports = {
+  BLOCKABLE_RESOURCE_TYPES,
+  setupNetwork,
+  captureResponses,
+  usesActionType,
+};
@@ -0,0 +1,274 @@
+// jobs/processors/puppeteer/pagination.js
+const { sleep } = require('../../../lib/browser');
+const { getPath, renderTemplate } = require('../../../lib/template');
+const { parseDate } = require('../../../lib/transformRules');
+
+const PAGINATION_MODES = ['nextButton', 'urlPattern', 'infiniteScroll', 'loadMore'];
+const DEFAULT_MAX_PAGES = 10;
+const DEFAULT_MAX_ROUNDS = 20;
+const DEFAULT_CHANGE_TIMEOUT_MS = 10000;
+const DEFAULT_NEW_ITEMS_TIMEOUT_MS = 5000;
+
+/**
+ * Pagination mode for a config: explicit `mode`, or inferred from the options given.
+ * @returns {string|null}
+ */
+function resolvePaginationMode(pagination = {}) {
+  if (pagination.mode) return pagination.mode;
+  if (pagination.urlTemplate) return 'urlPattern';
+  if (pagination.loadMoreSelector) return 'loadMore';
+  if (pagination.nextButtonSelector) return 'nextButton';
+  return null;
+}
+
+/**
+ * URL of page `pageNumber` (1-based) for urlPattern paging.
+ * `{{n}}` is the site's page number (startPage for page 1, default 1),
+ * `{{offset}}` the number of items before the page and `{{limit}}` the page size.
+ */
+function renderPageUrl(pagination, pageNumber) {
+  const pageSize = pagination.pageSize || 0;
+  return renderTemplate(pagination.urlTemplate, {
+    n: (pagination.startPage ?? 1) + pageNumber - 1,
+    offset: (pageNumber - 1) * pageSize,
+    limit: pageSize,
+  });
+}
+
+// Resolve true as soon as one of the promises resolves true, false once all resolved false
+function firstTrue(promises) {
+  return new Promise(resolve => {
+    let pending = promises.length;
+    for (const promise of promises) {
+      promise.then(value => {
+        if (value) resolve(true);
+        else if (--pending === 0) resolve(false);
+      });
+    }
+  });
+}
+
+function isHiddenOrDisabled(el) {
+  const style = window.getComputedStyle(el);
+  return el.disabled ||
+    el.classList.contains('disabled') ||
+    el.getAttribute('aria-disabled') === 'true' ||
+    style.display === 'none' ||
+    style.visibility === 'hidden';
+}
+
+/**
+ * Click the next button and wait until the page actually changed: a navigation, a URL
+ * change (pushState) or new content in `contentSelector` (default: body). Returns false
+ * when there is no usable button or nothing changed, so the same page is never scraped twice.
+ */
+async function clickNextButton(page, pagination) {
+  const nextButton = await page.$(pagination.nextButtonSelector);
+  if (!nextButton) {
+    console.log('📄 Next page button not found');
+    return false;
+  }
+  if (await nextButton.evaluate(isHiddenOrDisabled)) {
+    console.log('📄 Next page button is disabled');
+    return false;
+  }
+
+  const changeTimeout = pagination.changeTimeout || DEFAULT_CHANGE_TIMEOUT_MS;
+  const contentSelector = pagination.contentSelector || 'body';
+  const previousUrl = page.url();
+  const previousContent = await page.$eval(contentSelector, el => el.innerHTML).catch(() => null);
+
+  const navigated = page.waitForNavigation({ waitUntil: 'networkidle2', timeout: changeTimeout })
+    .then(() => true, () => false);
+  const contentChanged = page.waitForFunction(
+    (url, selector, previous) => window.location.href !== url || document.querySelector(selector)?.innerHTML !== previous,
+    { timeout: changeTimeout, polling: 250 },
+    previousUrl,
+    contentSelector,
+    previousContent
+  ).then(() => true, () => false);
+
+  await nextButton.click();
+  console.log('🔄 Clicked next page button');
+
+  if (!(await firstTrue([navigated, contentChanged]))) {
+    console.log(`📄 Page did not change within ${changeTimeout}ms after clicking next`);
+    return false;
+  }
+
+  // In-place (AJAX) updates: let the requests that render the new page settle
+  await page.waitForNetworkIdle({ idleTime: 500, timeout: changeTimeout }).catch(() => {});
+  return true;
+}
+
+async function goToPageUrl(page, pagination, pageNumber, timeout) {
+  const nextUrl = renderPageUrl(pagination, pageNumber);
+  console.log(`🔢 Loading page ${pageNumber}: ${nextUrl}`);
+  const response = await page.goto(nextUrl, { waitUntil: 'networkidle2', timeout });
+  if (response && response.status() >= 400) {
+    console.log(`📄 ${nextUrl} returned HTTP ${response.status()}, ending pagination`);
+    return false;
+  }
+  return true;
+}
+
+function countItems(page, itemSelector) {
+  return page.$$eval(itemSelector, els => els.length);
+}
+
+async function waitForMoreItems(page, itemSelector, previousCount, timeout) {
+  return page.waitForFunction(
+    (selector, count) => document.querySelectorAll(selector).length > count,
+    { timeout, polling: 250 },
+    itemSelector,
+    previousCount
+  ).then(() => true, () => false);
+}
+
+/**
+ * Infinite scroll / load more: keep scrolling (or clicking the button) until no new
+ * `itemSelector` elements appear, the button goes away, or `maxRounds` is reached.
+ * @returns {Promise<{ rounds: number, items: number }>}
+ */
+async function loadAllItems(page, pagination, mode) {
+  const maxRounds = pagination.maxRounds || DEFAULT_MAX_ROUNDS;
+  const waitTimeout = pagination.newItemsTimeout || DEFAULT_NEW_ITEMS_TIMEOUT_MS;
+  let items = await countItems(page, pagination.itemSelector);
+  let rounds = 0;
+
+  while (rounds < maxRounds) {
+    if (mode === 'loadMore') {
+      const button = await page.$(pagination.loadMoreSelector);
+      if (!button || await button.evaluate(isHiddenOrDisabled)) {
+        console.log('📄 No load more button left');
+        break;
+      }
+      await button.click();
+    } else {
+      await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+    }
+
+    if (!(await waitForMoreItems(page, pagination.itemSelector, items, waitTimeout))) {
+      console.log(`📄 No new items after ${mode === 'loadMore' ? 'clicking load more' : 'scrolling'}, done loading`);
+      break;
+    }
+    rounds++;
+    items = await countItems(page, pagination.itemSelector);
+    console.log(`⬇️ Loaded round ${rounds}: ${items} items`);
+    if (pagination.delayBetweenPages) await sleep(pagination.delayBetweenPages);
+  }
+
+  return { rounds, items };
+}
+
+/**
+ * Build the pagination driver for a job's `pagination` config.
+ *  - nextButton / urlPattern: `next(page, currentPage)` moves to the following page,
+ *    `resume(page, lastPage, lastPageUrl)` to the page after a checkpoint.
+ *  - infiniteScroll / loadMore (`loadsInPlace`): `loadAll(page)` expands the single page
+ *    before its actions run.
+ * @returns {object|null} - null when the job does not paginate.
+ */
+function createPaginator(pagination = {}, { timeout } = {}) {
+  const mode = resolvePaginationMode(pagination);
+  if (!mode) return null;
+  if (!PAGINATION_MODES.includes(mode)) {
+    throw new Error(`Unknown pagination mode: ${mode}. Expected one of ${PAGINATION_MODES.join(', ')}.`);
+  }
+  if (mode === 'nextButton' && !pagination.nextButtonSelector) throw new Error('pagination.nextButtonSelector is required for nextButton mode.');
+  if (mode === 'urlPattern' && !pagination.urlTemplate) throw new Error('pagination.urlTemplate is required for urlPattern mode.');
+  if ((mode === 'infiniteScroll' || mode === 'loadMore') && !pagination.itemSelector) {
+    throw new Error(`pagination.itemSelector is required for ${mode} mode.`);
+  }
+  if (mode === 'loadMore' && !pagination.loadMoreSelector) throw new Error('pagination.loadMoreSelector is required for loadMore mode.');
+
+  const loadsInPlace = mode === 'infiniteScroll' || mode === 'loadMore';
+  return {
+    mode,
+    loadsInPlace,
+    maxPages: loadsInPlace ? 1 : pagination.maxPages || DEFAULT_MAX_PAGES,
+    loadAll: page => loadAllItems(page, pagination, mode),
+    async next(page, currentPage) {
+      const moved = mode === 'urlPattern'
+        ? await goToPageUrl(page, pagination, currentPage + 1, timeout)
+        : await clickNextButton(page, pagination);
+      if (moved && pagination.delayBetweenPages) await sleep(pagination.delayBetweenPages);
+      return moved;
+    },
+    // From the start page, move to the page after `lastPage` (resuming from a checkpoint):
+    // straight to its URL when pages have their own, otherwise by clicking through
+    async resume(page, lastPage, lastPageUrl) {
+      if (mode === 'urlPattern') return goToPageUrl(page, pagination, lastPage + 1, timeout);
+      if (lastPageUrl && lastPageUrl !== page.url()) {
+        await page.goto(lastPageUrl, { waitUntil: 'networkidle2', timeout });
+        return clickNextButton(page, pagination);
+      }
+      console.log(`⏩ Clicking through ${lastPage} pages to resume`);
+      for (let n = 1; n <= lastPage; n++) {
+        if (!(await clickNextButton(page, pagination))) return false;
+      }
+      return true;
+    },
+  };
+}
+
+// Values at "name" or "name.field" in a page's results; "field" is read from every item of a list
+function readExtractedValues(pageData, path) {
+  const [name, ...rest] = path.split('.');
+  const source = pageData[name];
+  const items = Array.isArray(source) ? source : [source];
+  return rest.length === 0 ? items : items.map(item => getPath(item, rest.join('.')));
+}
+
+/**
+ * Check `pagination.stopWhen` against a processed page.
+ *  - emptyExtract: 'name' - the extraction came back empty (page dropped).
+ *  - repeatedFirstItem: 'name' - first item equals the previous page's (page dropped; sites
+ *    that serve the last page again for out-of-range page numbers).
+ *  - olderThan: { field: 'name.field', date | days, formats } - an item is dated before the
+ *    cutoff (page kept, nothing after it is loaded).
+ * @param {object} stopWhen
+ * @param {object} pageData - Named results of the page.
+ * @param {object} state - Carried between pages (mutated).
+ * @returns {{ reason: string, keepPage: boolean }|null}
+ */
+function checkStopConditions(stopWhen, pageData, state) {
+  if (!stopWhen) return null;
+
+  if (stopWhen.emptyExtract) {
+    const values = pageData[stopWhen.emptyExtract];
+    if (values === undefined || values === null || (Array.isArray(values) && values.length === 0)) {
+      return { reason: `"${stopWhen.emptyExtract}" extracted nothing`, keepPage: false };
+    }
+  }
+
+  if (stopWhen.repeatedFirstItem) {
+    const [first] = readExtractedValues(pageData, stopWhen.repeatedFirstItem);
+    const key = JSON.stringify(first ?? null);
+    if (state.previousFirstItem !== undefined && key === state.previousFirstItem) {
+      return { reason: `first "${stopWhen.repeatedFirstItem}" item repeated the previous page`, keepPage: false };
+    }
+    state.previousFirstItem = key;
+  }
+
+  if (stopWhen.olderThan) {
+    const { field, date, days, formats } = stopWhen.olderThan;
+    const cutoff = date ? parseDate(date) : new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const older = readExtractedValues(pageData, field)
+      .map(value => parseDate(value, formats))
+      .find(value => value && value < cutoff);
+    if (older) {
+      return { reason: `"${field}" has ${older.toISOString().slice(0, 10)}, older than ${cutoff.toISOString().slice(0, 10)}`, keepPage: true };
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  PAGINATION_MODES,
+  resolvePaginationMode,
+  renderPageUrl,
+  createPaginator,
+  checkStopConditions,
+};
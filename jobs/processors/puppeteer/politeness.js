@@ -0,0 +1,52 @@
+// jobs/processors/puppeteer/politeness.js
+const { UnrecoverableError } = require('bullmq');
+const { DEFAULT_MIN_DELAY_MS, waitForDomainSlot } = require('../../../lib/rateLimiter');
+const { checkRobots } = require('../../../lib/robots');
+
+/**
+ * Build the beforeNavigation hook for a job's `politeness` options: every page load waits
+ * for its domain's rate-limit slot (shared across workers through Redis) and, with
+ * `respectRobotsTxt`, is refused when robots.txt disallows it. A robots.txt Crawl-delay
+ * longer than `minDelayMs` is honoured.
+ * @param {object} [politeness]
+ * @param {number} [politeness.minDelayMs] - Gap between page loads per domain (0 turns rate limiting off).
+ * @param {boolean} [politeness.respectRobotsTxt] - Skip URLs robots.txt disallows.
+ * @param {object} [stats] - Counters updated in place ({ throttledMs, robotsBlocked }).
+ * @returns {function(string): Promise<boolean>|null} - null when there is nothing to enforce.
+ */
+function createNavigationGuard(politeness = {}, stats = {}) {
+  const minDelayMs = politeness.minDelayMs ?? DEFAULT_MIN_DELAY_MS;
+  if (minDelayMs <= 0 && !politeness.respectRobotsTxt) return null;
+  stats.throttledMs = stats.throttledMs || 0;
+  stats.robotsBlocked = stats.robotsBlocked || 0;
+
+  return async (url) => {
+    let delayMs = minDelayMs;
+    if (politeness.respectRobotsTxt) {
+      const robots = await checkRobots(url);
+      if (!robots.allowed) {
+        console.log(`🤖 robots.txt disallows ${url}, skipping`);
+        stats.robotsBlocked++;
+        return false;
+      }
+      if (robots.crawlDelayMs && robots.crawlDelayMs > delayMs) delayMs = robots.crawlDelayMs;
+    }
+
+    stats.throttledMs += await waitForDomainSlot(url, delayMs);
+    return true;
+  };
+}
+
+/**
+ * Fail fast when robots.txt disallows the job's start URL (no point in retrying).
+ */
+async function assertRobotsAllowed(url, politeness = {}) {
+  if (!politeness.respectRobotsTxt) return;
+  const { allowed } = await checkRobots(url);
+  if (!allowed) throw new UnrecoverableError(`robots.txt disallows ${url}`);
+}
+
+module.exports = {
+  createNavigationGuard,
+  assertRobotsAllowed,
+};
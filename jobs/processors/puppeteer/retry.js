@@ -0,0 +1,62 @@
+// jobs/processors/puppeteer/retry.js
+const { sleep } = require('../../../lib/browser');
+
+const DEFAULT_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 30000;
+// Actions that only run other actions; their nested actions are retried instead
+const CONTAINER_ACTIONS = ['forEach', 'if'];
+
+/**
+ * Job-level retry settings with defaults: one attempt per page and per action (no retries),
+ * exponential backoff starting at `backoffMs`.
+ * @param {object} [retry]
+ * @param {number} [retry.pageAttempts] - Tries per page before it counts as failed.
+ * @param {number} [retry.actionAttempts] - Tries per action (an action's own `retry` wins).
+ * @param {number} [retry.backoffMs] - Wait before the first retry; doubled on each further one.
+ */
+function resolveRetryPolicy(retry = {}) {
+  return {
+    pageAttempts: retry.pageAttempts || 1,
+    actionAttempts: retry.actionAttempts || 1,
+    backoffMs: retry.backoffMs ?? DEFAULT_BACKOFF_MS,
+  };
+}
+
+// Attempts and backoff for one action: its `retry` (a number of attempts or { attempts, backoffMs }) or the job's policy
+function actionRetryOptions(action, policy) {
+  if (CONTAINER_ACTIONS.includes(action.type)) return { attempts: 1, backoffMs: 0 };
+  const own = typeof action.retry === 'number' ? { attempts: action.retry } : action.retry || {};
+  return {
+    attempts: own.attempts || policy.actionAttempts,
+    backoffMs: own.backoffMs ?? policy.backoffMs,
+  };
+}
+
+function backoffDelay(backoffMs, retryNumber) {
+  return Math.min(backoffMs * 2 ** (retryNumber - 1), MAX_BACKOFF_MS);
+}
+
+/**
+ * Run `task(attempt)` up to `attempts` times, waiting with exponential backoff in between.
+ * `beforeRetry(attempt, error)` runs after the wait (e.g. to reload the page).
+ * @returns {Promise<*>} - The first successful result; the last error is thrown otherwise.
+ */
+async function withRetry(task, { attempts = 1, backoffMs = DEFAULT_BACKOFF_MS, label = 'Task', beforeRetry } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await task(attempt);
+    } catch (error) {
+      if (attempt >= attempts) throw error;
+      const delay = backoffDelay(backoffMs, attempt);
+      console.warn(`🔁 ${label} failed (attempt ${attempt}/${attempts}): ${error.message}. Retrying in ${delay}ms`);
+      await sleep(delay);
+      if (beforeRetry) await beforeRetry(attempt + 1, error);
+    }
+  }
+}
+
+module.exports = {
+  resolveRetryPolicy,
+  actionRetryOptions,
+  withRetry,
+};
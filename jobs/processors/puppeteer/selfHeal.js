@@ -0,0 +1,279 @@
+// jobs/processors/puppeteer/selfHeal.js
+const { getAdvisor } = require('../../../ai-advisor');
+const { captureDomSnapshot } = require('../../../lib/domSnapshot');
+const { redact, redactText } = require('../../../lib/redact');
+
+// Actions that fail outright when their selector matches nothing
+const HEALABLE_ACTIONS = ['click', 'type', 'extract', 'extractRecords', 'extractTable', 'waitForSelector'];
+// Actions whose selector is expected to match a list of elements
+const LIST_ACTIONS = ['extract', 'extractRecords'];
+const DEFAULT_MAX_SUGGESTIONS = 3;
+const MAX_ROUNDS_PER_SELECTOR = 2; // A rejected suggestion gets one more try, told why
+const DEFAULT_DOM_MAX_LENGTH = 12000;
+const MAX_SAMPLE_VALUES = 3;
+
+// waitForSelector timeouts and page.click/focus/type on a missing element
+function isSelectorMiss(error) {
+  return (error.name === 'TimeoutError' && /selector/i.test(error.message))
+    || /No element found for selector/i.test(error.message);
+}
+
+// Sub-selectors of an extractRecords field map (fields reading the container itself don't count)
+function fieldSelectors(fields) {
+  return Object.values(fields || {})
+    .map(definition => (typeof definition === 'string' ? definition : definition && definition.selector))
+    .filter(selector => selector && selector !== ':scope');
+}
+
+/**
+ * What a selector matches (runs in the browser via $$eval): how many elements, and the
+ * tag, children, visibility and editability of the first one, plus how many of
+ * `subSelectors` it contains.
+ */
+function describeMatchesInPage(elements, subSelectors) {
+  const first = elements[0];
+  if (!first) return { count: 0 };
+
+  const fieldsFound = subSelectors.filter((sub) => {
+    try {
+      return first.querySelector(sub) !== null;
+    } catch (e) {
+      return false;
+    }
+  }).length;
+
+  return {
+    count: elements.length,
+    tag: first.tagName.toLowerCase(),
+    childTags: [...new Set(Array.from(first.children).map(child => child.tagName.toLowerCase()))],
+    visible: Boolean(first.offsetWidth || first.offsetHeight || first.getClientRects().length),
+    editable: first.matches('input, textarea, select, [contenteditable=""], [contenteditable="true"]'),
+    hasAttribute: null,
+    fieldsFound,
+  };
+}
+
+async function describeMatches(page, selector, action) {
+  const shape = await page.$$eval(selector, describeMatchesInPage, fieldSelectors(action.fields));
+  if (shape.count > 0 && action.attribute) {
+    shape.hasAttribute = await page.$eval(selector, (el, attr) => el.hasAttribute(attr), action.attribute);
+  }
+  return shape;
+}
+
+/**
+ * Why a replacement selector's matches don't look like what the action needs, or null when
+ * they do. `known` is what the original selector matched on an earlier page, if it ever did.
+ */
+function shapeMismatch(action, candidate, known) {
+  if (candidate.count === 0) return 'matches nothing';
+  if (action.type === 'type' && !candidate.editable) return `matches a <${candidate.tag}>, which can't be typed into`;
+  if (action.type === 'click' && !candidate.visible) return 'matches an invisible element';
+  if (action.type === 'extractTable' && candidate.tag !== 'table') return `matches a <${candidate.tag}>, not a <table>`;
+  if (action.attribute && !candidate.hasAttribute) return `matched element has no ${action.attribute} attribute`;
+
+  const subSelectors = fieldSelectors(action.fields);
+  if (action.type === 'extractRecords' && candidate.fieldsFound < Math.ceil(subSelectors.length / 2)) {
+    return `only ${candidate.fieldsFound} of ${subSelectors.length} field selectors match inside it`;
+  }
+
+  if (known) {
+    if (candidate.tag !== known.tag) return `matches <${candidate.tag}> where the original matched <${known.tag}>`;
+    if (LIST_ACTIONS.includes(action.type) && known.count > 1 && candidate.count === 1) {
+      return `matches a single element where the original matched ${known.count}`;
+    }
+    const sharedChildren = candidate.childTags.filter(tag => known.childTags.includes(tag)).length;
+    if (known.childTags.length > 0 && sharedChildren * 2 < known.childTags.length) {
+      return 'matched elements have a different structure';
+    }
+  }
+  return null;
+}
+
+function buildPrompt(action, { known, samples, pageUrl, domSnapshot, rejected }) {
+  const intent = {
+    type: action.type,
+    name: action.name,
+    description: action.description,
+    selector: action.selector,
+    attribute: action.attribute,
+    fields: action.fields,
+  };
+  const sections = [
+    `A browser automation step stopped working, most likely because the site changed its markup: the CSS selector "${action.selector}" no longer matches anything on ${pageUrl}.`,
+    `The step: ${JSON.stringify(redact(intent))}`,
+  ];
+  if (known) {
+    sections.push(`On earlier pages it matched ${known.count} <${known.tag}> element(s)${known.childTags.length ? ` containing ${known.childTags.map(tag => `<${tag}>`).join(', ')}` : ''}.`);
+  }
+  if (samples && samples.length > 0) {
+    sections.push(`Values it extracted before: ${JSON.stringify(samples)}`);
+  }
+  sections.push(`Trimmed DOM of the page now:\n${domSnapshot}`);
+  if (rejected.length > 0) {
+    sections.push(`These replacements were already tried and rejected:\n${rejected.map(({ selector, reason }) => `- "${selector}": ${reason}`).join('\n')}`);
+  }
+  sections.push('Reply with only a JSON object {"selector": "<css selector>"} giving the CSS selector that targets the same element(s) in this DOM, or {"selector": null} if there is none. Prefer stable ids, names and data attributes over positions.');
+
+  // Nothing reaches the AI backend without going through the redaction layer
+  return redactText(sections.join('\n\n'));
+}
+
+// The selector from the advisor's reply: {"selector": "..."}, possibly inside a code fence
+function parseSelectorReply(text) {
+  const match = String(text || '').match(/\{[\s\S]*\}/);
+  if (!match) return null;
+  try {
+    const { selector } = JSON.parse(match[0]);
+    return typeof selector === 'string' && selector.trim() ? selector.trim() : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Self-healing for a job's broken selectors. When a selector action fails because its
+ * selector matches nothing, the advisor is shown the action's intent and a trimmed DOM and
+ * asked for a replacement; one whose matches have the right shape is retried, and if the
+ * action then succeeds the replacement is used for the rest of the job and reported as a
+ * proposed config change. Only literal selectors (no {{var}} placeholders) are healed.
+ * @param {boolean|object} [options] - The job's `selfHeal` option; false/undefined turns it off.
+ * @param {number} [options.maxSuggestions] - Advisor calls per job (default: 3).
+ * @param {number} [options.domMaxLength] - DOM excerpt size in characters (default: 12000).
+ * @returns {object|null} - null when self-healing is off or no advisor is configured.
+ */
+function createSelfHealer(options) {
+  if (!options) return null;
+  const { maxSuggestions = DEFAULT_MAX_SUGGESTIONS, domMaxLength = DEFAULT_DOM_MAX_LENGTH } = options === true ? {} : options;
+  const advisor = getAdvisor();
+  if (!advisor.configured) {
+    console.warn('🩹 selfHeal is on but no AI advisor is configured; broken selectors will not be healed');
+    return null;
+  }
+
+  const overrides = new Map(); // Original selector -> accepted replacement
+  const shapes = new Map(); // Selector -> what it matched when it last worked
+  const given = new Set(); // Selectors the advisor already failed to fix
+  const inFlight = new Map(); // Selector -> pending heal, shared by concurrent detail pages
+  const heals = [];
+  let suggestions = 0;
+
+  const healable = (rawAction) => HEALABLE_ACTIONS.includes(rawAction.type)
+    && typeof rawAction.selector === 'string'
+    && !rawAction.selector.includes('{{');
+
+  async function suggest(action, ctx, error) {
+    const known = shapes.get(action.selector) || null;
+    const previous = action.name ? ctx.vars[action.name] : null;
+    const samples = Array.isArray(previous) ? redact(previous.slice(0, MAX_SAMPLE_VALUES)) : null;
+    const pageUrl = ctx.page.url();
+    const domSnapshot = await captureDomSnapshot(ctx.page, { maxLength: domMaxLength });
+    if (!domSnapshot) return null;
+
+    const rejected = [];
+    for (let round = 1; round <= MAX_ROUNDS_PER_SELECTOR && suggestions < maxSuggestions; round++) {
+      suggestions++;
+      console.log(`🩹 Asking the ${advisor.backend} advisor for a replacement for "${action.selector}" (${error.message})`);
+      const { text, model } = await advisor.complete(buildPrompt(action, { known, samples, pageUrl, domSnapshot, rejected }));
+      const selector = parseSelectorReply(text);
+      if (!selector || selector === action.selector) {
+        console.warn(`🩹 No usable replacement suggested for "${action.selector}"`);
+        return null;
+      }
+
+      let mismatch;
+      let candidate = null;
+      try {
+        candidate = await describeMatches(ctx.page, selector, action);
+        mismatch = shapeMismatch(action, candidate, known);
+      } catch (evalError) {
+        mismatch = `not a valid selector (${evalError.message})`;
+      }
+      if (!mismatch) return { selector, model, pageUrl, matches: candidate.count };
+
+      console.warn(`🩹 Rejected suggested selector "${selector}": ${mismatch}`);
+      rejected.push({ selector, reason: mismatch });
+    }
+    return null;
+  }
+
+  return {
+    heals,
+
+    // The action with an already healed selector swapped in
+    applyOverrides(action) {
+      const healed = action.selector && overrides.get(action.selector);
+      return healed ? { ...action, selector: healed, healedFrom: action.selector } : action;
+    },
+
+    // Remember what a working selector matches, to check replacements against later
+    async rememberShape(rawAction, action, page) {
+      if (!healable(rawAction) || action.healedFrom || shapes.has(action.selector)) return;
+      const shape = await describeMatches(page, action.selector, action).catch(() => null);
+      if (shape && shape.count > 0) shapes.set(action.selector, shape);
+    },
+
+    /**
+     * Try to recover from `error`, thrown by `rawAction` (as rendered into `action`).
+     * `run(action)` executes the action with the replacement selector. Rethrows `error`
+     * when it isn't a missing selector or no working replacement is found.
+     */
+    async recover(error, rawAction, action, ctx, run) {
+      if (!healable(rawAction) || action.healedFrom || !isSelectorMiss(error)) throw error;
+      const original = action.selector;
+      if (given.has(original)) throw error;
+
+      if (!inFlight.has(original)) {
+        if (suggestions >= maxSuggestions) {
+          console.warn(`🩹 selfHeal.maxSuggestions (${maxSuggestions}) reached, not healing "${original}"`);
+          throw error;
+        }
+        inFlight.set(original, suggest(action, ctx, error).catch((adviceError) => {
+          console.warn(`🩹 Could not get a replacement for "${original}": ${adviceError.message}`);
+          return null;
+        }));
+      }
+      const suggestion = await inFlight.get(original);
+      if (!suggestion) {
+        given.add(original);
+        inFlight.delete(original);
+        throw error;
+      }
+
+      let result;
+      try {
+        result = await run({ ...action, selector: suggestion.selector });
+      } catch (retryError) {
+        console.warn(`🩹 Action still fails with "${suggestion.selector}": ${retryError.message}`);
+        given.add(original);
+        inFlight.delete(original);
+        throw error;
+      }
+
+      if (!overrides.has(original)) {
+        overrides.set(original, suggestion.selector);
+        heals.push({
+          path: [...ctx.configPath, 'selector'],
+          actionPath: ctx.path.replace(/\.$/, ''),
+          actionType: action.type,
+          name: action.name || null,
+          from: original,
+          to: suggestion.selector,
+          matches: suggestion.matches,
+          pageUrl: suggestion.pageUrl,
+          backend: advisor.backend,
+          model: suggestion.model,
+        });
+        console.log(`🩹 Healed "${original}" -> "${suggestion.selector}" (${suggestion.matches} matches)`);
+      }
+      return result;
+    },
+  };
+}
+
+module.exports = {
+  isSelectorMiss,
+  shapeMismatch,
+  parseSelectorReply,
+  createSelfHealer,
+};
@@ -1,34 +1,92 @@
-const puppeteer = require('puppeteer');
 const fs = require('fs').promises;
 const path = require('path');
+const { PUPPETEER_OPTIONS_SCHEMA, RELATIVE_PATH_PATTERN, setupPage, pickUserAgent, sleep, getScreenshotDir, resolveInside } = require('../../lib/browser');
+const { acquireBrowserContext } = require('../../lib/browserPool');
+const { getPath, renderTemplate } = require('../../lib/template');
+const { openSiteSession } = require('../../lib/siteSessions');
+const { pickProxy } = require('../../lib/proxies');
+const { createUrlFilter, normalizeUrl } = require('../../lib/urlPattern');
+const { isPlainObject } = require('../../lib/records');
+const { captureDomSnapshot } = require('../../lib/domSnapshot');
+const { PAGINATION_MODES, createPaginator, checkStopConditions } = require('./puppeteer/pagination');
+const { BLOCKABLE_RESOURCE_TYPES, setupNetwork, captureResponses, usesActionType } = require('./puppeteer/network');
+const { createNavigationGuard, assertRobotsAllowed } = require('./puppeteer/politeness');
+const { resolveRetryPolicy, actionRetryOptions, withRetry } = require('./puppeteer/retry');
+const { createSelfHealer } = require('./puppeteer/selfHeal');
+const { aiExtract, summarizeAiExtractions } = require('./puppeteer/aiExtract');
 
 /**
  * Puppeteer processor with conditional logic, pagination, and error handling.
  * @param {object} job - The job object from BullMQ.
  * @param {object} job.data - The data associated with the job.
  * @param {string} job.data.url - The URL to scrape.
- * @param {object} [job.data.puppeteerOptions] - Optional Puppeteer launch options.
- * @param {Array<object>} [job.data.actions] - Array of actions to perform on the page.
+ * @param {object} [job.data.puppeteerOptions] - Launch options a job may set: headless and defaultViewport.
+ * @param {string} [job.data.session] - Name of a saved site session to log in with first.
+ * @param {Array<object>} [job.data.actions] - Array of actions to perform on the page. Besides page actions
+ *   this includes control flow (forEach, if, setVariable), aiExtract (AI extraction of schema fields
+ *   from page text, see puppeteer/aiExtract.js) and {{var}} placeholders in action options.
  * @param {object} [job.data.pagination] - Pagination configuration.
+ * @param {string} [job.data.pagination.mode] - nextButton, urlPattern, infiniteScroll or loadMore (inferred if omitted).
  * @param {string} [job.data.pagination.nextButtonSelector] - Selector for next page button.
+ * @param {string} [job.data.pagination.urlTemplate] - Page URL with {{n}}, {{offset}} and {{limit}} placeholders.
+ * @param {string} [job.data.pagination.itemSelector] - Items counted to detect new content (infiniteScroll/loadMore).
+ * @param {string} [job.data.pagination.loadMoreSelector] - "Load more" button.
+ * @param {object} [job.data.pagination.stopWhen] - Stop on emptyExtract, repeatedFirstItem or olderThan.
  * @param {number} [job.data.pagination.maxPages] - Maximum pages to scrape (default: 10).
  * @param {number} [job.data.pagination.delayBetweenPages] - Delay between page navigations (ms).
+ * @param {object} [job.data.crawl] - Follow links from each page into detail pages.
+ * @param {string} [job.data.crawl.from] - Named extraction holding the links (strings, or records with `urlField`).
+ * @param {string} [job.data.crawl.linkSelector] - Alternatively, links matched by this selector.
+ * @param {Array<object>} [job.data.crawl.actions] - Actions run on every detail page.
+ * @param {number} [job.data.crawl.maxDepth] - How many link levels to follow (default: 1).
+ * @param {number} [job.data.crawl.concurrency] - Detail pages open at once (default: 2).
+ * @param {object} [job.data.network] - Request blocking for every page of the job.
+ * @param {Array<string>} [job.data.network.blockResourceTypes] - Resource types to abort, e.g. ['image', 'font'].
+ * @param {Array<string>} [job.data.network.blockUrlPatterns] - Request URL globs (or "/regex/") to abort.
+ * @param {string|boolean} [job.data.proxy] - Proxy URL for this job, or false for none (default: next from PROXY_LIST).
+ * @param {string} [job.data.userAgent] - User agent for every page (default: a random current Chrome).
+ * @param {object} [job.data.politeness] - Per-domain rate limit and robots.txt handling.
+ * @param {number} [job.data.politeness.minDelayMs] - Gap between page loads on one domain, across workers (default: DOMAIN_MIN_DELAY_MS or 1000).
+ * @param {boolean} [job.data.politeness.respectRobotsTxt] - Don't load pages robots.txt disallows.
+ * @param {object} [job.data.retry] - Retries within one run, with exponential backoff.
+ * @param {number} [job.data.retry.pageAttempts] - Tries per listing page (default: 1).
+ * @param {number} [job.data.retry.actionAttempts] - Tries per action; an action's own `retry` overrides it (default: 1).
+ * @param {number} [job.data.retry.backoffMs] - Wait before the first retry, doubled each time (default: 1000).
+ * @param {boolean|object} [job.data.selfHeal] - Ask the AI advisor for a replacement when a selector matches nothing
+ *   (see puppeteer/selfHeal.js); accepted replacements are returned as `healedSelectors`.
+ * @param {number} [job.data.selfHeal.maxSuggestions] - Advisor calls per job (default: 3).
  * @param {object} [job.data.waitConditions] - Global wait conditions.
  * @param {number} [job.data.timeout] - Global timeout for operations (default: 30000ms).
  * @param {boolean} [job.data.saveScreenshots] - Whether to save screenshots on errors.
- * @param {string} [job.data.screenshotDir] - Directory to save screenshots.
- * @returns {Promise<object>} - The scraped data with pagination results.
+ * @param {string} [job.data.screenshotDir] - Subdirectory of the job's screenshot directory
+ *   (SCREENSHOT_STORAGE_DIR/<userId>/<jobId>); screenshot action paths are relative to it.
+ * @param {function} [job.reportProgress] - Called with { current, total, unit } after each page.
+ * @param {object} [job.checkpoint] - State saved by an earlier attempt; the run resumes after its last completed page.
+ * @param {function} [job.saveCheckpoint] - Called with the resume state after each completed page (the worker throttles the writes).
+ * @param {AbortSignal} [job.signal] - Aborted when the job times out: the browser context is released and the run stops.
+ * @returns {Promise<object>} - The scraped data with pagination results; `partial` when some pages failed.
+ *   On a fatal error, selectors healed before it are attached to the error as `healedSelectors`.
  */
-async function puppeteerProcessor({ data }) {
+async function puppeteerProcessor({ data, reportProgress = async () => {}, checkpoint = null, saveCheckpoint = async () => {}, signal = new AbortController().signal }) {
   const { 
+    jobId,
+    userId,
     url, 
+    session,
     puppeteerOptions = {}, 
     actions = [], 
     pagination = {},
+    crawl = null,
+    network = {},
+    proxy: proxyPreference,
+    userAgent = pickUserAgent(),
+    politeness = {},
+    retry = {},
+    selfHeal: selfHealOptions = false,
     waitConditions = {},
     timeout = 30000,
     saveScreenshots = false,
-    screenshotDir = './screenshots'
+    screenshotDir: screenshotSubdir = ''
   } = data;
 
   // Enhanced validation
@@ -42,98 +100,161 @@ async function puppeteerProcessor({ data }) {
   if (pagination.maxPages && (typeof pagination.maxPages !== 'number' || pagination.maxPages < 1)) {
     throw new Error('pagination.maxPages must be a positive number.');
   }
+  // Screenshots stay inside this job's own directory
+  const screenshotDir = resolveInside(getScreenshotDir(), path.join(userId || 'anonymous', jobId || 'adhoc', screenshotSubdir));
+  const paginator = createPaginator(pagination, { timeout });
+  const stopState = {};
+  const retryPolicy = resolveRetryPolicy(retry);
+  const selfHeal = createSelfHealer(selfHealOptions);
+  // Only resume from a checkpoint of the same start URL (the job config may have been edited)
+  const resumeFrom = checkpoint && checkpoint.startUrl === url && checkpoint.result ? checkpoint : null;
 
-  let browser = null;
+  let lease = null; // Incognito context borrowed from the shared browser pool
+  // Closing the context on abort makes whatever the page is doing fail at once
+  const releaseOnAbort = () => lease && lease.release();
   const startTime = Date.now();
   const allResults = [];
   let currentPage = 1;
+  const vars = {}; // setVariable values and named results, visible to later actions as {{name}}
+  const crawlState = crawl ? createCrawlState(crawl, url) : null;
+  const networkStats = {};
+  const captureNetwork = usesActionType(actions, 'captureResponses') || usesActionType(crawl && crawl.actions, 'captureResponses');
+  const beforeNavigation = createNavigationGuard(politeness, networkStats);
+  const proxy = pickProxy(proxyPreference);
+
+  // Page setup: viewport, user agent, default timeouts, error logging, proxy login and network rules
+  const preparePage = async (newPage) => {
+    await setupPage(newPage, { timeout, userAgent, viewport: puppeteerOptions.defaultViewport });
+    if (proxy && proxy.username) {
+      await newPage.authenticate({ username: proxy.username, password: proxy.password });
+    }
+    await setupNetwork(newPage, network, { capture: captureNetwork, beforeNavigation, stats: networkStats });
+  };
   
   console.log(`🚀 Starting enhanced Puppeteer job for URL: ${url}`);
-  console.log(`📋 Job config: ${actions.length} actions, pagination: ${!!pagination.nextButtonSelector}, timeout: ${timeout}ms`);
+  console.log(`📋 Job config: ${actions.length} actions, pagination: ${paginator ? paginator.mode : 'none'}, timeout: ${timeout}ms`);
 
   try {
-    // Browser launch options
-    const defaultOptions = {
-      headless: true,
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-gpu',
-        '--disable-web-security',
-        '--disable-features=VizDisplayCompositor'
-      ]
-    };
+    await assertRobotsAllowed(url, politeness);
+    if (proxy) console.log(`🌍 Using proxy ${proxy.label}`);
+    lease = await acquireBrowserContext(puppeteerOptions, proxy ? { proxyServer: proxy.server } : {});
+    signal.throwIfAborted();
+    signal.addEventListener('abort', releaseOnAbort, { once: true });
 
-    browser = await puppeteer.launch({
-      ...defaultOptions,
-      ...puppeteerOptions,
-    });
+    const page = await lease.context.newPage();
+    await preparePage(page);
 
-    const page = await browser.newPage();
-    
-    // Page setup
-    await page.setViewport({ width: 1920, height: 1080 });
-    await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36');
-    
-    // Set default timeouts
-    page.setDefaultTimeout(timeout);
-    page.setDefaultNavigationTimeout(timeout);
-
-    // Enhanced error handling for page events
-    page.on('error', err => console.error('❌ Page error:', err.message));
-    page.on('pageerror', err => console.error('❌ Page script error:', err.message));
+    // Log in (or restore saved cookies) before the first navigation
+    if (session) {
+      await openSiteSession(page, { userId, name: session, timeout });
+    }
 
     // Create screenshot directory if needed
     if (saveScreenshots) {
       await fs.mkdir(screenshotDir, { recursive: true }).catch(() => {});
     }
 
+    // Navigate to the start URL and wait for the job's global conditions
+    const openStartPage = async () => {
+      console.log(`Navigating to ${url}...`);
+      await page.goto(url, { waitUntil: 'networkidle2', timeout });
+      if (waitConditions.selector) {
+        await page.waitForSelector(waitConditions.selector, { timeout });
+      }
+      if (waitConditions.delay) {
+        await sleep(waitConditions.delay);
+      }
+    };
+
+    // Bring the page back to `pageNumber` before retrying it: re-open the start or template
+    // URL, or reload a page that has its own URL. Pages updated in place are just re-processed.
+    const reopenPage = async (pageNumber) => {
+      if (pageNumber === 1) return openStartPage();
+      if (paginator.mode === 'urlPattern') return paginator.next(page, pageNumber - 1);
+      if (page.url() !== previousPageUrl) await page.reload({ waitUntil: 'networkidle2', timeout });
+    };
+
+    // Everything needed to pick up after the last completed page; `result` is what gets
+    // saved as a partial result if the job fails for good. Copied, because the worker
+    // writes checkpoints a while after they are saved and the run keeps going meanwhile.
+    const checkpointState = (paginationDone) => ({
+      startUrl: url,
+      lastPage: currentPage,
+      lastPageUrl: page.url(),
+      paginationDone,
+      vars: { ...vars },
+      stopState: { ...stopState },
+      crawl: crawlState ? { visited: [...crawlState.visited], queue: [...crawlState.queue] } : null,
+      result: { success: false, partial: true, totalPages: allResults.length, results: [...allResults] },
+    });
+
+    let morePages = true;
+    let previousPageUrl = null;
+    if (resumeFrom) {
+      allResults.push(...resumeFrom.result.results);
+      Object.assign(vars, resumeFrom.vars);
+      Object.assign(stopState, resumeFrom.stopState);
+      if (crawlState && resumeFrom.crawl) {
+        resumeFrom.crawl.visited.forEach(link => crawlState.visited.add(link));
+        crawlState.queue.push(...resumeFrom.crawl.queue);
+      }
+      console.log(`⏩ Resuming after page ${resumeFrom.lastPage} (${allResults.length} pages restored from the checkpoint)`);
+
+      morePages = !resumeFrom.paginationDone && !!paginator && resumeFrom.lastPage < paginator.maxPages;
+      if (morePages) {
+        await openStartPage();
+        previousPageUrl = resumeFrom.lastPageUrl;
+        morePages = await paginator.resume(page, resumeFrom.lastPage, resumeFrom.lastPageUrl);
+        currentPage = resumeFrom.lastPage + 1;
+      }
+    }
+
     // Main pagination loop
-    do {
-      console.log(`📄 Processing page ${currentPage}${pagination.maxPages ? ` of max ${pagination.maxPages}` : ''}`);
-      
+    while (morePages) {
+      signal.throwIfAborted();
+      console.log(`📄 Processing page ${currentPage}${paginator && !paginator.loadsInPlace ? ` of max ${paginator.maxPages}` : ''}`);
+
       try {
-        // Navigate to URL (only on first page)
-        if (currentPage === 1) {
-          console.log(`Navigating to ${url}...`);
-          await page.goto(url, { 
-            waitUntil: 'networkidle2', 
-            timeout: timeout 
+        const { pageData, loaded } = await withRetry(async () => {
+          if (currentPage === 1 && !resumeFrom) await openStartPage();
+
+          // Infinite scroll / load more: expand the list before extracting from it
+          const loaded = paginator && paginator.loadsInPlace ? await paginator.loadAll(page) : null;
+          const pageData = await processPage(page, actions, currentPage, saveScreenshots, screenshotDir, vars, { retryPolicy, selfHeal, signal });
+          return { pageData, loaded };
+        }, {
+          attempts: retryPolicy.pageAttempts,
+          backoffMs: retryPolicy.backoffMs,
+          label: `Page ${currentPage}`,
+          beforeRetry: () => (currentPage === 1 && !resumeFrom ? null : reopenPage(currentPage)),
+        });
+        const stop = checkStopConditions(pagination.stopWhen, pageData, stopState);
+
+        if (!stop || stop.keepPage) {
+          allResults.push({
+            page: currentPage,
+            url: await page.url(),
+            timestamp: new Date().toISOString(),
+            ...(loaded ? { loadRounds: loaded.rounds, itemsLoaded: loaded.items } : {}),
+            ...pageData
           });
 
-          // Wait for custom conditions if specified
-          if (waitConditions.selector) {
-            await page.waitForSelector(waitConditions.selector, { timeout });
-          }
-          if (waitConditions.delay) {
-            await page.waitForTimeout(waitConditions.delay);
+          // Queue this listing page's links; detail pages are visited once pagination is done
+          if (crawlState) {
+            crawlState.visited.add(normalizeUrl(page.url(), page.url()));
+            enqueueCrawlLinks(crawlState, await extractCrawlLinks(page, crawl, pageData), {
+              depth: 1,
+              listingPage: currentPage,
+              listingUrl: page.url(),
+              parentUrl: page.url(),
+            });
           }
+          await saveCheckpoint(checkpointState(false));
         }
+        await reportProgress({ current: currentPage, total: paginator ? paginator.maxPages : 1, unit: 'pages' });
 
-        // Process current page
-        const pageData = await processPage(page, actions, currentPage, saveScreenshots, screenshotDir);
-        allResults.push({
-          page: currentPage,
-          url: await page.url(),
-          timestamp: new Date().toISOString(),
-          ...pageData
-        });
-
-        // Check for next page
-        if (pagination.nextButtonSelector && currentPage < (pagination.maxPages || Infinity)) {
-          const hasNextPage = await checkAndNavigateToNextPage(
-            page, 
-            pagination.nextButtonSelector, 
-            pagination.delayBetweenPages || 2000
-          );
-          
-          if (!hasNextPage) {
-            console.log('🏁 No more pages found, ending pagination');
-            break;
-          }
-          currentPage++;
-        } else {
+        if (stop) {
+          console.log(`🏁 Stopping pagination: ${stop.reason}`);
           break;
         }
 
@@ -146,39 +267,86 @@ async function puppeteerProcessor({ data }) {
           console.log(`📸 Error screenshot saved: ${errorScreenshot}`);
         }
 
-        // Add error info to results
+        // Skip past the failed page if the paginator can; otherwise fail the attempt, so
+        // a retry of the job resumes after the last completed page
+        const moved = paginator && currentPage < paginator.maxPages
+          ? await paginator.next(page, currentPage).catch(() => false)
+          : false;
+        if (!moved) throw pageError;
+
         allResults.push({
           page: currentPage,
           error: pageError.message,
           timestamp: new Date().toISOString()
         });
-
-        // Continue to next page or break based on error severity
-        if (pagination.nextButtonSelector && pageError.message.includes('timeout')) {
-          break; // Stop pagination on timeout errors
-        }
+        previousPageUrl = null;
         currentPage++;
+        continue;
       }
 
-    } while (pagination.nextButtonSelector && currentPage <= (pagination.maxPages || 10));
+      // Check for next page
+      previousPageUrl = page.url();
+      if (!paginator || currentPage >= paginator.maxPages || !(await paginator.next(page, currentPage))) {
+        if (paginator && !paginator.loadsInPlace) console.log('🏁 No more pages found, ending pagination');
+        break;
+      }
+      currentPage++;
+    }
+
+    // Listing pages are done; a failure while crawling resumes straight into the crawl
+    if (crawlState) await saveCheckpoint(checkpointState(true));
+
+    const details = crawlState
+      ? await crawlDetailPages(lease.context, crawl, crawlState, { timeout, saveScreenshots, screenshotDir, vars, reportProgress, preparePage, retryPolicy, selfHeal, signal })
+      : null;
 
     const totalTime = Date.now() - startTime;
-    console.log(`✅ Job completed: ${allResults.length} pages processed in ${totalTime}ms`);
+    const partial = allResults.some(result => result.error) || (details || []).some(detail => detail.error);
+    console.log(`✅ Job completed: ${allResults.length} pages processed in ${totalTime}ms${partial ? ' (some pages failed)' : ''}`);
+
+    const summary = generateSummary(allResults);
+    summary.network = { ...networkStats, proxy: proxy ? proxy.label : null, userAgent };
+    if (details) {
+      summary.crawl = {
+        detailPages: details.length,
+        failedDetailPages: details.filter(detail => detail.error).length,
+        maxDepthReached: Math.max(0, ...details.map(detail => detail.depth)),
+      };
+    }
+    if (resumeFrom) summary.resumedAfterPage = resumeFrom.lastPage;
+    if (selfHeal) summary.healedSelectors = selfHeal.heals.length;
+    const aiUsage = summarizeAiExtractions([...allResults, ...(details || [])]);
+    if (aiUsage) summary.aiExtract = aiUsage;
 
     return {
       success: true,
+      partial,
       totalPages: allResults.length,
       processingTimeMs: totalTime,
       results: allResults,
-      summary: generateSummary(allResults)
+      ...(details ? { details } : {}),
+      ...(selfHeal && selfHeal.heals.length > 0 ? { healedSelectors: selfHeal.heals } : {}),
+      summary
     };
 
   } catch (error) {
     console.error(`💥 Fatal error in puppeteerProcessor for ${url}:`, error);
+
+    // Where the job was when it failed, for the worker's failure diagnosis
+    const [failedPage] = lease ? await lease.context.pages().catch(() => []) : [];
+    if (failedPage) {
+      error.diagnostics = {
+        ...error.diagnostics,
+        pageUrl: failedPage.url(),
+        domSnapshot: await captureDomSnapshot(failedPage),
+      };
+    }
+    // Fixes found before the failure are still worth proposing
+    if (selfHeal && selfHeal.heals.length > 0) error.healedSelectors = selfHeal.heals;
     
-    if (saveScreenshots && browser) {
+    if (saveScreenshots && lease) {
       try {
-        const pages = await browser.pages();
+        const pages = await lease.context.pages();
         if (pages.length > 0) {
           const errorScreenshot = path.join(screenshotDir, `fatal-error-${Date.now()}.png`);
           await pages[0].screenshot({ path: errorScreenshot, fullPage: true });
@@ -191,104 +359,343 @@ async function puppeteerProcessor({ data }) {
 
     throw error;
   } finally {
-    if (browser) {
-      console.log('🔒 Closing browser...');
-      await browser.close();
+    signal.removeEventListener('abort', releaseOnAbort);
+    if (lease) {
+      console.log('🔒 Releasing browser context...');
+      await lease.release();
     }
   }
 }
 
 /**
- * Process a single page with the given actions
+ * Process a single page with the given actions.
+ * `vars` holds script variables and named results; it is shared across pages.
+ * `retryPolicy` sets how often a failing action is tried (see puppeteer/retry.js), `selfHeal`
+ * is the job's self-healer, if any, `configPath` locates `actions` in the job config, and
+ * `signal` stops the page between actions when the job times out.
  */
-async function processPage(page, actions, pageNumber, saveScreenshots, screenshotDir) {
+async function processPage(page, actions, pageNumber, saveScreenshots, screenshotDir, vars = {}, { retryPolicy = resolveRetryPolicy(), selfHeal = null, configPath = ['actions'], signal = null } = {}) {
   const scrapedData = {};
   
   try {
     scrapedData.pageTitle = await page.title();
     scrapedData.currentUrl = await page.url();
-    
-    for (const [index, action] of actions.entries()) {
-      if (!action || typeof action.type !== 'string') {
-        console.warn(`⚠️ Skipping invalid action ${index}:`, action);
-        continue;
-      }
 
-      console.log(`🔧 [Page ${pageNumber}] Executing action ${index + 1}/${actions.length}: ${action.type}${action.selector ? ` on ${action.selector}` : ''}`);
+    const ctx = {
+      page,
+      pageNumber,
+      saveScreenshots,
+      screenshotDir,
+      vars: Object.assign(vars, { pageNumber, pageUrl: scrapedData.currentUrl }),
+      errors: [],
+      aiExtractions: {},
+      depth: 0,
+      path: '',
+      configPath,
+      retry: retryPolicy,
+      selfHeal,
+      signal,
+    };
+    Object.assign(scrapedData, await runActions(actions, ctx));
+    if (ctx.errors.length > 0) {
+      scrapedData.errors = ctx.errors;
+    }
+    // Per-field confidence and token usage of aiExtract actions, by action path
+    if (Object.keys(ctx.aiExtractions).length > 0) {
+      scrapedData.aiExtractions = ctx.aiExtractions;
+    }
 
-      try {
-        const actionResult = await executeAction(page, action);
-        if (actionResult && action.name) {
-          scrapedData[action.name] = actionResult;
-        }
+    return scrapedData;
+  } catch (error) {
+    console.error(`Error processing page ${pageNumber}:`, error);
+    throw error;
+  }
+}
 
-        // Post-action delay
-        if (action.delayAfter) {
-          await page.waitForTimeout(Number(action.delayAfter));
-        }
+const MAX_ACTION_DEPTH = 5;
+const MAX_LOOP_ITEMS = 500;
+let loopCounter = 0;
 
-      } catch (actionError) {
-        console.warn(`❌ Action ${action.type} failed:`, actionError.message);
-        scrapedData.errors = scrapedData.errors || [];
-        scrapedData.errors.push({
-          actionIndex: index,
-          action: action.type,
-          selector: action.selector,
-          message: actionError.message
-        });
+/**
+ * Run an action list in order. Named results are returned and also stored in
+ * ctx.vars so later actions can use them as {{name}}. Failed actions are retried per
+ * their `retry` (or the job's retry.actionAttempts), then handed to ctx.selfHeal when the
+ * job has one, then recorded in ctx.errors and skipped unless marked `critical`.
+ */
+async function runActions(actions, ctx) {
+  const results = {};
 
-        // Save screenshot on action error if enabled
-        if (saveScreenshots) {
-          const errorScreenshot = path.join(screenshotDir, `action-error-p${pageNumber}-a${index}-${Date.now()}.png`);
-          await page.screenshot({ path: errorScreenshot, fullPage: true }).catch(() => {});
-        }
+  for (const [index, rawAction] of actions.entries()) {
+    if (!rawAction || typeof rawAction.type !== 'string') {
+      console.warn(`⚠️ Skipping invalid action ${ctx.path}${index}:`, rawAction);
+      continue;
+    }
+    if (ctx.signal) ctx.signal.throwIfAborted();
+
+    const rendered = interpolateAction(rawAction, ctx.vars);
+    const action = ctx.selfHeal ? ctx.selfHeal.applyOverrides(rendered) : rendered;
+    console.log(`🔧 [Page ${ctx.pageNumber}] Executing action ${ctx.path}${index + 1}/${actions.length}: ${action.type}${action.selector ? ` on ${action.selector}` : ''}`);
+
+    try {
+      const actionCtx = { ...ctx, path: `${ctx.path}${index + 1}.`, configPath: [...ctx.configPath, index] };
+      const actionResult = await withRetry(() => runAction(action, actionCtx), {
+        ...actionRetryOptions(action, ctx.retry),
+        label: `Action ${ctx.path}${index + 1} (${action.type})`,
+      }).catch(error => (ctx.selfHeal
+        ? ctx.selfHeal.recover(error, rawAction, action, actionCtx, healed => runAction(healed, actionCtx))
+        : Promise.reject(error)));
+      if (ctx.selfHeal) await ctx.selfHeal.rememberShape(rawAction, action, ctx.page);
+      if (action.type === 'if') {
+        // Branches share the enclosing scope, so their named results land here too
+        Object.assign(results, actionResult);
+      } else if (actionResult && action.name) {
+        results[action.name] = actionResult;
+        ctx.vars[action.name] = actionResult;
+      }
+
+      // Post-action delay
+      if (action.delayAfter) {
+        await sleep(Number(action.delayAfter));
+      }
+
+    } catch (actionError) {
+      console.warn(`❌ Action ${action.type} failed:`, actionError.message);
+      ctx.errors.push({
+        actionIndex: index,
+        actionPath: `${ctx.path}${index + 1}`,
+        action: action.type,
+        selector: action.selector,
+        message: actionError.message
+      });
 
-        // Continue with next action unless it's marked as critical
-        if (action.critical) {
-          throw actionError;
+      // Save screenshot on action error if enabled
+      if (ctx.saveScreenshots) {
+        const errorScreenshot = path.join(ctx.screenshotDir, `action-error-p${ctx.pageNumber}-a${ctx.path}${index}-${Date.now()}.png`);
+        await ctx.page.screenshot({ path: errorScreenshot, fullPage: true }).catch(() => {});
+      }
+
+      // Continue with next action unless it's marked as critical
+      if (action.critical) {
+        // Innermost failed action, for the worker's failure diagnosis
+        if (!actionError.diagnostics) {
+          const failedAction = { ...action, path: `${ctx.path}${index + 1}` };
+          delete failedAction.actions; // Nested lists are diagnosed through their own failed action
+          delete failedAction.then;
+          delete failedAction.else;
+          actionError.diagnostics = { action: failedAction, selector: action.selector };
         }
+        throw actionError;
       }
     }
+  }
 
-    return scrapedData;
-  } catch (error) {
-    console.error(`Error processing page ${pageNumber}:`, error);
-    throw error;
+  return results;
+}
+
+async function runAction(action, ctx) {
+  switch (action.type) {
+    case 'forEach':
+      return runForEach(action, ctx);
+    case 'if':
+      return runIf(action, ctx);
+    case 'setVariable':
+      return runSetVariable(action, ctx);
+    case 'aiExtract': {
+      const { value, extraction } = await aiExtract(action, ctx.page);
+      ctx.aiExtractions[ctx.path.replace(/\.$/, '')] = { name: action.name || null, ...extraction };
+      return value;
+    }
+    case 'captureResponses':
+      if (ctx.depth >= MAX_ACTION_DEPTH) throw new Error(`Actions nested deeper than ${MAX_ACTION_DEPTH} levels`);
+      return captureResponses(action, ctx.page, nested => runActions(nested, {
+        ...ctx,
+        depth: ctx.depth + 1,
+        path: `${ctx.path}capture.`,
+        configPath: [...ctx.configPath, 'actions'],
+      }));
+    case 'screenshot': {
+      // The path is checked after {{var}} interpolation, so variables can't escape the job's directory
+      const screenshotPath = resolveInside(ctx.screenshotDir, action.path || `screenshot-${Date.now()}.png`);
+      await fs.mkdir(path.dirname(screenshotPath), { recursive: true });
+      return executeAction(ctx.page, { ...action, path: screenshotPath }, ctx.vars);
+    }
+    default:
+      return executeAction(ctx.page, action, ctx.vars);
+  }
+}
+
+// Render {{var}} placeholders in an action's own string options (not in nested action lists)
+function interpolateAction(action, vars) {
+  const render = (value, keepType) => {
+    if (typeof value !== 'string') return value;
+    const rendered = renderTemplate(value, vars);
+    if (keepType) return rendered;
+    if (rendered === null || rendered === undefined) return '';
+    return typeof rendered === 'object' ? JSON.stringify(rendered) : String(rendered);
+  };
+
+  const result = { ...action };
+  for (const [key, value] of Object.entries(action)) {
+    if (key === 'type' || key === 'script') continue;
+    result[key] = render(value, key === 'value');
+  }
+  if (action.condition) {
+    result.condition = Object.fromEntries(Object.entries(action.condition).map(([key, value]) => [
+      key,
+      Array.isArray(value) ? value.map(item => render(item, true)) : render(value, false),
+    ]));
   }
+  return result;
 }
 
 /**
- * Execute a single action with enhanced conditional logic
+ * Evaluate an action's `condition` against the page and the script variables.
+ * @returns {Promise<string|null>} - Why the condition failed, or null when it holds.
  */
-async function executeAction(page, action) {
-  const { type, selector, condition = {} } = action;
-
-  // Check conditions before executing action
+async function checkCondition(page, selector, condition = {}, vars = {}) {
   if (condition.ifExists && selector) {
     const elementExists = await page.$(selector) !== null;
-    if (!elementExists) {
-      console.log(`⏭️ Skipping action ${type}: element ${selector} does not exist`);
-      return null;
-    }
+    if (!elementExists) return `element ${selector} does not exist`;
   }
 
   if (condition.ifNotExists && selector) {
     const elementExists = await page.$(selector) !== null;
-    if (elementExists) {
-      console.log(`⏭️ Skipping action ${type}: element ${selector} exists`);
-      return null;
-    }
+    if (elementExists) return `element ${selector} exists`;
   }
 
   if (condition.ifTextContains && selector) {
     const element = await page.$(selector);
     if (element) {
       const text = await element.evaluate(el => el.textContent);
-      if (!text || !text.includes(condition.ifTextContains)) {
-        console.log(`⏭️ Skipping action ${type}: text condition not met`);
-        return null;
-      }
+      if (!text || !text.includes(condition.ifTextContains)) return 'text condition not met';
+    }
+  }
+
+  if (condition.ifVariable) {
+    const value = getPath(vars, condition.ifVariable);
+    if (!value || (Array.isArray(value) && value.length === 0)) return `variable ${condition.ifVariable} is empty`;
+  }
+
+  if (Array.isArray(condition.ifEquals)) {
+    const [left, right] = condition.ifEquals.map(value => (value === null || value === undefined ? '' : String(value)));
+    if (left !== right) return `"${left}" does not equal "${right}"`;
+  }
+
+  return null;
+}
+
+/**
+ * forEach: run `actions` once per element matched by `selector` (item = { index, selector,
+ * text, href }, where item.selector targets just that element) or per value of the array
+ * variable named by `from`. Returns one object of named results per iteration. If the
+ * nested actions navigate away, the page is brought back to where the loop started
+ * before the next iteration and after the last one.
+ */
+async function runForEach(action, ctx) {
+  if (!Array.isArray(action.actions)) throw new Error('actions array required for forEach action');
+  if (ctx.depth >= MAX_ACTION_DEPTH) throw new Error(`Actions nested deeper than ${MAX_ACTION_DEPTH} levels`);
+
+  const loopId = `${Date.now().toString(36)}-${loopCounter++}`;
+  let items;
+  if (action.selector) {
+    items = await ctx.page.$$eval(action.selector, tagLoopItems, loopId);
+  } else if (action.from) {
+    items = getPath(ctx.vars, action.from);
+    if (!Array.isArray(items)) throw new Error(`forEach source "${action.from}" is not a list`);
+  } else {
+    throw new Error('Selector or from required for forEach action');
+  }
+
+  items = items.slice(0, Math.min(Number(action.limit) || MAX_LOOP_ITEMS, MAX_LOOP_ITEMS));
+  const as = action.as || 'item';
+  const startUrl = ctx.page.url();
+  const iterations = [];
+  console.log(`🔁 forEach over ${items.length} items as "${as}"`);
+
+  for (const [index, item] of items.entries()) {
+    // A previous iteration navigated away (e.g. into a detail page): go back and re-tag the elements
+    if (ctx.page.url() !== startUrl) {
+      await ctx.page.goto(startUrl, { waitUntil: 'networkidle2' });
+      if (action.selector) await ctx.page.$$eval(action.selector, tagLoopItems, loopId);
     }
+
+    const iterationResults = await runActions(action.actions, {
+      ...ctx,
+      depth: ctx.depth + 1,
+      path: `${ctx.path}${index + 1}>`,
+      configPath: [...ctx.configPath, 'actions'],
+      vars: { ...ctx.vars, [as]: item, [`${as}Index`]: index },
+    });
+    iterations.push(iterationResults);
+  }
+
+  if (ctx.page.url() !== startUrl) {
+    await ctx.page.goto(startUrl, { waitUntil: 'networkidle2' });
+  }
+
+  return iterations;
+}
+
+// Tag each matched element so nested actions can target it alone (runs in the browser via $$eval)
+function tagLoopItems(elements, loopId) {
+  return elements.map((el, index) => {
+    const key = `${loopId}-${index}`;
+    el.setAttribute('data-autoentry-item', key);
+    const link = el.matches('a[href]') ? el : el.querySelector('a[href]');
+    return {
+      index,
+      selector: `[data-autoentry-item="${key}"]`,
+      text: el.textContent?.trim() || '',
+      href: link ? link.href : null,
+    };
+  });
+}
+
+/**
+ * if: run `then` when `condition` holds, otherwise `else`.
+ * Returns the named results of whichever branch ran.
+ */
+async function runIf(action, ctx) {
+  if (ctx.depth >= MAX_ACTION_DEPTH) throw new Error(`Actions nested deeper than ${MAX_ACTION_DEPTH} levels`);
+
+  const failedBecause = await checkCondition(ctx.page, action.selector, action.condition, ctx.vars);
+  const branch = failedBecause ? action.else : action.then;
+  console.log(`🔀 if: ${failedBecause ? `else (${failedBecause})` : 'then'}`);
+  if (!Array.isArray(branch) || branch.length === 0) return {};
+
+  const branchName = failedBecause ? 'else' : 'then';
+  return runActions(branch, { ...ctx, depth: ctx.depth + 1, path: `${ctx.path}${branchName}.`, configPath: [...ctx.configPath, branchName] });
+}
+
+/**
+ * setVariable: store `value` (with {{var}} placeholders rendered), or the text/attribute
+ * of the first element matching `selector`, as {{name}} for later actions.
+ */
+async function runSetVariable(action, ctx) {
+  if (!action.name) throw new Error('Name required for setVariable action');
+
+  let value = action.value;
+  if (action.selector) {
+    const element = await ctx.page.$(action.selector);
+    value = element
+      ? await element.evaluate((el, attr) => (attr ? el.getAttribute(attr) : el.textContent?.trim()), action.attribute)
+      : null;
+  }
+  ctx.vars[action.name] = value ?? action.default ?? null;
+  return null;
+}
+
+/**
+ * Execute a single action with enhanced conditional logic
+ */
+async function executeAction(page, action, vars = {}) {
+  const { type, selector, condition = {} } = action;
+
+  // Check conditions before executing action
+  const skipReason = await checkCondition(page, selector, condition, vars);
+  if (skipReason) {
+    console.log(`⏭️ Skipping action ${type}: ${skipReason}`);
+    return null;
   }
 
   // Execute the action
@@ -355,6 +762,47 @@ async function executeAction(page, action) {
       console.log(`📄 Extracted ${extractedItems.length} items for "${action.name || selector}"`);
       return extractedItems;
 
+    case 'extractRecords':
+      if (!selector) throw new Error('Selector required for extractRecords action');
+      if (!action.fields || typeof action.fields !== 'object' || Array.isArray(action.fields)) {
+        throw new Error('Fields map required for extractRecords action');
+      }
+
+      try {
+        await page.waitForSelector(selector, { timeout: 5000 });
+      } catch (timeoutError) {
+        if (condition.optional) {
+          console.log(`⏭️ Optional extraction skipped: ${selector} not found`);
+          return [];
+        }
+        throw timeoutError;
+      }
+
+      const records = await page.$$eval(selector, extractRecordsInPage, action.fields);
+      console.log(`📄 Extracted ${records.length} records for "${action.name || selector}"`);
+      return records;
+
+    case 'extractTable':
+      if (!selector) throw new Error('Selector required for extractTable action');
+
+      try {
+        await page.waitForSelector(selector, { timeout: 5000 });
+      } catch (timeoutError) {
+        if (condition.optional) {
+          console.log(`⏭️ Optional table extraction skipped: ${selector} not found`);
+          return [];
+        }
+        throw timeoutError;
+      }
+
+      const tableRows = await page.$eval(selector, extractTableInPage, {
+        headerRows: action.headerRows,
+        parseNumber: action.parseNumber || false,
+        headerSeparator: action.headerSeparator || ' / ',
+      });
+      console.log(`📄 Extracted ${tableRows.length} table rows for "${action.name || selector}"`);
+      return tableRows;
+
     case 'waitForSelector':
       if (!selector) throw new Error('Selector required for waitForSelector action');
       await page.waitForSelector(selector, { 
@@ -366,11 +814,22 @@ async function executeAction(page, action) {
     case 'delay':
       const delayMs = Number(action.ms || 1000);
       console.log(`⏳ Waiting ${delayMs}ms`);
-      await page.waitForTimeout(delayMs);
+      await sleep(delayMs);
+      break;
+
+    case 'goto':
+      if (!action.url) throw new Error('URL required for goto action');
+      const targetUrl = new URL(action.url, page.url()).href;
+      if (!/^https?:\/\//.test(targetUrl)) throw new Error(`Invalid URL for goto action: ${targetUrl}`);
+      await page.goto(targetUrl, { waitUntil: action.waitUntil || 'networkidle2' });
+      break;
+
+    case 'goBack':
+      await page.goBack({ waitUntil: action.waitUntil || 'networkidle2' });
       break;
 
     case 'screenshot':
-      const screenshotPath = action.path || `screenshot-${Date.now()}.png`;
+      const screenshotPath = action.path; // Resolved inside the job's screenshot directory by runAction
       await page.screenshot({ 
         path: screenshotPath, 
         fullPage: action.fullPage !== false,
@@ -403,58 +862,294 @@ async function executeAction(page, action) {
 }
 
 /**
- * Check for next page and navigate if available
+ * Build one record per container element (runs in the browser via $$eval).
+ * Each field is a sub-selector string or { selector, attribute, innerHTML, parse, multiple };
+ * `parse` is 'number', 'integer', 'url' or 'exists'. Missing fields come back as null.
  */
-async function checkAndNavigateToNextPage(page, nextButtonSelector, delay = 2000) {
-  try {
-    // Check if next button exists and is enabled
-    const nextButton = await page.$(nextButtonSelector);
-    if (!nextButton) {
-      console.log('📄 Next page button not found');
-      return false;
+function extractRecordsInPage(containers, fields) {
+  const readValue = (el, spec) => {
+    if (spec.parse === 'exists') return true;
+
+    let value;
+    if (spec.attribute) {
+      value = el.getAttribute(spec.attribute);
+    } else {
+      value = spec.innerHTML ? el.innerHTML : el.textContent?.trim();
     }
+    if (value === null || value === undefined || value === '') return null;
 
-    // Check if button is disabled
-    const isDisabled = await nextButton.evaluate(el => 
-      el.disabled || 
-      el.classList.contains('disabled') || 
-      el.getAttribute('aria-disabled') === 'true' ||
-      el.style.display === 'none' ||
-      el.style.visibility === 'hidden'
-    );
+    if (spec.parse === 'number' || spec.parse === 'integer' || spec.parseNumber) {
+      const num = parseFloat(value.replace(/[^\d.-]/g, ''));
+      if (isNaN(num)) return null;
+      return spec.parse === 'integer' ? Math.trunc(num) : num; // "$12.99" is 12, not 1299
+    }
+    if (spec.parse === 'url') {
+      try {
+        return new URL(value, document.baseURI).href;
+      } catch (e) {
+        return null;
+      }
+    }
+    return value;
+  };
+
+  return containers.map(container => {
+    const record = {};
+    for (const [name, definition] of Object.entries(fields)) {
+      const spec = typeof definition === 'string' ? { selector: definition } : (definition || {});
+      const useContainer = !spec.selector || spec.selector === ':scope';
+
+      if (spec.multiple) {
+        const elements = useContainer ? [container] : Array.from(container.querySelectorAll(spec.selector));
+        record[name] = elements.map(el => readValue(el, spec)).filter(value => value !== null);
+        continue;
+      }
 
-    if (isDisabled) {
-      console.log('📄 Next page button is disabled');
-      return false;
+      const element = useContainer ? container : container.querySelector(spec.selector);
+      if (!element) {
+        record[name] = spec.parse === 'exists' ? false : null;
+        continue;
+      }
+      record[name] = readValue(element, spec);
     }
+    return record;
+  });
+}
 
-    // Get current URL before clicking
-    const currentUrl = await page.url();
-    
-    // Click next button
-    await nextButton.click();
-    console.log('🔄 Clicked next page button');
+/**
+ * Turn a <table> into an array of objects keyed by header text (runs in the browser via $eval).
+ * colspan/rowspan cells are expanded into every grid slot they cover. Header rows are the
+ * <thead> rows, else the leading rows made only of <th>, else the first row; `headerRows`
+ * overrides this (0 means no header: keys become column_1, column_2, ...). Multi-row
+ * headers are joined top-down, e.g. "Price / Min". `parseNumber` is true (every column whose
+ * non-empty cells are all plain numbers or amounts) or an array of column names.
+ */
+function extractTableInPage(table, options) {
+  const grid = [];
+  const rows = Array.from(table.rows);
 
-    // Wait for navigation or content change
-    try {
-      await Promise.race([
-        page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 10000 }),
-        page.waitForFunction(() => window.location.href !== currentUrl, { timeout: 10000 }),
-        page.waitForTimeout(delay) // Fallback for AJAX-based pagination
-      ]);
-    } catch (waitError) {
-      console.log('⚠️ Navigation wait completed with timeout, continuing...');
+  rows.forEach((row, rowIndex) => {
+    grid[rowIndex] = grid[rowIndex] || [];
+    let colIndex = 0;
+    for (const cell of Array.from(row.cells)) {
+      while (grid[rowIndex][colIndex]) colIndex++;
+      const value = { text: cell.textContent.replace(/\s+/g, ' ').trim(), isHeader: cell.tagName === 'TH' };
+      const rowSpan = Math.max(1, cell.rowSpan || 1);
+      const colSpan = Math.max(1, cell.colSpan || 1);
+      for (let r = 0; r < rowSpan && rowIndex + r < rows.length; r++) {
+        grid[rowIndex + r] = grid[rowIndex + r] || [];
+        for (let c = 0; c < colSpan; c++) {
+          grid[rowIndex + r][colIndex + c] = value;
+        }
+      }
+      colIndex += colSpan;
     }
+  });
 
-    // Additional delay for content loading
-    await page.waitForTimeout(delay);
-    
-    console.log(`📄 Successfully navigated to next page: ${await page.url()}`);
-    return true;
+  let headerRowCount = options.headerRows;
+  if (headerRowCount === undefined || headerRowCount === null) {
+    if (table.tHead && table.tHead.rows.length > 0) {
+      headerRowCount = table.tHead.rows.length;
+    } else {
+      headerRowCount = 0;
+      while (headerRowCount < grid.length && grid[headerRowCount].length > 0 && grid[headerRowCount].every(cell => !cell || cell.isHeader)) {
+        headerRowCount++;
+      }
+      if (headerRowCount === 0 && grid.length > 0) headerRowCount = 1;
+    }
+  }
 
+  const columnCount = Math.max(0, ...grid.map(row => row.length));
+  const seen = {};
+  const headers = [];
+  for (let c = 0; c < columnCount; c++) {
+    const parts = [];
+    for (let r = 0; r < headerRowCount; r++) {
+      const text = grid[r] && grid[r][c] ? grid[r][c].text : '';
+      if (text && parts[parts.length - 1] !== text) parts.push(text);
+    }
+    let name = parts.join(options.headerSeparator) || `column_${c + 1}`;
+    if (seen[name]) {
+      seen[name]++;
+      name = `${name}_${seen[name]}`;
+    } else {
+      seen[name] = 1;
+    }
+    headers.push(name);
+  }
+
+  const records = grid.slice(headerRowCount)
+    .filter(row => row.some(cell => cell && cell.text !== ''))
+    .map(row => {
+      const record = {};
+      headers.forEach((header, c) => {
+        record[header] = row[c] && row[c].text !== '' ? row[c].text : null;
+      });
+      return record;
+    });
+
+  // Same number parsing as the 'extract' action's parseNumber option
+  const toNumber = value => parseFloat(String(value).replace(/[^\d.-]/g, ''));
+  // Auto-detection only takes whole-cell numbers and amounts ("1,234.5", "-$12.99", "15 %", "EUR 3"),
+  // so ids, dates and codes like "A-12" or "2024-01-05" stay text
+  const numberPattern = /^[-+]?(?:[$€£¥]|[A-Z]{3} )?[-+]?(?:\d{1,3}(?:,\d{3})+|\d+)?(?:\.\d+)?(?: ?%|[$€£¥]| [A-Z]{3})?$/;
+  const isNumeric = value => /\d/.test(value) && numberPattern.test(value);
+  let numericColumns = [];
+  if (Array.isArray(options.parseNumber)) {
+    numericColumns = options.parseNumber;
+  } else if (options.parseNumber) {
+    numericColumns = headers.filter(header => {
+      const values = records.map(record => record[header]).filter(value => value !== null);
+      return values.length > 0 && values.every(isNumeric);
+    });
+  }
+
+  for (const record of records) {
+    for (const header of numericColumns) {
+      if (record[header] === null || record[header] === undefined) continue;
+      const num = toNumber(record[header]);
+      if (!isNaN(num)) record[header] = num;
+    }
+  }
+
+  return records;
+}
+
+const DEFAULT_CRAWL_MAX_PAGES = 100;
+const MAX_CRAWL_CONCURRENCY = 5;
+
+function createCrawlState(crawl, startUrl) {
+  return {
+    filter: createUrlFilter({
+      allow: crawl.allow,
+      deny: crawl.deny,
+      sameOriginAs: crawl.sameOrigin === false ? undefined : startUrl,
+    }),
+    visited: new Set(),
+    queue: [],
+  };
+}
+
+/**
+ * Links to crawl from a page: the named extraction `crawl.from` (strings, or records
+ * whose `crawl.urlField` holds the link) or every href matched by `crawl.linkSelector`.
+ * Relative links are resolved against the page URL.
+ */
+async function extractCrawlLinks(page, crawl, pageData) {
+  let hrefs;
+  if (crawl.linkSelector) {
+    hrefs = await page.$$eval(crawl.linkSelector, els => els.map(el => el.href || el.getAttribute('href')));
+  } else {
+    const source = getPath(pageData, crawl.from);
+    hrefs = (Array.isArray(source) ? source : [source])
+      .map(value => (isPlainObject(value) ? value[crawl.urlField || 'url'] : value));
+  }
+
+  const baseUrl = page.url();
+  return hrefs.map(href => normalizeUrl(href, baseUrl)).filter(Boolean);
+}
+
+// Add links that pass the allow/deny filter and have not been seen yet
+function enqueueCrawlLinks(state, links, origin) {
+  for (const link of links) {
+    if (state.visited.has(link) || !state.filter(link)) continue;
+    state.visited.add(link);
+    state.queue.push({ url: link, ...origin });
+  }
+}
+
+async function visitDetailPage(page, target, crawl, options) {
+  const detail = {
+    url: target.url,
+    depth: target.depth,
+    listingPage: target.listingPage,
+    listingUrl: target.listingUrl,
+    parentUrl: target.parentUrl,
+    timestamp: new Date().toISOString(),
+  };
+
+  try {
+    const pageData = await withRetry(async () => {
+      await page.goto(target.url, { waitUntil: 'networkidle2', timeout: options.timeout });
+      if (crawl.waitForSelector) {
+        await page.waitForSelector(crawl.waitForSelector, { timeout: options.timeout });
+      }
+
+      return processPage(
+        page,
+        crawl.actions || [],
+        target.listingPage,
+        options.saveScreenshots,
+        options.screenshotDir,
+        { ...options.vars, listingUrl: target.listingUrl },
+        { retryPolicy: options.retryPolicy, selfHeal: options.selfHeal, configPath: ['crawl', 'actions'], signal: options.signal }
+      );
+    }, { attempts: options.retryPolicy.pageAttempts, backoffMs: options.retryPolicy.backoffMs, label: `Detail page ${target.url}` });
+    const links = target.depth < options.maxDepth ? await extractCrawlLinks(page, crawl, pageData) : [];
+    return { detail: { ...detail, ...pageData }, links };
   } catch (error) {
-    console.error('❌ Error navigating to next page:', error.message);
-    return false;
+    console.error(`❌ Error crawling ${target.url}:`, error.message);
+    return { detail: { ...detail, error: error.message }, links: [] };
+  }
+}
+
+/**
+ * Visit the queued detail pages level by level (breadth first), `crawl.concurrency` pages
+ * at a time in the job's browser context, following links found on them until `crawl.maxDepth`.
+ * Every detail keeps the listing page it was reached from.
+ */
+async function crawlDetailPages(context, crawl, state, options) {
+  const maxDepth = crawl.maxDepth || 1;
+  const maxPages = crawl.maxPages || DEFAULT_CRAWL_MAX_PAGES;
+  const concurrency = Math.max(1, Math.min(crawl.concurrency || 2, MAX_CRAWL_CONCURRENCY));
+  const details = [];
+
+  const workerPages = [];
+  for (let i = 0; i < concurrency; i++) {
+    const workerPage = await context.newPage();
+    await options.preparePage(workerPage);
+    workerPages.push(workerPage);
+  }
+
+  try {
+    let level = state.queue.splice(0);
+    while (level.length > 0 && details.length < maxPages) {
+      level = level.slice(0, maxPages - details.length);
+      console.log(`🕸️ Crawling ${level.length} pages at depth ${level[0].depth} (${concurrency} at a time)`);
+
+      const levelDetails = new Array(level.length);
+      let next = 0;
+      await Promise.all(workerPages.map(async (workerPage) => {
+        while (next < level.length) {
+          if (options.signal) options.signal.throwIfAborted();
+          const index = next++;
+          const target = level[index];
+          const { detail, links } = await visitDetailPage(workerPage, target, crawl, { ...options, maxDepth });
+          levelDetails[index] = detail;
+
+          enqueueCrawlLinks(state, links, {
+            depth: target.depth + 1,
+            listingPage: target.listingPage,
+            listingUrl: target.listingUrl,
+            parentUrl: target.url,
+          });
+
+          const done = details.length + levelDetails.filter(Boolean).length;
+          await options.reportProgress({ current: done, total: Math.min(done + state.queue.length + level.length - next, maxPages), unit: 'detail pages' });
+          if (crawl.delay) await sleep(crawl.delay);
+        }
+      }));
+
+      details.push(...levelDetails);
+      level = state.queue.splice(0);
+    }
+
+    if (state.queue.length > 0 || details.length >= maxPages) {
+      console.log(`🛑 Crawl stopped at crawl.maxPages (${maxPages})`);
+    }
+    return details;
+  } finally {
+    await Promise.all(workerPages.map(workerPage => workerPage.close().catch(() => {})));
   }
 }
 
@@ -474,7 +1169,7 @@ function generateSummary(results) {
   if (allData.length > 0) {
     const sampleData = allData[0];
     summary.dataTypes = Object.keys(sampleData).filter(key => 
-      !['page', 'url', 'timestamp', 'pageTitle', 'currentUrl', 'errors'].includes(key)
+      !['page', 'url', 'timestamp', 'pageTitle', 'currentUrl', 'errors', 'aiExtractions'].includes(key)
     );
     
     // Count total items extracted
@@ -489,4 +1184,149 @@ function generateSummary(results) {
   return summary;
 }
 
-module.exports = puppeteerProcessor;
+module.exports = {
+  name: 'scrapeWebPage',
+  jobType: 'web_scraping_puppeteer',
+  concurrency: 4, // Jobs run at once per worker; each borrows a context from the browser pool
+  schema: {
+    required: ['url'],
+    definitions: {
+      action: {
+        type: 'object',
+        required: ['type'],
+        properties: {
+          type: { type: 'string' },
+          selector: { type: 'string' },
+          name: { type: 'string' },
+          description: { type: 'string' }, // What the action is for, in words; helps selfHeal find a replacement selector
+          schema: { type: 'object' }, // aiExtract: JSON schema of the fields to extract
+          many: { type: 'boolean' },
+          path: { type: 'string', pattern: RELATIVE_PATH_PATTERN }, // screenshot: file name under the job's screenshot directory
+          retry: {
+            anyOf: [
+              { type: 'integer', minimum: 1, maximum: 10 },
+              {
+                type: 'object',
+                properties: {
+                  attempts: { type: 'integer', minimum: 1, maximum: 10 },
+                  backoffMs: { type: 'integer', minimum: 0 },
+                },
+              },
+            ],
+          },
+          // Nested action lists for forEach and captureResponses (actions) and if (then/else)
+          actions: { type: 'array', items: { $ref: '#/definitions/action' } },
+          then: { type: 'array', items: { $ref: '#/definitions/action' } },
+          else: { type: 'array', items: { $ref: '#/definitions/action' } },
+        },
+      },
+    },
+    properties: {
+      url: { type: 'string', pattern: '^https?://' },
+      session: { type: 'string', minLength: 1 },
+      puppeteerOptions: PUPPETEER_OPTIONS_SCHEMA,
+      actions: { type: 'array', items: { $ref: '#/definitions/action' } },
+      pagination: {
+        type: 'object',
+        properties: {
+          mode: { enum: PAGINATION_MODES },
+          nextButtonSelector: { type: 'string' },
+          contentSelector: { type: 'string' },
+          changeTimeout: { type: 'integer', minimum: 1 },
+          urlTemplate: { type: 'string', pattern: '^https?://' },
+          startPage: { type: 'integer', minimum: 0 },
+          pageSize: { type: 'integer', minimum: 1 },
+          itemSelector: { type: 'string' },
+          loadMoreSelector: { type: 'string' },
+          maxRounds: { type: 'integer', minimum: 1 },
+          newItemsTimeout: { type: 'integer', minimum: 1 },
+          maxPages: { type: 'integer', minimum: 1 },
+          delayBetweenPages: { type: 'integer', minimum: 0 },
+          stopWhen: {
+            type: 'object',
+            properties: {
+              emptyExtract: { type: 'string' },
+              repeatedFirstItem: { type: 'string' },
+              olderThan: {
+                type: 'object',
+                required: ['field'],
+                anyOf: [{ required: ['date'] }, { required: ['days'] }],
+                properties: {
+                  field: { type: 'string' },
+                  date: { type: 'string' },
+                  days: { type: 'number', exclusiveMinimum: 0 },
+                  formats: { type: 'array', items: { type: 'string' } },
+                },
+              },
+            },
+          },
+        },
+      },
+      crawl: {
+        type: 'object',
+        anyOf: [{ required: ['from'] }, { required: ['linkSelector'] }],
+        properties: {
+          from: { type: 'string', minLength: 1 },
+          urlField: { type: 'string', minLength: 1 },
+          linkSelector: { type: 'string', minLength: 1 },
+          actions: { type: 'array', items: { $ref: '#/definitions/action' } },
+          maxDepth: { type: 'integer', minimum: 1, maximum: 5 },
+          maxPages: { type: 'integer', minimum: 1, maximum: 1000 },
+          allow: { type: 'array', items: { type: 'string' } },
+          deny: { type: 'array', items: { type: 'string' } },
+          sameOrigin: { type: 'boolean' },
+          concurrency: { type: 'integer', minimum: 1, maximum: MAX_CRAWL_CONCURRENCY },
+          delay: { type: 'integer', minimum: 0 },
+          waitForSelector: { type: 'string' },
+        },
+      },
+      network: {
+        type: 'object',
+        properties: {
+          blockResourceTypes: { type: 'array', items: { enum: BLOCKABLE_RESOURCE_TYPES } },
+          blockUrlPatterns: { type: 'array', items: { type: 'string', minLength: 1 } },
+          bufferSize: { type: 'integer', minimum: 1, maximum: 1000 },
+        },
+      },
+      proxy: { anyOf: [{ type: 'string', minLength: 1 }, { const: false }] },
+      userAgent: { type: 'string', minLength: 1 },
+      politeness: {
+        type: 'object',
+        properties: {
+          minDelayMs: { type: 'integer', minimum: 0 },
+          respectRobotsTxt: { type: 'boolean' },
+        },
+      },
+      retry: {
+        type: 'object',
+        properties: {
+          pageAttempts: { type: 'integer', minimum: 1, maximum: 10 },
+          actionAttempts: { type: 'integer', minimum: 1, maximum: 10 },
+          backoffMs: { type: 'integer', minimum: 0 },
+        },
+      },
+      selfHeal: {
+        anyOf: [
+          { type: 'boolean' },
+          {
+            type: 'object',
+            properties: {
+              maxSuggestions: { type: 'integer', minimum: 1, maximum: 20 },
+              domMaxLength: { type: 'integer', minimum: 1000, maximum: 100000 },
+            },
+          },
+        ],
+      },
+      waitConditions: { type: 'object' },
+      timeout: { type: 'integer', minimum: 1 },
+      saveScreenshots: { type: 'boolean' },
+      screenshotDir: { type: 'string', pattern: RELATIVE_PATH_PATTERN },
+    },
+  },
+  options: {
+    attempts: 3,
+    backoff: { type: 'exponential', delay: 10000 },
+    timeout: 10 * 60 * 1000,
+  },
+  process: puppeteerProcessor,
+};
@@ -1,13 +1,44 @@
 // jobs/processors/sampleProcessor.js
-module.exports = async function sampleProcessor(job) {
+// Bad elements don't fail the job: they are returned as rejectedRows, which the worker
+// quarantines to ErrorLog, and the result is a partial success.
+async function sampleProcessor(job) {
   const input = job.data.input;
 
   if (!Array.isArray(input)) throw new Error("Input must be an array.");
 
-  const doubled = input.map((num) => {
-    if (typeof num !== "number") throw new Error(`Invalid value: ${num}`);
-    return num * 2;
+  const doubled = [];
+  const rejectedRows = [];
+  input.forEach((num, index) => {
+    if (typeof num !== "number" || !Number.isFinite(num)) {
+      rejectedRows.push({ index, record: { value: num }, reasons: [{ field: "value", rule: "type", message: `Invalid value: ${num}` }] });
+      return;
+    }
+    doubled.push(num * 2);
   });
 
-  return { result: doubled };
+  return {
+    result: doubled,
+    rows_processed: doubled.length,
+    rows_failed: rejectedRows.length,
+    partial: rejectedRows.length > 0,
+    rejectedRows,
+  };
+}
+
+module.exports = {
+  name: 'doubleNumbers',
+  jobType: 'data_transformation_sample',
+  concurrency: 5,
+  schema: {
+    required: ['input'],
+    properties: {
+      input: { type: 'array' },
+    },
+  },
+  options: {
+    attempts: 3,
+    backoff: { type: 'exponential', delay: 10000 },
+    timeout: 60000,
+  },
+  process: sampleProcessor,
 };
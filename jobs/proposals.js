@@ -0,0 +1,127 @@
+// jobs/proposals.js
+const { validateJobData } = require('./registry');
+const { JobStateError } = require('./service');
+const { updateScheduleConfig } = require('./scheduler');
+const { prisma } = require('../lib/prisma');
+const { redactText } = require('../lib/redact');
+
+// Value at a key path such as ['actions', 2, 'selector']
+function getAt(object, path) {
+  return path.reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), object);
+}
+
+function setAt(object, path, value) {
+  const parent = getAt(object, path.slice(0, -1));
+  parent[path[path.length - 1]] = value;
+}
+
+const changeKey = change => `${change.path.join('.')}=${change.to}`;
+
+/**
+ * Record selectors healed during a run as a pending config change on the job it was run
+ * from (the schedule, for scheduled runs). Fixes for selectors that no longer match the
+ * saved config, or that are already waiting for review, are left out.
+ * @param {object} params
+ * @param {string} params.userId
+ * @param {string} params.jobId - The run that healed the selectors.
+ * @param {Array<object>} params.heals - `healedSelectors` from the scrapeWebPage result.
+ * @returns {Promise<object|null>} - The ConfigChangeProposal, or null when there was nothing new.
+ */
+async function proposeSelectorHeals({ userId, jobId, heals }) {
+  const run = await prisma.dataProcessingJob.findUnique({
+    where: { job_id: jobId },
+    select: { job_id: true, parent_job_id: true, config: true, parent_job: { select: { job_id: true, config: true } } },
+  });
+  if (!run) return null;
+  const target = run.parent_job || run;
+
+  const pending = await prisma.configChangeProposal.findMany({
+    where: { job_id: target.job_id, status: 'pending' },
+    select: { changes: true },
+  });
+  const alreadyProposed = new Set(pending.flatMap(proposal => proposal.changes).map(changeKey));
+
+  const changes = heals
+    .filter(heal => getAt(target.config, heal.path) === heal.from && !alreadyProposed.has(changeKey(heal)))
+    .map(heal => ({
+      path: heal.path,
+      from: heal.from,
+      to: heal.to,
+      action_type: heal.actionType,
+      name: heal.name,
+      matches: heal.matches,
+      page_url: redactText(heal.pageUrl),
+    }));
+  if (changes.length === 0) return null;
+
+  const proposal = await prisma.configChangeProposal.create({
+    data: {
+      user_id: userId,
+      job_id: target.job_id,
+      source_job_id: run.job_id,
+      kind: 'selector_heal',
+      changes,
+      backend: heals[0].backend,
+      model: heals[0].model,
+    },
+  });
+  console.log(`🩹 Proposed ${changes.length} selector fix(es) for job ${target.job_id} (proposal ${proposal.proposal_id}).`);
+  return proposal;
+}
+
+// Move a proposal out of 'pending'. The status is the guard: of two concurrent decisions
+// only the first matches the row, the other gets a JobStateError
+async function decide(db, proposal, status) {
+  const { count } = await db.configChangeProposal.updateMany({
+    where: { proposal_id: proposal.proposal_id, status: 'pending' },
+    data: { status, decided_at: new Date() },
+  });
+  if (count === 0) {
+    const current = await db.configChangeProposal.findUnique({ where: { proposal_id: proposal.proposal_id }, select: { status: true } });
+    throw new JobStateError(`Proposal ${proposal.proposal_id} is ${current ? current.status : 'gone'} and cannot be ${status}.`);
+  }
+  return db.configChangeProposal.findUnique({ where: { proposal_id: proposal.proposal_id } });
+}
+
+/**
+ * Apply a pending proposal to its job's saved config. Each change must still find the
+ * value it was made against, otherwise the config was edited since and nothing is applied.
+ * The approval and the config update commit together, so a proposal is applied at most once.
+ * @param {object} proposal
+ * @returns {Promise<object>} - The approved ConfigChangeProposal.
+ */
+async function approveProposal(proposal) {
+  const approved = await prisma.$transaction(async (tx) => {
+    const decided = await decide(tx, proposal, 'approved');
+
+    const job = await tx.dataProcessingJob.findUnique({ where: { job_id: proposal.job_id } });
+    const config = structuredClone(job.config || {});
+    for (const change of proposal.changes) {
+      if (getAt(config, change.path) !== change.from) {
+        throw new JobStateError(`Job ${job.job_id} config changed since proposal ${proposal.proposal_id} was made: ${change.path.join('.')} is no longer "${change.from}".`);
+      }
+      setAt(config, change.path, change.to);
+    }
+    validateJobData(job.job_type, { ...config, userId: job.user_id });
+
+    if (job.cron_expression) {
+      await updateScheduleConfig(job, config, tx);
+    } else {
+      await tx.dataProcessingJob.update({ where: { job_id: job.job_id }, data: { config } });
+    }
+    return decided;
+  });
+
+  console.log(`✅ Applied proposal ${proposal.proposal_id} to job ${proposal.job_id}.`);
+  return approved;
+}
+
+async function rejectProposal(proposal) {
+  return decide(prisma, proposal, 'rejected');
+}
+
+module.exports = {
+  proposeSelectorHeals,
+  approveProposal,
+  rejectProposal,
+};
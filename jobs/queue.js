@@ -7,15 +7,35 @@ const connection = new IORedis({
   maxRetriesPerRequest: null, // ✅ Required for BullMQ compatibility
 });
 
-const jobQueue = new Queue('jobQueue', {
-  connection,
-  defaultJobOptions: {
-    attempts: 3, // Default number of attempts
-    backoff: {
-      type: 'exponential', // Exponential backoff strategy
-      delay: 10000,        // Initial delay of 10 seconds
-    },
+const defaultJobOptions = {
+  attempts: 3, // Default number of attempts
+  backoff: {
+    type: 'exponential', // Exponential backoff strategy
+    delay: 10000,        // Initial delay of 10 seconds
   },
-});
+};
+
+// Each processor has a queue of its own, so its Worker runs at that processor's concurrency
+// and a backlog of one job type never holds up the others
+const queues = new Map();
+
+function queueName(processorName) {
+  return `jobQueue-${processorName}`;
+}
+
+/**
+ * The queue a processor's jobs go on, by processor (BullMQ job) name.
+ * @param {string} processorName
+ * @returns {Queue}
+ */
+function getQueue(processorName) {
+  if (!queues.has(processorName)) {
+    queues.set(processorName, new Queue(queueName(processorName), { connection, defaultJobOptions }));
+  }
+  return queues.get(processorName);
+}
 
-module.exports = jobQueue;
+module.exports = {
+  queueName,
+  getQueue,
+};
@@ -0,0 +1,147 @@
+// jobs/recordSink.js
+const { prisma } = require('../lib/prisma');
+const { transformRecords } = require('../lib/transformRules');
+const { createRecordValidator } = require('../lib/recordValidator');
+const { createExportWriter } = require('../lib/exporter');
+const { redact, redactText } = require('../lib/redact');
+
+const QUARANTINE_BATCH_SIZE = 500;
+const QUARANTINE_SNIPPET_LENGTH = 500;
+const TRANSFORM_ERROR_SAMPLE_SIZE = 100; // Streamed results keep the first few field errors, and a count
+
+// ProcessingResult.result_type of the record batches a streaming processor stores
+function recordBatchType(jobName) {
+  return `${jobName}_records`;
+}
+
+// Invalid rows go to ErrorLog (one warning per row) so they can be fixed and re-run;
+// `rows` are { index, record, reasons } from the validation step or a processor's rejectedRows
+async function quarantineRows(rows, { jobId, userId }) {
+  for (let start = 0; start < rows.length; start += QUARANTINE_BATCH_SIZE) {
+    await prisma.errorLog.createMany({
+      data: rows.slice(start, start + QUARANTINE_BATCH_SIZE).map(({ index, record, reasons }) => ({
+        job_id: jobId,
+        user_id: userId,
+        error_message: redactText(`Row ${index}: ${reasons.map(reason => reason.message).join('; ')}`),
+        severity: 'warning',
+        context_data: {
+          row_index: index,
+          reasons: redact(reasons),
+          failed_step: 'data_validation',
+          input_snippet: record === undefined ? null : redactText(JSON.stringify(redact(record)).slice(0, QUARANTINE_SNIPPET_LENGTH)),
+        },
+      })),
+    });
+  }
+}
+
+/**
+ * The `writeRecords` callback handed to processors that stream their records (csvImport).
+ * Each batch goes through the job's transform and validation specs, invalid rows are
+ * quarantined, and the rest are appended to the export file (if any) and stored as one
+ * ProcessingResult row per batch, so a large import never sits in memory or in one JSON blob.
+ * Record batches and quarantined rows left by an earlier attempt are cleared on the first write.
+ * @param {object} params
+ * @param {string} params.jobName
+ * @param {string} params.jobId
+ * @param {string} params.userId
+ * @param {object|null} params.transformSpec - Compiled transform spec.
+ * @param {object|null} params.validationSpec - Compiled validation spec.
+ * @param {object|null} params.exportSpec - job.data.export.
+ * @returns {function} - async writeRecords(records); `writeRecords.used` and `writeRecords.finish()`
+ *   (resolves to { summary, exportInfo }) are for the worker.
+ */
+function createRecordSink({ jobName, jobId, userId, transformSpec, validationSpec, exportSpec }) {
+  const validate = validationSpec ? createRecordValidator(validationSpec) : null;
+  const summary = { rows_processed: 0, rows_invalid: 0, record_batches: 0, transform_errors: 0 };
+  const transformErrors = [];
+  let exporter = null;
+  let offset = 0;
+
+  const clearEarlierAttempts = async () => {
+    await prisma.processingResult.deleteMany({ where: { job_id: jobId, result_type: recordBatchType(jobName) } });
+    await prisma.errorLog.deleteMany({
+      where: { job_id: jobId, context_data: { path: ['failed_step'], equals: 'data_validation' } },
+    });
+  };
+
+  const writeRecords = async (records) => {
+    if (!writeRecords.used) {
+      writeRecords.used = true;
+      await clearEarlierAttempts();
+      if (exportSpec) {
+        exporter = createExportWriter({
+          format: exportSpec.format,
+          userId,
+          columns: exportSpec.columns,
+          fileName: exportSpec.fileName || `${jobId}-${Date.now()}`,
+        });
+      }
+    }
+
+    let batch = records;
+    if (transformSpec) {
+      const { records: transformed, errors } = transformRecords(batch, transformSpec);
+      batch = transformed;
+      summary.transform_errors += errors.length;
+      transformErrors.push(...errors.slice(0, TRANSFORM_ERROR_SAMPLE_SIZE - transformErrors.length).map(error => ({ ...error, index: error.index + offset })));
+    }
+    if (validate) {
+      const { valid, invalid } = validate(batch, offset);
+      batch = valid;
+      summary.rows_invalid += invalid.length;
+      await quarantineRows(invalid, { jobId, userId });
+    }
+    offset += records.length;
+
+    if (batch.length === 0) return;
+    if (exporter) await exporter.write(batch);
+    await prisma.processingResult.create({
+      data: {
+        job_id: jobId,
+        user_id: userId,
+        result_type: recordBatchType(jobName),
+        data: { offset: summary.rows_processed, records: batch },
+        status: 'success',
+      },
+    });
+    summary.rows_processed += batch.length;
+    summary.record_batches++;
+  };
+
+  writeRecords.used = false;
+  writeRecords.finish = async () => ({
+    summary: { ...summary, ...(transformErrors.length > 0 ? { transformErrors } : {}) },
+    exportInfo: exporter ? await exporter.close() : null,
+  });
+
+  return writeRecords;
+}
+
+/**
+ * Read back the record batches a streaming job stored, in order, one batch at a time.
+ * @param {string} jobId
+ * @param {string} jobName
+ * @returns {AsyncGenerator<Array<object>>}
+ */
+async function* readRecordBatches(jobId, jobName) {
+  let cursor = null;
+  for (;;) {
+    const [batch] = await prisma.processingResult.findMany({
+      where: { job_id: jobId, result_type: recordBatchType(jobName) },
+      orderBy: [{ created_at: 'asc' }, { result_id: 'asc' }],
+      take: 1,
+      ...(cursor ? { cursor: { result_id: cursor }, skip: 1 } : {}),
+    });
+    if (!batch) return;
+    cursor = batch.result_id;
+    yield batch.data.records;
+  }
+}
+
+module.exports = {
+  recordBatchType,
+  quarantineRows,
+  createRecordSink,
+  readRecordBatches,
+};
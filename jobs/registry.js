@@ -0,0 +1,186 @@
+// jobs/registry.js
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const { getQueue } = require('./queue');
+const { compileTransformSpec } = require('../lib/transformRules');
+const { compileValidationSpec } = require('../lib/recordValidator');
+const { EXPORT_FORMATS } = require('../lib/exporter');
+
+const PROCESSORS_DIR = path.join(__dirname, 'processors');
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+
+/**
+ * Thrown when a job payload does not match its processor's input schema.
+ * `details` holds one human-readable message per problem.
+ */
+class JobValidationError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'JobValidationError';
+    this.details = details;
+  }
+}
+
+// Fields every job payload may carry, whatever the processor
+const COMMON_PROPERTIES = {
+  jobId: { type: 'string' },
+  userId: { type: 'string' },
+  transform: { type: 'object' },
+  validation: { type: 'object' },
+  export: {
+    type: 'object',
+    required: ['format'],
+    properties: {
+      format: { enum: Object.keys(EXPORT_FORMATS) },
+      fields: { type: ['string', 'array'], items: { type: 'string' } },
+      columns: { type: 'array', items: { type: 'string' } },
+      fileName: { type: 'string', pattern: '^[\\w.-]+$' },
+    },
+  },
+};
+
+const processors = new Map();
+
+// 'scrapeWebPage' -> 'WORKER_CONCURRENCY_SCRAPE_WEB_PAGE'
+function concurrencyEnvName(name) {
+  return `WORKER_CONCURRENCY_${name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase()}`;
+}
+
+/**
+ * Register a processor definition.
+ * @param {object} definition
+ * @param {string} definition.name - BullMQ job name, e.g. 'scrapeWebPage'.
+ * @param {string} definition.jobType - DataProcessingJob.job_type, e.g. 'web_scraping_puppeteer'.
+ * @param {object} [definition.schema] - JSON schema for job.data.
+ * @param {object} [definition.options] - Default BullMQ job options plus `timeout` (ms).
+ * @param {number} [definition.concurrency] - Jobs of this type one worker runs at once (default: 1);
+ *   WORKER_CONCURRENCY_<NAME> (e.g. WORKER_CONCURRENCY_SCRAPE_WEB_PAGE) overrides it.
+ * @param {number} [definition.maxPendingPerUser] - Queued or running jobs of this type one user may have;
+ *   such jobs cannot be scheduled, since a schedule's runs would bypass the limit.
+ * @param {function} definition.process - async ({ data, rawData, reportProgress, checkpoint, saveCheckpoint, writeRecords, signal }) => result;
+ *   `data` has {{secret:NAME}} references resolved, `rawData` does not (echo that one into results);
+ *   `signal` is aborted when the job exceeds `options.timeout`
+ */
+function registerProcessor(definition) {
+  const { name, jobType, schema = { type: 'object' }, options = {} } = definition;
+  if (!name || typeof definition.process !== 'function') {
+    throw new Error('A processor needs a name and a process function.');
+  }
+  if (processors.has(name)) throw new Error(`Processor "${name}" is already registered.`);
+
+  const fullSchema = {
+    ...schema,
+    type: 'object',
+    properties: { ...COMMON_PROPERTIES, ...(schema.properties || {}) },
+  };
+
+  processors.set(name, {
+    ...definition,
+    jobType: jobType || name,
+    schema: fullSchema,
+    options,
+    concurrency: Number(process.env[concurrencyEnvName(name)]) || definition.concurrency || 1,
+    validate: ajv.compile(fullSchema),
+  });
+}
+
+/**
+ * Load every processor module in jobs/processors/. A module is treated as a processor
+ * when it exports a `process` function; anything else (helpers) is ignored.
+ */
+function loadProcessors(dir = PROCESSORS_DIR) {
+  const files = fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isFile() && entry.name.endsWith('.js'))
+    .map(entry => entry.name)
+    .sort();
+
+  for (const file of files) {
+    const definition = require(path.join(dir, file));
+    if (definition && typeof definition.process === 'function' && !processors.has(definition.name)) {
+      registerProcessor(definition);
+    }
+  }
+}
+
+/**
+ * Look up a processor by BullMQ job name or by DataProcessingJob.job_type.
+ * @param {string} nameOrType
+ * @returns {object|undefined}
+ */
+function getProcessor(nameOrType) {
+  if (processors.size === 0) loadProcessors();
+  if (processors.has(nameOrType)) return processors.get(nameOrType);
+  return [...processors.values()].find(processor => processor.jobType === nameOrType);
+}
+
+function listProcessors() {
+  if (processors.size === 0) loadProcessors();
+  return [...processors.values()].map(({ name, jobType, schema, options, concurrency }) => ({ name, jobType, schema, options, concurrency }));
+}
+
+/**
+ * Validate a job payload against its processor's schema (and the transform and validation specs, if any).
+ * @param {string} nameOrType
+ * @param {object} data
+ * @returns {object} - The matching processor definition.
+ * @throws {JobValidationError}
+ */
+function validateJobData(nameOrType, data) {
+  const processor = getProcessor(nameOrType);
+  if (!processor) {
+    throw new JobValidationError(`Unknown job type: ${nameOrType}`, [
+      `Expected one of: ${listProcessors().map(p => p.name).join(', ')}`,
+    ]);
+  }
+
+  if (!processor.validate(data)) {
+    const details = processor.validate.errors.map(error => `data${error.instancePath} ${error.message}`);
+    throw new JobValidationError(`Invalid payload for ${processor.name}: ${details.join('; ')}`, details);
+  }
+
+  try {
+    if (data.transform) compileTransformSpec(data.transform);
+    if (data.validation) compileValidationSpec(data.validation);
+  } catch (error) {
+    throw new JobValidationError(`Invalid payload for ${processor.name}: ${error.message}`, [error.message]);
+  }
+
+  return processor;
+}
+
+/**
+ * The BullMQ queue holding a processor's jobs (and its recurring job schedulers).
+ * @param {string} nameOrType - Processor name or job_type.
+ * @returns {import('bullmq').Queue}
+ */
+function getProcessorQueue(nameOrType) {
+  const processor = getProcessor(nameOrType);
+  if (!processor) throw new JobValidationError(`Unknown job type: ${nameOrType}`);
+  return getQueue(processor.name);
+}
+
+/**
+ * Validate a payload and add it to its processor's queue with the processor's default options.
+ * @param {string} nameOrType - Processor name or job_type.
+ * @param {object} data - Job payload.
+ * @param {object} [opts] - BullMQ job options overriding the processor defaults.
+ * @returns {Promise<import('bullmq').Job>}
+ */
+async function enqueueJob(nameOrType, data, opts = {}) {
+  const processor = validateJobData(nameOrType, data);
+  const { timeout, ...defaultJobOptions } = processor.options;
+  return getQueue(processor.name).add(processor.name, data, { ...defaultJobOptions, ...opts });
+}
+
+module.exports = {
+  JobValidationError,
+  registerProcessor,
+  loadProcessors,
+  getProcessor,
+  listProcessors,
+  validateJobData,
+  getProcessorQueue,
+  enqueueJob,
+};
@@ -0,0 +1,243 @@
+// jobs/scheduler.js
+const cronParser = require('cron-parser');
+const { JobValidationError, validateJobData, getProcessorQueue, enqueueJob } = require('./registry');
+const { JobStateError, resolveInputFileId } = require('./service');
+const { prisma } = require('../lib/prisma');
+
+/**
+ * Next run time of a cron expression, or a JobValidationError if it does not parse.
+ */
+function nextRunAt(cron, timezone) {
+  try {
+    return cronParser.parseExpression(cron, { tz: timezone || undefined }).next().toDate();
+  } catch (error) {
+    throw new JobValidationError(`Invalid cron expression "${cron}": ${error.message}`, [error.message]);
+  }
+}
+
+function jobTemplate(processor, schedule) {
+  const { timeout, ...defaultJobOptions } = processor.options;
+  return {
+    name: processor.name,
+    // No jobId here: each run gets its own DataProcessingJob row when the worker picks it up
+    data: { ...(schedule.config || {}), userId: schedule.user_id, scheduleId: schedule.job_id },
+    opts: defaultJobOptions,
+  };
+}
+
+// Recurring schedules, and one-off jobs that have not started yet (paused ones included)
+const SCHEDULE_FILTER = {
+  OR: [{ cron_expression: { not: null } }, { cron_expression: null, status: { in: ['scheduled', 'paused'] } }],
+};
+
+function isRecurring(schedule) {
+  return Boolean(schedule.cron_expression);
+}
+
+// A one-off schedule's delayed BullMQ job; one that has already been picked up cannot be taken back
+async function removeDelayedJob(schedule) {
+  const bullJob = await getProcessorQueue(schedule.job_type).getJob(schedule.job_id);
+  if (!bullJob) return;
+  if (!(await bullJob.isDelayed()) && !(await bullJob.isWaiting())) {
+    throw new JobStateError(`Job ${schedule.job_id} has already started and is no longer scheduled.`);
+  }
+  await bullJob.remove();
+}
+
+function enqueueDelayedJob(schedule) {
+  const data = { ...(schedule.config || {}), jobId: schedule.job_id, userId: schedule.user_id };
+  return enqueueJob(schedule.job_type, data, {
+    jobId: schedule.job_id,
+    delay: Math.max(0, new Date(schedule.scheduled_at).getTime() - Date.now()),
+  });
+}
+
+async function upsertScheduler(schedule) {
+  const processor = validateJobData(schedule.job_type, { ...(schedule.config || {}), userId: schedule.user_id });
+  await getProcessorQueue(processor.name).upsertJobScheduler(
+    schedule.job_id,
+    { pattern: schedule.cron_expression, tz: schedule.timezone || undefined },
+    jobTemplate(processor, schedule)
+  );
+}
+
+/**
+ * Schedule a job, either once at `runAt` or on a recurring `cron` expression.
+ *
+ * One-off jobs are a single DataProcessingJob enqueued as a BullMQ delayed job.
+ * Recurring schedules are a parent DataProcessingJob backed by a BullMQ job scheduler;
+ * every run creates its own history row with parent_job_id pointing at the schedule.
+ *
+ * @param {object} params
+ * @param {string} params.userId
+ * @param {string} params.type - Processor name or job_type.
+ * @param {object} [params.data] - Processor payload.
+ * @param {string} [params.jobName]
+ * @param {Date|string} [params.runAt] - One-off run time.
+ * @param {string} [params.cron] - Cron expression for recurring runs.
+ * @param {string} [params.timezone] - IANA timezone for the cron expression.
+ * @returns {Promise<object>} - The scheduled DataProcessingJob.
+ */
+async function scheduleJob({ userId, type, data = {}, jobName, runAt, cron, timezone }) {
+  const processor = validateJobData(type, { ...data, userId });
+  if (processor.maxPendingPerUser) {
+    throw new JobValidationError(`${processor.name} jobs cannot be scheduled; create them one at a time instead.`);
+  }
+
+  if (!runAt === !cron) {
+    throw new JobValidationError('Provide exactly one of "run_at" (one-off) or "cron" (recurring).');
+  }
+  const fileId = await resolveInputFileId(userId, data);
+
+  if (runAt) {
+    const runDate = new Date(runAt);
+    if (Number.isNaN(runDate.getTime())) throw new JobValidationError(`Invalid run_at: ${runAt}`);
+    if (runDate <= new Date()) throw new JobValidationError('run_at must be in the future.');
+
+    const dbJob = await prisma.dataProcessingJob.create({
+      data: {
+        user_id: userId,
+        job_name: jobName || null,
+        job_type: processor.jobType,
+        input_file_id: fileId,
+        status: 'scheduled',
+        config: data,
+        scheduled_at: runDate,
+      },
+    });
+
+    await enqueueJob(processor.name, { ...data, jobId: dbJob.job_id, userId }, {
+      jobId: dbJob.job_id,
+      delay: runDate.getTime() - Date.now(),
+    });
+
+    console.log(`⏰ Scheduled ${processor.name} job ${dbJob.job_id} for ${runDate.toISOString()}.`);
+    return dbJob;
+  }
+
+  const schedule = await prisma.dataProcessingJob.create({
+    data: {
+      user_id: userId,
+      job_name: jobName || null,
+      job_type: processor.jobType,
+      input_file_id: fileId,
+      status: 'scheduled',
+      config: data,
+      cron_expression: cron,
+      timezone: timezone || null,
+      scheduled_at: nextRunAt(cron, timezone),
+    },
+  });
+
+  await upsertScheduler(schedule);
+  console.log(`⏰ Created schedule ${schedule.job_id} (${cron}${timezone ? ` ${timezone}` : ''}) for ${processor.name}.`);
+  return schedule;
+}
+
+/**
+ * Stop a recurring schedule from creating new runs, or take a one-off job's delayed run
+ * off the queue (its run_at is kept for resume). Runs already queued are not affected.
+ */
+async function pauseSchedule(schedule) {
+  if (schedule.status !== 'scheduled') {
+    throw new JobStateError(`Schedule ${schedule.job_id} is ${schedule.status} and cannot be paused.`);
+  }
+  if (!isRecurring(schedule)) {
+    await removeDelayedJob(schedule);
+    return prisma.dataProcessingJob.update({ where: { job_id: schedule.job_id }, data: { status: 'paused' } });
+  }
+  await getProcessorQueue(schedule.job_type).removeJobScheduler(schedule.job_id);
+  return prisma.dataProcessingJob.update({
+    where: { job_id: schedule.job_id },
+    data: { status: 'paused', scheduled_at: null },
+  });
+}
+
+/**
+ * Re-register a paused schedule. A one-off job whose run_at passed while it was paused runs right away.
+ */
+async function resumeSchedule(schedule) {
+  if (schedule.status !== 'paused') {
+    throw new JobStateError(`Schedule ${schedule.job_id} is ${schedule.status} and cannot be resumed.`);
+  }
+  if (!isRecurring(schedule)) {
+    const updated = await prisma.dataProcessingJob.update({
+      where: { job_id: schedule.job_id },
+      data: { status: 'scheduled' },
+    });
+    await enqueueDelayedJob(updated);
+    return updated;
+  }
+  await upsertScheduler(schedule);
+  return prisma.dataProcessingJob.update({
+    where: { job_id: schedule.job_id },
+    data: { status: 'scheduled', scheduled_at: nextRunAt(schedule.cron_expression, schedule.timezone) },
+  });
+}
+
+/**
+ * Remove a schedule. A recurring schedule's past runs are kept (their parent_job_id is cleared);
+ * a one-off job's delayed run is taken off the queue.
+ */
+async function deleteSchedule(schedule) {
+  if (isRecurring(schedule)) {
+    await getProcessorQueue(schedule.job_type).removeJobScheduler(schedule.job_id);
+  } else {
+    await removeDelayedJob(schedule);
+  }
+  await prisma.dataProcessingJob.delete({ where: { job_id: schedule.job_id } });
+}
+
+/**
+ * Replace a recurring schedule's config; an active schedule is re-registered so its
+ * next run picks the new config up. Pass the transaction client as `db` to update inside one.
+ */
+async function updateScheduleConfig(schedule, config, db = prisma) {
+  const updated = await db.dataProcessingJob.update({
+    where: { job_id: schedule.job_id },
+    data: { config },
+  });
+  if (updated.status === 'scheduled') await upsertScheduler(updated);
+  return updated;
+}
+
+/**
+ * Called by the worker when a scheduler-produced BullMQ job starts: creates the run's
+ * own DataProcessingJob row and moves the schedule's scheduled_at to the next run.
+ * @param {string} scheduleId
+ * @returns {Promise<object|null>} - The run row, or null if the schedule no longer exists.
+ */
+async function createScheduledRun(scheduleId) {
+  const schedule = await prisma.dataProcessingJob.findUnique({ where: { job_id: scheduleId } });
+  if (!schedule || schedule.status !== 'scheduled') return null;
+
+  const [run] = await prisma.$transaction([
+    prisma.dataProcessingJob.create({
+      data: {
+        user_id: schedule.user_id,
+        job_name: schedule.job_name,
+        job_type: schedule.job_type,
+        input_file_id: schedule.input_file_id,
+        status: 'queued',
+        config: schedule.config,
+        parent_job_id: schedule.job_id,
+      },
+    }),
+    prisma.dataProcessingJob.update({
+      where: { job_id: schedule.job_id },
+      data: { scheduled_at: nextRunAt(schedule.cron_expression, schedule.timezone) },
+    }),
+  ]);
+
+  return run;
+}
+
+module.exports = {
+  SCHEDULE_FILTER,
+  scheduleJob,
+  pauseSchedule,
+  resumeSchedule,
+  deleteSchedule,
+  updateScheduleConfig,
+  createScheduledRun,
+};
@@ -0,0 +1,171 @@
+// jobs/service.js
+const { Prisma } = require('@prisma/client');
+const { JobValidationError, validateJobData, getProcessor, getProcessorQueue, enqueueJob } = require('./registry');
+const { prisma } = require('../lib/prisma');
+
+const CANCELLABLE_STATUSES = ['pending', 'queued', 'scheduled', 'running'];
+const RETRYABLE_STATUSES = ['failed', 'cancelled'];
+const PENDING_STATUSES = ['queued', 'running'];
+
+/**
+ * Thrown when a job cannot move to the requested state (e.g. retrying a running job).
+ */
+class JobStateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'JobStateError';
+  }
+}
+
+/**
+ * Thrown when a user already has as many pending jobs of a type as its processor allows.
+ */
+class JobLimitError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'JobLimitError';
+  }
+}
+
+// Runs `write(tx)` (which queues a job) only if the user is under the processor's maxPendingPerUser.
+// The advisory lock serializes the count and the write per user and job type, so parallel requests
+// cannot all pass the check.
+function withPendingLimit(processor, userId, write) {
+  if (!processor || !processor.maxPendingPerUser) return write(prisma);
+
+  return prisma.$transaction(async (tx) => {
+    await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${`${userId}:${processor.jobType}`}))`;
+    const pending = await tx.dataProcessingJob.count({
+      where: { user_id: userId, job_type: processor.jobType, status: { in: PENDING_STATUSES } },
+    });
+    if (pending >= processor.maxPendingPerUser) {
+      throw new JobLimitError(`You already have ${pending} ${processor.name} jobs in progress; wait for one to finish.`);
+    }
+    return write(tx);
+  });
+}
+
+/**
+ * The upload a job reads (`inputFileId`, else `data.fileId`), checked to belong to the user.
+ * Uploads are private to their owner, so a job may only read the caller's own files.
+ * @returns {Promise<string|null>} - The file id, or null if the job reads no upload.
+ */
+async function resolveInputFileId(userId, data, inputFileId) {
+  const fileId = inputFileId || data.fileId || null;
+  if (fileId) {
+    const file = await prisma.fileUpload.findFirst({ where: { file_id: fileId, user_id: userId, deleted_at: null } });
+    if (!file) throw new JobValidationError(`File upload ${fileId} not found.`, [`data/fileId ${fileId} does not exist`]);
+  }
+  return fileId;
+}
+
+function buildPayload(dbJob) {
+  return { ...(dbJob.config || {}), jobId: dbJob.job_id, userId: dbJob.user_id };
+}
+
+/**
+ * Create a DataProcessingJob row and enqueue it on its processor's queue.
+ * The payload is validated before anything is written, and the BullMQ job id is the
+ * DB job_id so the two can always be matched up.
+ * @param {object} params
+ * @param {string} params.userId
+ * @param {string} params.type - Processor name or job_type.
+ * @param {object} [params.data] - Processor payload (stored as DataProcessingJob.config).
+ * @param {string} [params.jobName]
+ * @param {string} [params.inputFileId]
+ * @returns {Promise<object>} - The created DataProcessingJob.
+ */
+async function createJob({ userId, type, data = {}, jobName, inputFileId }) {
+  const processor = validateJobData(type, { ...data, userId });
+  const fileId = await resolveInputFileId(userId, data, inputFileId);
+
+  const dbJob = await withPendingLimit(processor, userId, tx => tx.dataProcessingJob.create({
+    data: {
+      user_id: userId,
+      job_name: jobName || null,
+      job_type: processor.jobType,
+      input_file_id: fileId,
+      status: 'queued',
+      config: data,
+    },
+  }));
+
+  await enqueueJob(processor.name, buildPayload(dbJob), { jobId: dbJob.job_id });
+  console.log(`📝 Added ${processor.name} job ${dbJob.job_id} to queue.`);
+  return dbJob;
+}
+
+/**
+ * Cancel a job that has not finished yet. Waiting and delayed BullMQ jobs are removed;
+ * a job that is already running is marked cancelled and its result is discarded.
+ * @param {object} dbJob
+ * @returns {Promise<object>} - The updated DataProcessingJob.
+ */
+async function cancelJob(dbJob) {
+  if (!CANCELLABLE_STATUSES.includes(dbJob.status)) {
+    throw new JobStateError(`Job ${dbJob.job_id} is ${dbJob.status} and cannot be cancelled.`);
+  }
+
+  const queue = getProcessorQueue(dbJob.job_type);
+  if (dbJob.cron_expression) {
+    // Recurring schedule: stop it from producing new runs
+    await queue.removeJobScheduler(dbJob.job_id);
+  }
+
+  const bullJob = await queue.getJob(dbJob.job_id);
+  if (bullJob && !(await bullJob.isActive())) {
+    await bullJob.remove();
+  }
+
+  return prisma.dataProcessingJob.update({
+    where: { job_id: dbJob.job_id },
+    data: { status: 'cancelled', completed_at: new Date() },
+  });
+}
+
+/**
+ * Put a failed or cancelled job back on the queue with its stored config. A checkpoint
+ * left by the failed run is kept, so processors that checkpoint resume where it stopped.
+ * @param {object} dbJob
+ * @returns {Promise<object>} - The updated DataProcessingJob.
+ */
+async function retryJob(dbJob) {
+  if (dbJob.cron_expression) {
+    throw new JobStateError(`Job ${dbJob.job_id} is a recurring schedule; resume it instead of retrying.`);
+  }
+  if (!RETRYABLE_STATUSES.includes(dbJob.status)) {
+    throw new JobStateError(`Job ${dbJob.job_id} is ${dbJob.status}; only failed or cancelled jobs can be retried.`);
+  }
+
+  // A job cancelled while running keeps its BullMQ lock until the processor stops
+  const bullJob = await getProcessorQueue(dbJob.job_type).getJob(dbJob.job_id);
+  const bullState = bullJob ? await bullJob.getState() : null;
+  if (bullState === 'active') {
+    throw new JobStateError(`Job ${dbJob.job_id} is still stopping; retry it once it has finished.`);
+  }
+
+  const updated = await withPendingLimit(getProcessor(dbJob.job_type), dbJob.user_id, tx => tx.dataProcessingJob.update({
+    where: { job_id: dbJob.job_id },
+    data: { status: 'queued', started_at: null, completed_at: null, progress: Prisma.DbNull },
+  }));
+
+  if (bullState === 'failed') {
+    // Without the reset a retried job has no attempts left and fails for good on its first error
+    await bullJob.retry('failed', { resetAttemptsMade: true });
+  } else {
+    if (bullJob) await bullJob.remove();
+    await enqueueJob(dbJob.job_type, buildPayload(dbJob), { jobId: dbJob.job_id });
+  }
+
+  console.log(`🔁 Re-queued job ${dbJob.job_id}.`);
+  return updated;
+}
+
+module.exports = {
+  JobStateError,
+  JobLimitError,
+  resolveInputFileId,
+  createJob,
+  cancelJob,
+  retryJob,
+};
@@ -0,0 +1,56 @@
+// lib/auth.js
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SCRYPT_KEY_LENGTH = 64;
+const SCRYPT_COST = 16384;
+const TOKEN_PREFIX = 'ae_';
+
+/**
+ * Hash a password with scrypt and a random salt.
+ * The result is self-describing: `scrypt$<cost>$<salt>$<hash>`.
+ * @param {string} password
+ * @returns {Promise<string>}
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, SCRYPT_KEY_LENGTH, { N: SCRYPT_COST });
+  return `scrypt$${SCRYPT_COST}$${salt}$${hash.toString('hex')}`;
+}
+
+/**
+ * Check a password against a hash produced by hashPassword.
+ * Unknown formats (e.g. the old demo placeholder) never match.
+ * @param {string} password
+ * @param {string} storedHash
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, storedHash) {
+  const [scheme, cost, salt, hashHex] = String(storedHash || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hashHex) return false;
+
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scrypt(password, salt, expected.length, { N: Number(cost) });
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Generate a random bearer token. Only its SHA-256 hash is stored.
+ * @returns {string}
+ */
+function generateToken() {
+  return TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  generateToken,
+  hashToken,
+};
@@ -0,0 +1,137 @@
+// lib/browser.js
+const path = require('path');
+const puppeteer = require('puppeteer');
+
+const DEFAULT_LAUNCH_OPTIONS = {
+  headless: true,
+  args: [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-gpu',
+    '--disable-web-security',
+    '--disable-features=VizDisplayCompositor'
+  ]
+};
+
+// The only launch options a job may set; anything else (executablePath, args, userDataDir...)
+// would let a job's owner run programs or read files on the worker host
+const PUPPETEER_OPTIONS_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    headless: { enum: [true, false, 'shell'] },
+    defaultViewport: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['width', 'height'],
+      properties: {
+        width: { type: 'integer', minimum: 320, maximum: 3840 },
+        height: { type: 'integer', minimum: 240, maximum: 2160 },
+        deviceScaleFactor: { type: 'number', exclusiveMinimum: 0, maximum: 3 },
+        isMobile: { type: 'boolean' },
+        hasTouch: { type: 'boolean' },
+        isLandscape: { type: 'boolean' },
+      },
+    },
+  },
+};
+const LAUNCH_OPTION_KEYS = Object.keys(PUPPETEER_OPTIONS_SCHEMA.properties);
+const DEFAULT_VIEWPORT = { width: 1920, height: 1080 };
+
+// A job path: relative, no '..' segments, no leading slash or drive letter
+const RELATIVE_PATH_PATTERN = '^(?![\\\\/]|[A-Za-z]:)(?!.*(^|[\\\\/])\\.\\.([\\\\/]|$))[^\\0]*$';
+
+// Current Chrome builds on the common desktop platforms. Only Chrome: a Firefox or Safari
+// user agent on Chromium is easy to spot from the JS APIs the page can see.
+const USER_AGENTS = [
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/129.0.0.0 Safari/537.36',
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/130.0.0.0 Safari/537.36',
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
+  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/130.0.0.0 Safari/537.36',
+  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
+  'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
+];
+
+/**
+ * A random user agent from USER_AGENTS. Pick once per job and reuse it for every page,
+ * so a site sees one consistent browser per session.
+ */
+function pickUserAgent() {
+  return USER_AGENTS[Math.floor(Math.random() * USER_AGENTS.length)];
+}
+
+/**
+ * Launch Chromium with the defaults shared by all puppeteer processors.
+ * @param {object} [puppeteerOptions] - Job overrides; only the keys of PUPPETEER_OPTIONS_SCHEMA are used.
+ * @returns {Promise<import('puppeteer').Browser>}
+ */
+function launchBrowser(puppeteerOptions = {}) {
+  const allowed = Object.fromEntries(Object.entries(puppeteerOptions).filter(([key]) => LAUNCH_OPTION_KEYS.includes(key)));
+  return puppeteer.launch({
+    ...DEFAULT_LAUNCH_OPTIONS,
+    ...allowed,
+  });
+}
+
+/**
+ * Root directory for screenshots (SCREENSHOT_STORAGE_DIR, default: ./storage/screenshots).
+ * Each job writes under <root>/<userId>/<jobId>/.
+ */
+function getScreenshotDir() {
+  return path.resolve(process.env.SCREENSHOT_STORAGE_DIR || './storage/screenshots');
+}
+
+/**
+ * Resolve a job-supplied relative path inside `baseDir`. Absolute paths and paths that climb
+ * out with '..' are rejected, so a job can only write below its own directory.
+ * @param {string} baseDir
+ * @param {string} relativePath
+ * @returns {string}
+ */
+function resolveInside(baseDir, relativePath) {
+  const text = String(relativePath);
+  const root = path.resolve(baseDir);
+  const resolved = path.resolve(root, text);
+  if (!new RegExp(RELATIVE_PATH_PATTERN).test(text) || (resolved !== root && !resolved.startsWith(root + path.sep))) {
+    throw new Error(`Path must be relative and stay inside the job's directory: ${text}`);
+  }
+  return resolved;
+}
+
+/**
+ * Apply the standard viewport, user agent, timeouts and error logging to a new page.
+ * @param {import('puppeteer').Page} page
+ * @param {object} [options]
+ * @param {number} [options.timeout] - Default timeout for waits and navigation (ms).
+ * @param {string} [options.userAgent] - User agent to send (default: a random one from USER_AGENTS).
+ * @param {object} [options.viewport] - The job's puppeteerOptions.defaultViewport (default: 1920x1080).
+ */
+async function setupPage(page, { timeout = 30000, userAgent = pickUserAgent(), viewport = DEFAULT_VIEWPORT } = {}) {
+  await page.setViewport(viewport);
+  await page.setUserAgent(userAgent);
+
+  page.setDefaultTimeout(timeout);
+  page.setDefaultNavigationTimeout(timeout);
+
+  page.on('error', err => console.error('❌ Page error:', err.message));
+  page.on('pageerror', err => console.error('❌ Page script error:', err.message));
+}
+
+/**
+ * Promise-based sleep; Page.waitForTimeout no longer exists in current Puppeteer.
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  PUPPETEER_OPTIONS_SCHEMA,
+  RELATIVE_PATH_PATTERN,
+  launchBrowser,
+  getScreenshotDir,
+  resolveInside,
+  pickUserAgent,
+  setupPage,
+  sleep,
+};
@@ -0,0 +1,183 @@
+// lib/browserPool.js
+const { launchBrowser } = require('./browser');
+
+// Pool settings (env): browsers kept open, jobs (contexts) per browser at once,
+// jobs served before a browser is replaced, and how often idle browsers are probed
+const POOL_SIZE = Number(process.env.BROWSER_POOL_SIZE) || 2;
+const CONTEXTS_PER_BROWSER = Number(process.env.BROWSER_PAGES_PER_BROWSER) || 4;
+const MAX_JOBS_PER_BROWSER = Number(process.env.BROWSER_MAX_JOBS_PER_BROWSER) || 50;
+const HEALTH_CHECK_INTERVAL_MS = Number(process.env.BROWSER_HEALTH_CHECK_INTERVAL_MS) || 30000;
+const HEALTH_CHECK_TIMEOUT_MS = 5000;
+
+const entries = [];
+const waiting = [];
+let nextEntryId = 1;
+let healthTimer = null;
+
+function withTimeout(promise, ms) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => { timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms); }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+async function retire(entry, reason) {
+  if (entry.closed) return;
+  entry.closed = true;
+  const index = entries.indexOf(entry);
+  if (index !== -1) entries.splice(index, 1);
+  console.log(`♻️ Closing pooled browser #${entry.id} (${reason}) after ${entry.jobsServed} jobs`);
+  if (entry.browser) {
+    await entry.browser.close().catch(() => {});
+  } else {
+    await entry.ready.catch(() => {}); // Still launching: onLaunched closes it
+  }
+  wakeNext();
+}
+
+// Browsers are shared between jobs with the same launch mode; the viewport is set per page
+function poolKey(puppeteerOptions) {
+  return puppeteerOptions.headless === undefined ? true : puppeteerOptions.headless;
+}
+
+// Entries are added before Chromium is up, so concurrent callers share one launch
+function launchEntry(headless) {
+  const entry = { id: nextEntryId++, headless, browser: null, active: 0, jobsServed: 0, draining: false, closed: false };
+  entries.push(entry);
+  entry.ready = launchBrowser({ headless }).then(browser => onLaunched(entry, browser), (error) => {
+    entry.closed = true;
+    const index = entries.indexOf(entry);
+    if (index !== -1) entries.splice(index, 1);
+    wakeNext();
+    throw error;
+  });
+  return entry;
+}
+
+async function onLaunched(entry, browser) {
+  // Retired while launching (shutdown, or making room): nobody else will close this one
+  if (entry.closed) {
+    await browser.close().catch(() => {});
+    throw new Error(`Pooled browser #${entry.id} was closed while it launched.`);
+  }
+  entry.browser = browser;
+
+  // A crashed browser leaves the pool at once; jobs using it fail and are retried by BullMQ
+  entry.browser.on('disconnected', () => {
+    if (!entry.closed) retire(entry, 'disconnected');
+  });
+
+  console.log(`🌐 Launched pooled browser #${entry.id}, headless: ${entry.headless} (${entries.length}/${POOL_SIZE})`);
+  startHealthChecks();
+}
+
+function hasCapacity(entry) {
+  return !entry.closed && !entry.draining && entry.active < CONTEXTS_PER_BROWSER;
+}
+
+// Least busy usable browser in this launch mode, launching another while the pool is below
+// its size; a full pool makes room by closing an idle browser of another mode
+function pickEntry(headless) {
+  const available = entries.filter(entry => entry.headless === headless && hasCapacity(entry)).sort((a, b) => a.active - b.active);
+  if (available.length > 0 && (available[0].active === 0 || entries.length >= POOL_SIZE)) return available[0];
+  if (entries.length < POOL_SIZE) return launchEntry(headless);
+  if (available.length > 0) return null;
+
+  const idle = entries.find(entry => entry.headless !== headless && entry.browser && !entry.closed && entry.active === 0);
+  if (!idle) return null;
+  retire(idle, `making room for headless: ${headless}`); // Leaves `entries` at once
+  return launchEntry(headless);
+}
+
+// Every waiter checks again: the freed slot may be in a browser of another launch mode
+function wakeNext() {
+  for (const resolve of waiting.splice(0)) resolve();
+}
+
+async function release(entry, context) {
+  await context.close().catch(() => {});
+  entry.active--;
+  entry.jobsServed++;
+
+  if (entry.jobsServed >= MAX_JOBS_PER_BROWSER) entry.draining = true;
+  if (entry.draining && entry.active === 0) {
+    await retire(entry, 'recycled');
+  } else {
+    wakeNext();
+  }
+}
+
+/**
+ * Borrow an isolated (incognito) browser context from the shared pool. Each job gets its
+ * own context, so cookies and storage never leak between jobs. Waits while every pooled
+ * browser is at BROWSER_PAGES_PER_BROWSER. Browsers are pooled per `headless` mode;
+ * `defaultViewport` is not a browser setting here, pass it to setupPage() for each page.
+ * @param {object} [puppeteerOptions] - Launch options from the job (PUPPETEER_OPTIONS_SCHEMA).
+ * @param {object} [contextOptions] - Options for browser.createBrowserContext() (e.g. proxyServer).
+ * @returns {Promise<{ browser: object, context: object, release: function(): Promise<void> }>}
+ */
+async function acquireBrowserContext(puppeteerOptions = {}, contextOptions = {}) {
+  const headless = poolKey(puppeteerOptions);
+  let entry = pickEntry(headless);
+  while (!entry) {
+    await new Promise(resolve => waiting.push(resolve));
+    entry = pickEntry(headless);
+  }
+
+  entry.active++; // Reserve the slot before waiting for a launch in progress
+  try {
+    await entry.ready;
+    const context = await entry.browser.createBrowserContext(contextOptions);
+    let released = false;
+    return {
+      browser: entry.browser,
+      context,
+      release: async () => {
+        if (released) return;
+        released = true;
+        await release(entry, context);
+      },
+    };
+  } catch (error) {
+    entry.active--;
+    if (entry.browser) await retire(entry, `context creation failed: ${error.message}`);
+    throw error;
+  }
+}
+
+async function checkHealth() {
+  for (const entry of [...entries]) {
+    if (!entry.browser || entry.closed || entry.active > 0) continue;
+    try {
+      if (!entry.browser.connected) throw new Error('not connected');
+      await withTimeout(entry.browser.version(), HEALTH_CHECK_TIMEOUT_MS);
+    } catch (error) {
+      await retire(entry, `health check failed: ${error.message}`);
+    }
+  }
+}
+
+function startHealthChecks() {
+  if (healthTimer) return;
+  healthTimer = setInterval(() => {
+    checkHealth().catch(error => console.error('Browser pool health check failed:', error.message));
+  }, HEALTH_CHECK_INTERVAL_MS);
+  healthTimer.unref();
+}
+
+/**
+ * Close every pooled browser (worker shutdown).
+ */
+async function closeBrowserPool() {
+  if (healthTimer) {
+    clearInterval(healthTimer);
+    healthTimer = null;
+  }
+  await Promise.all([...entries].map(entry => retire(entry, 'shutdown')));
+}
+
+module.exports = {
+  acquireBrowserContext,
+  closeBrowserPool,
+};
@@ -0,0 +1,113 @@
+// lib/diagnosis.js
+const crypto = require('crypto');
+const { prisma } = require('./prisma');
+const { redact, redactText } = require('./redact');
+const { getAdvisor } = require('../ai-advisor');
+
+const MAX_STACK_LINES = 8;
+
+// Strip what differs between repeats of the same failure: URLs, ids, numbers, quoted values
+function normalizeErrorMessage(message) {
+  return String(message || '')
+    .replace(/https?:\/\/\S+/g, '<url>')
+    .replace(/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<id>')
+    .replace(/\d+/g, '<n>')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Fingerprint of a failure, so repeats share one diagnosis: the user, the processor, the
+ * normalized error message, the failed action type and selector, and the page's host.
+ * @returns {string} - SHA-256 hex digest.
+ */
+function fingerprintFailure({ userId, jobName, error, diagnostics = {} }) {
+  let host = null;
+  try {
+    host = diagnostics.pageUrl ? new URL(diagnostics.pageUrl).host : null;
+  } catch {
+    host = null;
+  }
+
+  const parts = [
+    userId,
+    jobName,
+    normalizeErrorMessage(error.message),
+    diagnostics.action ? diagnostics.action.type : null,
+    diagnostics.selector || null,
+    host,
+  ];
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+function buildPrompt({ jobName, error, diagnostics = {} }) {
+  const stack = String(error.stack || '').split('\n').slice(0, MAX_STACK_LINES).join('\n');
+  const sections = [
+    `A "${jobName}" automation job failed on its final attempt.`,
+    `Error: ${error.message}`,
+    `Stack:\n${stack}`,
+  ];
+  if (diagnostics.action) sections.push(`Failed action: ${JSON.stringify(redact(diagnostics.action))}`);
+  if (diagnostics.selector) sections.push(`Selector: ${diagnostics.selector}`);
+  if (diagnostics.pageUrl) sections.push(`Page URL: ${diagnostics.pageUrl}`);
+  if (diagnostics.domSnapshot) sections.push(`Trimmed DOM of the page at the time of failure:\n${diagnostics.domSnapshot}`);
+  sections.push('What is the most likely cause, and what change to the job (e.g. a corrected selector or wait) would fix it?');
+
+  // Nothing reaches the AI backend without going through the redaction layer
+  return redactText(sections.join('\n\n'));
+}
+
+/**
+ * Diagnose a job's final failure with the configured AI advisor. A failure whose
+ * fingerprint was seen before reuses the stored diagnosis instead of calling the API.
+ * @param {object} failure
+ * @param {string} failure.userId
+ * @param {string} failure.jobName - Processor name.
+ * @param {Error} failure.error
+ * @param {object} [failure.diagnostics] - { action, selector, pageUrl, domSnapshot } attached by the processor.
+ * @returns {Promise<object|null>} - The AiDiagnosis row, or null when no advisor is configured.
+ */
+async function diagnoseFailure({ userId, jobName, error, diagnostics = {} }) {
+  const advisor = getAdvisor();
+  if (!advisor.configured) return null;
+
+  const fingerprint = fingerprintFailure({ userId, jobName, error, diagnostics });
+  const reuse = () => prisma.aiDiagnosis.update({
+    where: { fingerprint },
+    data: { hit_count: { increment: 1 }, last_seen_at: new Date() },
+  });
+
+  const existing = await prisma.aiDiagnosis.findUnique({ where: { fingerprint }, select: { diagnosis_id: true } });
+  if (existing) {
+    console.log(`🧠 Reusing diagnosis ${existing.diagnosis_id} for a repeat failure`);
+    return reuse();
+  }
+
+  console.log(`🧠 Asking the ${advisor.backend} advisor (${advisor.model}) to diagnose the failure...`);
+  const { text, model, usage } = await advisor.complete(buildPrompt({ jobName, error, diagnostics }));
+
+  try {
+    return await prisma.aiDiagnosis.create({
+      data: {
+        user_id: userId,
+        fingerprint,
+        suggestion: redactText(text),
+        backend: advisor.backend,
+        model,
+        prompt_tokens: usage ? usage.prompt_tokens : null,
+        completion_tokens: usage ? usage.completion_tokens : null,
+        total_tokens: usage ? usage.total_tokens : null,
+      },
+    });
+  } catch (createError) {
+    // Another worker diagnosed the same failure in the meantime
+    if (createError.code === 'P2002') return reuse();
+    throw createError;
+  }
+}
+
+module.exports = {
+  fingerprintFailure,
+  diagnoseFailure,
+};
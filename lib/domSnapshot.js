@@ -0,0 +1,55 @@
+// lib/domSnapshot.js
+const { redactText } = require('./redact');
+
+const DEFAULT_MAX_LENGTH = 8000;
+
+/**
+ * Trimmed copy of the page's markup (runs in the browser via page.evaluate): scripts,
+ * styles and other noise removed, only attributes useful for writing selectors kept,
+ * long text shortened and form values dropped.
+ */
+function snapshotInPage(maxTextLength) {
+  const KEEP_ATTRIBUTES = ['id', 'class', 'name', 'type', 'href', 'role', 'aria-label', 'placeholder', 'for', 'title', 'alt', 'data-testid'];
+  const root = document.body ? document.body.cloneNode(true) : document.documentElement.cloneNode(true);
+
+  root.querySelectorAll('script, style, noscript, svg, canvas, iframe, template, link, meta').forEach(el => el.remove());
+
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT | NodeFilter.SHOW_COMMENT);
+  const comments = [];
+  for (let node = walker.currentNode; node; node = walker.nextNode()) {
+    if (node.nodeType === Node.COMMENT_NODE) {
+      comments.push(node);
+    } else if (node.nodeType === Node.TEXT_NODE) {
+      const text = node.textContent.replace(/\s+/g, ' ');
+      node.textContent = text.length > maxTextLength ? `${text.slice(0, maxTextLength)}…` : text;
+    } else {
+      for (const attr of [...node.attributes]) {
+        if (!KEEP_ATTRIBUTES.includes(attr.name)) node.removeAttribute(attr.name);
+      }
+    }
+  }
+  comments.forEach(comment => comment.remove());
+
+  return root.outerHTML.replace(/>\s+</g, '><');
+}
+
+/**
+ * Capture a small, redacted snapshot of a page's DOM for failure diagnosis.
+ * @param {import('puppeteer').Page} page
+ * @param {object} [options]
+ * @param {number} [options.maxLength] - Snapshot length cap in characters (default: 8000).
+ * @param {number} [options.maxTextLength] - Cap for each text node (default: 200).
+ * @returns {Promise<string|null>} - null when the page can't be read (closed, crashed).
+ */
+async function captureDomSnapshot(page, { maxLength = DEFAULT_MAX_LENGTH, maxTextLength = 200 } = {}) {
+  try {
+    const html = await page.evaluate(snapshotInPage, maxTextLength);
+    const trimmed = html.length > maxLength ? `${html.slice(0, maxLength)}\n<!-- truncated ${html.length - maxLength} characters -->` : html;
+    return redactText(trimmed);
+  } catch (error) {
+    console.warn('Could not capture DOM snapshot:', error.message);
+    return null;
+  }
+}
+
+module.exports = { captureDomSnapshot };
@@ -0,0 +1,186 @@
+// lib/exporter.js
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { PassThrough } = require('stream');
+const { once } = require('events');
+const { stringify } = require('csv-stringify');
+const ExcelJS = require('exceljs');
+const { collectRecords, isPlainObject } = require('./records');
+
+const EXPORT_FORMATS = {
+  csv: 'csv',
+  xlsx: 'xlsx',
+  ndjson: 'ndjson',
+  jsonl: 'ndjson', // Alias: JSON Lines
+};
+
+const EXTENSIONS = { csv: 'csv', xlsx: 'xlsx', ndjson: 'jsonl' };
+
+/**
+ * Root directory for exported files (EXPORT_STORAGE_DIR, default: ./storage/exports).
+ */
+function getExportDir() {
+  return path.resolve(process.env.EXPORT_STORAGE_DIR || './storage/exports');
+}
+
+// Column order follows first appearance across all records
+function collectColumns(records) {
+  const columns = [];
+  const seen = new Set();
+  for (const record of records) {
+    for (const key of Object.keys(record)) {
+      if (!seen.has(key)) {
+        seen.add(key);
+        columns.push(key);
+      }
+    }
+  }
+  return columns;
+}
+
+// Spreadsheet cells cannot hold nested values, so they are written as JSON text
+function toCell(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'object' && !(value instanceof Date)) return JSON.stringify(value);
+  return value;
+}
+
+// Write `chunk` to a stream, waiting for it to drain when its buffer is full
+async function writeChunk(stream, chunk) {
+  if (!stream.write(chunk)) await once(stream, 'drain');
+}
+
+function openCsv(filePath, columns) {
+  const stringifier = stringify({ header: true, columns, bom: true });
+  const done = pipeline(stringifier, fs.createWriteStream(filePath));
+  return {
+    write: record => writeChunk(stringifier, columns.map(column => toCell(record[column]))),
+    close: async () => {
+      stringifier.end();
+      await done;
+    },
+  };
+}
+
+function openXlsx(filePath, columns) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ filename: filePath, useSharedStrings: false });
+  const sheet = workbook.addWorksheet('Results');
+  sheet.columns = columns.map(column => ({ header: column, key: column, width: Math.min(Math.max(column.length + 2, 12), 60) }));
+  return {
+    write: async record => sheet.addRow(columns.map(column => toCell(record[column]))).commit(),
+    close: async () => {
+      sheet.commit();
+      await workbook.commit();
+    },
+  };
+}
+
+function openNdjson(filePath) {
+  const lines = new PassThrough();
+  const done = pipeline(lines, fs.createWriteStream(filePath));
+  return {
+    write: record => writeChunk(lines, `${JSON.stringify(record)}\n`),
+    close: async () => {
+      lines.end();
+      await done;
+    },
+  };
+}
+
+/**
+ * Open an export file under the export directory and write records to it batch by batch,
+ * so a large result never has to be held in memory at once.
+ * @param {object} options
+ * @param {string} options.format - 'csv', 'xlsx', 'ndjson' (or 'jsonl').
+ * @param {string} options.userId - Files are grouped per user.
+ * @param {string} [options.fileName] - Base name without extension (default: 'export-<timestamp>').
+ * @param {Array<string>} [options.columns] - Columns to write, in order (default: every key in the first batch).
+ * @returns {{ write: function(Array<object>): Promise<void>, close: function(): Promise<object> }} -
+ *   `close` resolves to { output_file_path, format, rows_exported, columns }.
+ */
+function createExportWriter({ format, userId, fileName, columns }) {
+  const normalizedFormat = EXPORT_FORMATS[String(format).toLowerCase()];
+  if (!normalizedFormat) {
+    throw new Error(`Unsupported export format: ${format}. Expected one of ${Object.keys(EXPORT_FORMATS).join(', ')}.`);
+  }
+
+  const baseName = path.basename(fileName || `export-${new Date().toISOString().replace(/[:.]/g, '-')}`);
+  const directory = path.join(getExportDir(), userId);
+  const filePath = path.join(directory, `${baseName}.${EXTENSIONS[normalizedFormat]}`);
+  let outputColumns = columns && columns.length > 0 ? columns : null;
+  let file = null;
+  let rowsExported = 0;
+
+  const open = async (rows) => {
+    outputColumns = outputColumns || collectColumns(rows);
+    await fs.promises.mkdir(directory, { recursive: true });
+    if (normalizedFormat === 'csv') return openCsv(filePath, outputColumns);
+    if (normalizedFormat === 'xlsx') return openXlsx(filePath, outputColumns);
+    return openNdjson(filePath);
+  };
+
+  return {
+    async write(records) {
+      const rows = records.map(record => (isPlainObject(record) ? record : { value: record }));
+      file = file || await open(rows);
+      for (const row of rows) await file.write(row);
+      rowsExported += rows.length;
+    },
+
+    async close() {
+      file = file || await open([]);
+      await file.close();
+      console.log(`💾 Exported ${rowsExported} rows to ${filePath}`);
+      return {
+        output_file_path: filePath,
+        format: normalizedFormat,
+        rows_exported: rowsExported,
+        columns: outputColumns,
+      };
+    },
+  };
+}
+
+/**
+ * Write records to a CSV, XLSX or NDJSON file under the export directory.
+ * @param {Array<object>} records
+ * @param {object} options - See createExportWriter; without `columns`, every key seen is written.
+ * @returns {Promise<{ output_file_path: string, format: string, rows_exported: number, columns: Array<string> }>}
+ */
+async function exportRecords(records, { format, userId, fileName, columns }) {
+  const rows = records.map(record => (isPlainObject(record) ? record : { value: record }));
+  const writer = createExportWriter({
+    format,
+    userId,
+    fileName,
+    columns: columns && columns.length > 0 ? columns : collectColumns(rows),
+  });
+  await writer.write(rows);
+  return writer.close();
+}
+
+/**
+ * Export step for a processor result: uses its `records` if present, otherwise flattens
+ * the extracted arrays of every page (puppeteer) into rows.
+ * @param {object} processorResult
+ * @param {object} spec - { format, fields?, columns?, fileName? } from job.data.export.
+ * @param {object} context - { userId, jobId }
+ */
+async function exportProcessorResult(processorResult, spec, { userId, jobId }) {
+  const records = collectRecords(processorResult, spec.fields);
+  return exportRecords(records, {
+    format: spec.format,
+    userId,
+    columns: spec.columns,
+    fileName: spec.fileName || `${jobId}-${Date.now()}`,
+  });
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  getExportDir,
+  createExportWriter,
+  exportRecords,
+  exportProcessorResult,
+};
@@ -0,0 +1,188 @@
+// lib/fileReader.js
+const fs = require('fs');
+const path = require('path');
+const { parse } = require('csv-parse');
+const ExcelJS = require('exceljs');
+
+const SUPPORTED_FILE_TYPES = ['csv', 'xlsx', 'json'];
+
+/**
+ * Resolve a FileUpload.storage_path to a local path.
+ * Relative paths are resolved against UPLOAD_STORAGE_DIR (default: ./storage/uploads).
+ * @param {string} storagePath
+ * @returns {string}
+ */
+function resolveStoragePath(storagePath) {
+  return path.resolve(process.env.UPLOAD_STORAGE_DIR || './storage/uploads', storagePath);
+}
+
+/**
+ * Make header names usable as record keys: blank headers become `column_N`,
+ * duplicates get a numeric suffix.
+ */
+function normalizeHeaders(rawHeaders) {
+  const seen = {};
+  return rawHeaders.map((header, index) => {
+    let name = header == null ? '' : String(header).trim();
+    if (!name) name = `column_${index + 1}`;
+    if (seen[name]) {
+      seen[name]++;
+      name = `${name}_${seen[name]}`;
+    } else {
+      seen[name] = 1;
+    }
+    return name;
+  });
+}
+
+/**
+ * Flatten ExcelJS cell values (rich text, formulas, hyperlinks, dates) to plain values.
+ */
+function normalizeCellValue(value) {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+    if ('result' in value) return normalizeCellValue(value.result);
+    if ('text' in value) return value.text;
+    if ('error' in value) return null;
+  }
+  return value;
+}
+
+function isBlankRow(values) {
+  return values.every(value => value === null || value === undefined || String(value).trim() === '');
+}
+
+function countLineBreaks(text) {
+  return (text.match(/\r\n|\r|\n/g) || []).length;
+}
+
+async function* readCsvRows(filePath, options) {
+  const parser = fs.createReadStream(filePath).pipe(parse({
+    bom: true,
+    raw: true,
+    delimiter: options.delimiter || ',',
+    relax_column_count: true,
+    relax_quotes: true,
+    skip_empty_lines: true,
+  }));
+
+  // Row numbers are counted from each record's raw text rather than csv-parse's info.lines,
+  // which is the line a record ends on (and miscounts CRLF inside quoted fields); `raw` also
+  // carries the blank lines skipped before the record
+  let line = 1;
+  for await (const { record, raw } of parser) {
+    const [skipped] = raw.match(/^[\r\n]*/);
+    line += countLineBreaks(skipped);
+    const rowNumber = line;
+    line += countLineBreaks(raw.slice(skipped.length));
+    if (!isBlankRow(record)) yield { values: record, rowNumber };
+  }
+}
+
+async function* readXlsxRows(filePath, options) {
+  const workbookReader = new ExcelJS.stream.xlsx.WorkbookReader(filePath, {
+    sharedStrings: 'cache',
+    hyperlinks: 'ignore',
+    styles: 'cache',
+    worksheets: 'emit',
+  });
+
+  let sheetIndex = 0;
+  for await (const worksheetReader of workbookReader) {
+    sheetIndex++;
+    const isTargetSheet = options.sheet
+      ? worksheetReader.name === String(options.sheet) || sheetIndex === Number(options.sheet)
+      : sheetIndex === 1;
+    if (!isTargetSheet) continue;
+
+    for await (const row of worksheetReader) {
+      // row.values is 1-based with an empty slot at index 0
+      const values = Array.isArray(row.values) ? row.values.slice(1) : [];
+      const normalized = Array.from(values, normalizeCellValue);
+      if (!isBlankRow(normalized)) yield { values: normalized, rowNumber: row.number };
+    }
+    break;
+  }
+}
+
+/**
+ * Stream records out of a stored upload, one row at a time.
+ *
+ * Yields `{ rowNumber, record }` for good rows and `{ rowNumber, error, raw }` for rows
+ * that cannot be mapped onto the header row. Row numbers are the 1-based line/row in the
+ * source file (header included), so they match what a user sees in a spreadsheet.
+ *
+ * @param {string} filePath - Local path of the file.
+ * @param {string} fileType - 'csv', 'xlsx' or 'json'.
+ * @param {object} [options]
+ * @param {string} [options.delimiter] - CSV delimiter (default: ',').
+ * @param {string|number} [options.sheet] - XLSX worksheet name or 1-based index (default: first sheet).
+ * @param {function(string[]): void} [options.onHeaders] - Called once the header row is known.
+ * @returns {AsyncGenerator<object>}
+ */
+async function* readRecords(filePath, fileType, options = {}) {
+  if (!SUPPORTED_FILE_TYPES.includes(fileType)) {
+    throw new Error(`Unsupported file type: ${fileType}. Expected one of ${SUPPORTED_FILE_TYPES.join(', ')}.`);
+  }
+
+  if (fileType === 'json') {
+    const parsed = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    const items = Array.isArray(parsed) ? parsed : parsed.records;
+    if (!Array.isArray(items)) throw new Error('JSON upload must be an array of objects or { "records": [...] }.');
+
+    const headers = [];
+    for (const item of items) {
+      if (item && typeof item === 'object' && !Array.isArray(item)) {
+        Object.keys(item).forEach(key => { if (!headers.includes(key)) headers.push(key); });
+      }
+    }
+    if (options.onHeaders) options.onHeaders(headers);
+
+    for (const [index, item] of items.entries()) {
+      const rowNumber = index + 1;
+      if (!item || typeof item !== 'object' || Array.isArray(item)) {
+        yield { rowNumber, error: 'Row is not a JSON object', raw: item };
+      } else {
+        yield { rowNumber, record: item };
+      }
+    }
+    return;
+  }
+
+  const rows = fileType === 'csv' ? readCsvRows(filePath, options) : readXlsxRows(filePath, options);
+  let headers = null;
+
+  for await (const { values, rowNumber } of rows) {
+    if (!headers) {
+      headers = normalizeHeaders(values);
+      if (options.onHeaders) options.onHeaders(headers);
+      continue;
+    }
+
+    if (values.length > headers.length && !isBlankRow(values.slice(headers.length))) {
+      yield {
+        rowNumber,
+        error: `Row has ${values.length} columns but the header has ${headers.length}`,
+        raw: values,
+      };
+      continue;
+    }
+
+    const record = {};
+    headers.forEach((header, index) => {
+      const value = values[index];
+      record[header] = value === undefined || value === '' ? null : value;
+    });
+    yield { rowNumber, record };
+  }
+
+  if (!headers) throw new Error('File is empty: no header row found.');
+}
+
+module.exports = {
+  SUPPORTED_FILE_TYPES,
+  resolveStoragePath,
+  readRecords,
+};
@@ -0,0 +1,72 @@
+// lib/rateLimiter.js
+const IORedis = require('ioredis');
+const { sleep } = require('./browser');
+
+// Default gap between two page loads on the same domain, across all workers
+const DEFAULT_MIN_DELAY_MS = Number(process.env.DOMAIN_MIN_DELAY_MS) || 1000;
+const KEY_PREFIX = 'ratelimit:domain:';
+
+// Reserve the next free slot for a domain and return how long to wait for it (ms).
+// Uses the Redis clock, so workers on different machines agree on "now".
+const RESERVE_SLOT_SCRIPT = `
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local interval = tonumber(ARGV[1])
+local nextSlot = tonumber(redis.call('GET', KEYS[1]) or '0')
+local slot = math.max(now, nextSlot)
+redis.call('SET', KEYS[1], slot + interval, 'PX', slot + interval - now + 1000)
+return slot - now
+`;
+
+let connection = null;
+
+// Connected on first use, so modules that only load this file don't open a socket
+function getConnection() {
+  if (!connection) {
+    connection = new IORedis({
+      host: 'localhost',
+      port: 6379,
+      maxRetriesPerRequest: null,
+    });
+  }
+  return connection;
+}
+
+/**
+ * Domain key for rate limiting: the hostname without a leading "www.".
+ */
+function domainOf(url) {
+  return new URL(url).hostname.replace(/^www\./, '').toLowerCase();
+}
+
+/**
+ * Wait until this worker may load a page from `url`'s domain. Requests to one domain are
+ * spaced at least `minDelayMs` apart, whichever worker or job makes them.
+ * @param {string} url
+ * @param {number} [minDelayMs] - Gap between page loads (default: DOMAIN_MIN_DELAY_MS or 1000).
+ * @returns {Promise<number>} - How long the caller waited (ms).
+ */
+async function waitForDomainSlot(url, minDelayMs = DEFAULT_MIN_DELAY_MS) {
+  if (!(minDelayMs > 0)) return 0;
+  const domain = domainOf(url);
+  const wait = await getConnection().eval(RESERVE_SLOT_SCRIPT, 1, `${KEY_PREFIX}${domain}`, Math.round(minDelayMs));
+  if (wait > 0) {
+    console.log(`🐢 Waiting ${wait}ms before the next request to ${domain}`);
+    await sleep(wait);
+  }
+  return wait;
+}
+
+async function closeRateLimiter() {
+  if (connection) {
+    await connection.quit().catch(() => {});
+    connection = null;
+  }
+}
+
+module.exports = {
+  DEFAULT_MIN_DELAY_MS,
+  domainOf,
+  waitForDomainSlot,
+  closeRateLimiter,
+};
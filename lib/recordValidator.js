@@ -0,0 +1,266 @@
+// lib/recordValidator.js
+//
+// Per-row validation for records produced by any processor (after the transform step).
+//
+// Example spec (stored in DataProcessingJob.config.validation / job.data.validation):
+// {
+//   "source": "quotes",                    // puppeteer extraction(s) to read when there is no transform, optional
+//   "fields": {
+//     "name":     { "type": "string", "required": true, "minLength": 2, "pattern": "^[A-Z]" },
+//     "price":    { "type": "number", "required": true, "min": 0, "max": 10000 },
+//     "currency": { "enum": ["USD", "EUR", "GBP"] },
+//     "sku":      { "type": "string", "unique": true },
+//     "email":    { "type": "email" },
+//     "listed":   { "type": "date", "formats": ["DD/MM/YYYY"], "max": "2030-01-01" }
+//   },
+//   "unique": [["name", "currency"]],      // combinations that may appear only once in the batch
+//   "rules": [                             // cross-field rules, checked as data (ops as in transform `if`)
+//     { "field": "max_price", "op": "gte", "otherField": "min_price", "message": "max_price is below min_price" },
+//     { "field": "vat_id", "op": "requiredIf", "otherField": "country", "value": "DE" },
+//     { "field": "discount", "op": "lte", "value": 50, "when": { "field": "tier", "op": "ne", "value": "gold" } }
+//   ]
+// }
+//
+// Types are checked, not coerced: use the transform step to turn "12.50" into 12.5 first.
+// A row fails with every reason that applies, so one pass over the quarantine shows all problems.
+// A comparison rule is skipped while its field is empty; presence is what required and requiredIf are for.
+
+const { isPlainObject } = require('./records');
+const { compileCondition, parseDate } = require('./transformRules');
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const OP_LABELS = {
+  eq: '=',
+  ne: '!=',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  in: 'one of',
+  notIn: 'none of',
+  contains: 'containing',
+  empty: 'empty',
+  notEmpty: 'set',
+};
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  array: value => Array.isArray(value),
+  object: value => isPlainObject(value),
+  email: value => typeof value === 'string' && EMAIL.test(value),
+  url: (value) => {
+    try {
+      return /^https?:$/.test(new URL(value).protocol);
+    } catch (error) {
+      return false;
+    }
+  },
+  date: (value, rule) => parseDate(value, rule.formats) !== null,
+};
+
+function isEmpty(value) {
+  return value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+}
+
+// Comparable form of a value for min/max: dates as timestamps, everything else as is
+function comparable(value, rule) {
+  if (rule.type === 'date') {
+    const date = parseDate(value, rule.formats);
+    return date ? date.getTime() : NaN;
+  }
+  return value;
+}
+
+function describeRule(rule) {
+  if (rule.op === 'requiredIf') {
+    return `${rule.field} is required when ${rule.otherField} ${rule.value === undefined ? 'is set' : `is ${JSON.stringify(rule.value)}`}`;
+  }
+  const target = rule.otherField !== undefined ? rule.otherField : JSON.stringify(rule.value);
+  return `${rule.field} must be ${OP_LABELS[rule.op]}${['empty', 'notEmpty'].includes(rule.op) ? '' : ` ${target}`}`;
+}
+
+// A rule { field, op, value | otherField, when? } becomes a check of the record; rules are data,
+// so a job's config can never run code on the worker
+function compileRule(rule, index) {
+  const where = `validation.rules[${index}]`;
+  if (!isPlainObject(rule)) throw new Error(`${where} must be an object.`);
+  if (rule.expression !== undefined) {
+    throw new Error(`${where}.expression is not supported: use { "field", "op", "value" | "otherField" } instead.`);
+  }
+
+  if (rule.op !== 'requiredIf' && !OP_LABELS[rule.op]) {
+    throw new Error(`Unknown op "${rule.op}" in ${where}. Expected one of: ${[...Object.keys(OP_LABELS), 'requiredIf'].join(', ')}.`);
+  }
+  const applies = rule.when !== undefined ? compileCondition(rule.when, `${where}.when`) : () => true;
+
+  // "requiredIf": the field must be set when otherField is set (or equals `value`, if given)
+  if (rule.op === 'requiredIf') {
+    if (typeof rule.otherField !== 'string') throw new Error(`${where} (requiredIf) needs an "otherField".`);
+    const present = compileCondition({ field: rule.field, op: 'notEmpty' }, where);
+    const triggered = compileCondition(rule.value === undefined
+      ? { field: rule.otherField, op: 'notEmpty' }
+      : { field: rule.otherField, op: 'eq', value: rule.value }, where);
+    return record => !applies(record) || !triggered(record) || present(record);
+  }
+
+  const holds = compileCondition({ field: rule.field, op: rule.op, value: rule.value, otherField: rule.otherField }, where);
+  const unary = ['empty', 'notEmpty'].includes(rule.op);
+  return (record) => {
+    if (!applies(record)) return true;
+    if (!unary && isEmpty(record[rule.field])) return true;
+    if (rule.otherField !== undefined && isEmpty(record[rule.otherField])) return true;
+    return holds(record);
+  };
+}
+
+function compileField(name, rule) {
+  if (!isPlainObject(rule)) throw new Error(`validation.fields.${name} must be an object.`);
+  if (rule.type !== undefined && !TYPE_CHECKS[rule.type]) {
+    throw new Error(`Unknown type "${rule.type}" for validation.fields.${name}. Expected one of: ${Object.keys(TYPE_CHECKS).join(', ')}.`);
+  }
+  if (rule.enum !== undefined && !Array.isArray(rule.enum)) throw new Error(`validation.fields.${name}.enum must be an array.`);
+
+  let pattern = null;
+  if (rule.pattern !== undefined) {
+    try {
+      // One RegExp tests every row, so g and y (which carry lastIndex from one test to the next) are dropped
+      pattern = new RegExp(rule.pattern, (rule.flags || '').replace(/[gy]/g, ''));
+    } catch (error) {
+      throw new Error(`Invalid pattern for validation.fields.${name}: ${error.message}`);
+    }
+  }
+
+  const bounds = {};
+  for (const key of ['min', 'max']) {
+    if (rule[key] === undefined) continue;
+    bounds[key] = comparable(rule[key], rule);
+    if (typeof bounds[key] !== 'number' || Number.isNaN(bounds[key])) {
+      throw new Error(`validation.fields.${name}.${key} must be a ${rule.type === 'date' ? 'date' : 'number'}.`);
+    }
+  }
+
+  return { name, rule, pattern, bounds };
+}
+
+/**
+ * Check a validation spec and precompile its patterns and rules.
+ * Throws a descriptive Error if the spec is malformed.
+ * @param {object} spec
+ * @returns {object} - Compiled spec accepted by validateRecords.
+ */
+function compileValidationSpec(spec) {
+  if (!isPlainObject(spec)) throw new Error('validation must be an object.');
+  if (spec.fields !== undefined && !isPlainObject(spec.fields)) throw new Error('validation.fields must be an object keyed by field name.');
+  if (spec.rules !== undefined && !Array.isArray(spec.rules)) throw new Error('validation.rules must be an array.');
+  if (spec.unique !== undefined && (!Array.isArray(spec.unique) || !spec.unique.every(key => Array.isArray(key) && key.length > 0))) {
+    throw new Error('validation.unique must be an array of field name lists, e.g. [["name", "date"]].');
+  }
+
+  const fields = Object.entries(spec.fields || {}).map(([name, rule]) => compileField(name, rule));
+  const rules = (spec.rules || []).map((rule, index) => ({
+    name: rule && rule.name,
+    field: rule && rule.field,
+    check: compileRule(rule, index),
+    message: (rule && rule.message) || (rule && describeRule(rule)),
+  }));
+  const unique = [
+    ...fields.filter(field => field.rule.unique).map(field => [field.name]),
+    ...(spec.unique || []),
+  ];
+
+  return { compiled: true, fields, rules, unique };
+}
+
+function checkField(record, { name, rule, pattern, bounds }) {
+  const value = record[name];
+  const fail = (check, message) => ({ field: name, rule: check, message: `${name} ${message}` });
+
+  if (isEmpty(value)) return rule.required ? [fail('required', 'is required')] : [];
+  if (rule.type && !TYPE_CHECKS[rule.type](value, rule)) {
+    return [fail('type', `must be ${/^[aeiou]/.test(rule.type) ? 'an' : 'a'} ${rule.type} (got ${JSON.stringify(value)})`)];
+  }
+
+  const reasons = [];
+  if (pattern && !pattern.test(String(value))) reasons.push(fail('pattern', `does not match ${rule.pattern}`));
+  if (rule.enum && !rule.enum.includes(value)) reasons.push(fail('enum', `must be one of ${rule.enum.map(item => JSON.stringify(item)).join(', ')} (got ${JSON.stringify(value)})`));
+
+  const length = typeof value === 'string' || Array.isArray(value) ? value.length : null;
+  if (length !== null && rule.minLength !== undefined && length < rule.minLength) reasons.push(fail('minLength', `must be at least ${rule.minLength} long`));
+  if (length !== null && rule.maxLength !== undefined && length > rule.maxLength) reasons.push(fail('maxLength', `must be at most ${rule.maxLength} long`));
+
+  const compared = comparable(value, rule);
+  if (bounds.min !== undefined && compared < bounds.min) reasons.push(fail('min', `must be >= ${rule.min} (got ${JSON.stringify(value)})`));
+  if (bounds.max !== undefined && compared > bounds.max) reasons.push(fail('max', `must be <= ${rule.max} (got ${JSON.stringify(value)})`));
+  return reasons;
+}
+
+function checkRules(record, rules) {
+  return rules
+    .map((rule, index) => (rule.check(record) ? null : { field: rule.field, rule: rule.name || `rules[${index}]`, message: rule.message }))
+    .filter(Boolean);
+}
+
+/**
+ * A validator that keeps its uniqueness state across calls, for records that arrive in
+ * batches: a value kept in an earlier batch makes the same value in a later one a duplicate.
+ * @param {object} spec - Raw or compiled validation spec.
+ * @returns {function(Array<object>, number=): { valid: Array<object>, invalid: Array<object> }} -
+ *   Takes a batch and the index of its first record in the whole stream (default: 0).
+ */
+function createRecordValidator(spec) {
+  const compiledSpec = spec && spec.compiled ? spec : compileValidationSpec(spec);
+  const seen = compiledSpec.unique.map(() => new Map()); // Per unique key: value -> first row index
+
+  return (records, offset = 0) => {
+    if (!Array.isArray(records)) throw new Error('validateRecords expects an array of records.');
+    const valid = [];
+    const invalid = [];
+    records.forEach((input, batchIndex) => {
+      const index = offset + batchIndex;
+      const record = isPlainObject(input) ? input : { value: input };
+      const reasons = [
+        ...compiledSpec.fields.flatMap(field => checkField(record, field)),
+        ...checkRules(record, compiledSpec.rules),
+      ];
+
+      const keyValues = compiledSpec.unique.map(key => (key.some(name => isEmpty(record[name])) ? null : JSON.stringify(key.map(name => record[name]))));
+      keyValues.forEach((value, keyIndex) => {
+        if (value !== null && seen[keyIndex].has(value)) {
+          const key = compiledSpec.unique[keyIndex];
+          reasons.push({ field: key.join('+'), rule: 'unique', message: `${key.join(' + ')} duplicates row ${seen[keyIndex].get(value)}` });
+        }
+      });
+
+      if (reasons.length > 0) {
+        invalid.push({ index, record, reasons });
+        return;
+      }
+      keyValues.forEach((value, keyIndex) => value !== null && seen[keyIndex].set(value, index)); // Only kept rows claim their values
+      valid.push(record);
+    });
+    return { valid, invalid };
+  };
+}
+
+/**
+ * Validate a batch of records. Failing rows don't stop the batch: valid rows are returned
+ * in order and every invalid row is reported with all of its reasons. For uniqueness the
+ * first occurrence is kept and later ones are rejected (empty values are never duplicates).
+ * @param {Array<object>} records
+ * @param {object} spec - Raw or compiled validation spec.
+ * @returns {{ valid: Array<object>, invalid: Array<{ index: number, record: object, reasons: Array<object> }> }}
+ */
+function validateRecords(records, spec) {
+  return createRecordValidator(spec)(records);
+}
+
+module.exports = {
+  TYPE_CHECKS,
+  compileValidationSpec,
+  createRecordValidator,
+  validateRecords,
+};
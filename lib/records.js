@@ -0,0 +1,74 @@
+// lib/records.js
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Turn one page of puppeteer results into rows by zipping the named arrays by index.
+ * Arrays of objects (e.g. from structured extraction) are spread into the row.
+ */
+function rowsFromPage(pageResult, names) {
+  const keys = names || Object.keys(pageResult).filter(key => key !== 'errors' && Array.isArray(pageResult[key]));
+  const length = Math.max(0, ...keys.map(key => (Array.isArray(pageResult[key]) ? pageResult[key].length : 0)));
+  const rows = [];
+
+  for (let i = 0; i < length; i++) {
+    const row = { page: pageResult.page, page_url: pageResult.url };
+    for (const key of keys) {
+      const value = Array.isArray(pageResult[key]) ? pageResult[key][i] : undefined;
+      if (isPlainObject(value)) {
+        Object.assign(row, value);
+      } else {
+        row[key] = value === undefined ? null : value;
+      }
+    }
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Pull a flat list of records out of any processor's result.
+ *  - `{ records: [...] }` (csvImport and transformed results) is returned as is.
+ *  - `{ results: [...] }` (puppeteer pages) is flattened page by page; `source` picks
+ *    which extractions to use (default: every array on the page). When the job crawled
+ *    detail pages (`details`), those are used instead, each row tagged with its listing page.
+ *  - `{ result: [...] }` (sampleProcessor) becomes `{ value }` records.
+ * @param {object} processorResult - The value returned by a processor.
+ * @param {string|Array<string>} [source] - Extraction name(s) to read from puppeteer pages.
+ * @returns {Array<object>}
+ */
+function collectRecords(processorResult, source) {
+  if (!isPlainObject(processorResult)) return [];
+
+  if (Array.isArray(processorResult.records)) return processorResult.records;
+
+  if (Array.isArray(processorResult.details)) {
+    const names = source ? [].concat(source) : null;
+    return processorResult.details
+      .filter(detail => isPlainObject(detail) && !detail.error)
+      .flatMap(detail => rowsFromPage(detail, names).map(row => ({
+        ...row,
+        page: detail.listingPage,
+        listing_url: detail.listingUrl,
+        depth: detail.depth,
+      })));
+  }
+
+  if (Array.isArray(processorResult.results)) {
+    const names = source ? [].concat(source) : null;
+    return processorResult.results
+      .filter(pageResult => isPlainObject(pageResult) && !pageResult.error)
+      .flatMap(pageResult => rowsFromPage(pageResult, names));
+  }
+
+  if (Array.isArray(processorResult.result)) {
+    return processorResult.result.map(value => (isPlainObject(value) ? value : { value }));
+  }
+
+  return [];
+}
+
+module.exports = { collectRecords, isPlainObject };
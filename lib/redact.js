@@ -0,0 +1,110 @@
+// lib/redact.js
+const util = require('util');
+
+const MASK = '[REDACTED]';
+const MIN_SECRET_LENGTH = 4;
+const MAX_KNOWN_VALUES = 1000;
+
+// Keys whose last word names a credential: password, apiKey, access_token, set-cookie, ...
+const SENSITIVE_KEY = /(^|_)(pass|password|passwd|pwd|passphrase|secret|token|api_key|apikey|authorization|cookie|cookies|set_cookie|credential|credentials|private_key|otp)$/;
+
+// Credential-shaped strings that can show up anywhere in free text
+const SENSITIVE_PATTERNS = [
+  /\bBearer\s+[A-Za-z0-9._~+/=-]{8,}/g,
+  /\bsk-[A-Za-z0-9_-]{16,}/g, // OpenAI-style API keys
+  /\bae_[A-Za-z0-9_-]{20,}/g, // Our own session tokens and API keys
+];
+
+// user:password@ in URLs keeps the user name
+const URL_CREDENTIALS = /(\/\/[^/\s:@]+:)[^@\s/]+@/g;
+
+// Secret values resolved in this process, so they can be masked wherever they end up
+const knownValues = new Set();
+let consoleRedactionInstalled = false;
+
+function normalizeKey(key) {
+  return String(key).replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/-/g, '_').toLowerCase();
+}
+
+function isSensitiveKey(key) {
+  return SENSITIVE_KEY.test(normalizeKey(key));
+}
+
+/**
+ * Remember a secret value so redact()/redactText() mask it from now on.
+ */
+function registerSecretValue(value) {
+  if (typeof value !== 'string' || value.length < MIN_SECRET_LENGTH) return;
+  if (knownValues.size >= MAX_KNOWN_VALUES) knownValues.delete(knownValues.values().next().value);
+  knownValues.add(value);
+}
+
+/**
+ * Mask registered secret values and credential-shaped substrings in a string.
+ * @param {string} text
+ * @returns {string}
+ */
+function redactText(text) {
+  if (typeof text !== 'string' || text.length === 0) return text;
+
+  let result = text;
+  for (const value of knownValues) {
+    if (result.includes(value)) result = result.split(value).join(MASK);
+  }
+  for (const pattern of SENSITIVE_PATTERNS) {
+    result = result.replace(pattern, MASK);
+  }
+  return result.replace(URL_CREDENTIALS, `$1${MASK}@`);
+}
+
+/**
+ * Deep copy of `value` with sensitive keys masked and secrets removed from strings.
+ * Safe to use on job payloads before they are logged, stored or sent to the AI advisor.
+ * @param {*} value
+ * @returns {*}
+ */
+function redact(value, seen = new WeakSet()) {
+  if (typeof value === 'string') return redactText(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof Date) return value;
+  if (value instanceof Error) return redactText(value.stack || value.message);
+  // `seen` holds the ancestors of `value` only: an object shared by two branches is copied twice, not cut
+  if (seen.has(value)) return '[Circular]';
+  seen.add(value);
+
+  let result;
+  if (Array.isArray(value)) {
+    result = value.map(item => redact(item, seen));
+  } else {
+    result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = isSensitiveKey(key) && item !== null && item !== undefined && item !== '' ? MASK : redact(item, seen);
+    }
+  }
+  seen.delete(value);
+  return result;
+}
+
+/**
+ * Route console.log/info/warn/error through redact(), so nothing printed by the worker,
+ * the API or a processor can leak a credential. Safe to call more than once.
+ */
+function installConsoleRedaction() {
+  if (consoleRedactionInstalled) return;
+  for (const method of ['log', 'info', 'warn', 'error', 'debug']) {
+    const original = console[method].bind(console);
+    console[method] = (...args) => original(redactText(util.format(...args.map(arg => (
+      typeof arg === 'object' && arg !== null ? redact(arg) : arg
+    )))));
+  }
+  consoleRedactionInstalled = true;
+}
+
+module.exports = {
+  MASK,
+  isSensitiveKey,
+  registerSecretValue,
+  redactText,
+  redact,
+  installConsoleRedaction,
+};
@@ -0,0 +1,128 @@
+// lib/robots.js
+
+// Token matched against robots.txt "User-agent" lines; groups for "*" apply otherwise
+const ROBOTS_USER_AGENT = process.env.ROBOTS_USER_AGENT || 'ai-automation-core';
+const CACHE_TTL_MS = 60 * 60 * 1000;
+const FETCH_TIMEOUT_MS = 10000;
+const MAX_ROBOTS_BYTES = 500 * 1024;
+
+const cache = new Map(); // origin -> { expires, policy: Promise }
+
+const ALLOW_ALL = { groups: [], allowAll: true };
+const DISALLOW_ALL = { groups: [], disallowAll: true };
+
+/**
+ * Parse robots.txt into groups of { agents, rules: [{ allow, pattern }], crawlDelay }.
+ * Consecutive User-agent lines share one group (RFC 9309).
+ */
+function parseRobotsTxt(text) {
+  const groups = [];
+  let group = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of text.slice(0, MAX_ROBOTS_BYTES).split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const match = line.match(/^([A-Za-z-]+)\s*:\s*(.*)$/);
+    if (!match) continue;
+    const key = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (key === 'user-agent') {
+      if (!group || !lastWasAgent) {
+        group = { agents: [], rules: [], crawlDelay: null };
+        groups.push(group);
+      }
+      group.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!group) continue;
+    if ((key === 'allow' || key === 'disallow') && value !== '') {
+      group.rules.push({ allow: key === 'allow', pattern: value });
+    } else if (key === 'crawl-delay' && !isNaN(parseFloat(value))) {
+      group.crawlDelay = parseFloat(value);
+    }
+  }
+
+  return { groups };
+}
+
+// "*" matches any run of characters, a trailing "$" anchors the end
+function ruleMatches(pattern, path) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`).test(path);
+}
+
+// Groups naming our token win over "*" groups; several matching groups are merged
+function groupsFor(policy, userAgent) {
+  const token = userAgent.toLowerCase();
+  const named = policy.groups.filter(group => group.agents.some(agent => agent !== '*' && token.includes(agent)));
+  return named.length > 0 ? named : policy.groups.filter(group => group.agents.includes('*'));
+}
+
+/**
+ * Apply a parsed policy to a URL: the longest matching rule wins, Allow on a tie.
+ * @returns {{ allowed: boolean, crawlDelayMs: number|null }}
+ */
+function evaluateRobots(policy, url, userAgent = ROBOTS_USER_AGENT) {
+  if (policy.disallowAll) return { allowed: false, crawlDelayMs: null };
+  const groups = groupsFor(policy, userAgent);
+  const { pathname, search } = new URL(url);
+  const target = `${pathname}${search}`;
+
+  let best = null;
+  for (const rule of groups.flatMap(group => group.rules)) {
+    if (!ruleMatches(rule.pattern, target)) continue;
+    if (!best || rule.pattern.length > best.pattern.length || (rule.pattern.length === best.pattern.length && rule.allow)) {
+      best = rule;
+    }
+  }
+
+  const delays = groups.map(group => group.crawlDelay).filter(delay => delay !== null);
+  return {
+    allowed: !best || best.allow,
+    crawlDelayMs: delays.length > 0 ? Math.max(...delays) * 1000 : null,
+  };
+}
+
+// 4xx: no rules (allow everything). 5xx or unreachable: assume everything is disallowed.
+async function fetchPolicy(origin) {
+  try {
+    const response = await fetch(`${origin}/robots.txt`, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS), redirect: 'follow' });
+    if (response.ok) return parseRobotsTxt(await response.text());
+    if (response.status >= 400 && response.status < 500) return ALLOW_ALL;
+    console.warn(`🤖 ${origin}/robots.txt returned HTTP ${response.status}, treating the site as disallowed`);
+    return DISALLOW_ALL;
+  } catch (error) {
+    console.warn(`🤖 Could not fetch ${origin}/robots.txt (${error.message}), treating the site as disallowed`);
+    return DISALLOW_ALL;
+  }
+}
+
+/**
+ * Check a URL against its site's robots.txt (fetched once per origin and cached for an hour).
+ * @param {string} url
+ * @param {string} [userAgent] - Token matched against User-agent lines (default: ROBOTS_USER_AGENT).
+ * @returns {Promise<{ allowed: boolean, crawlDelayMs: number|null }>}
+ */
+async function checkRobots(url, userAgent = ROBOTS_USER_AGENT) {
+  const { origin } = new URL(url);
+  let entry = cache.get(origin);
+  if (!entry || entry.expires < Date.now()) {
+    entry = { expires: Date.now() + CACHE_TTL_MS, policy: fetchPolicy(origin) };
+    cache.set(origin, entry);
+  }
+  return evaluateRobots(await entry.policy, url, userAgent);
+}
+
+module.exports = {
+  parseRobotsTxt,
+  evaluateRobots,
+  checkRobots,
+};
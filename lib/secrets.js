@@ -0,0 +1,142 @@
+// lib/secrets.js
+const crypto = require('crypto');
+const { prisma } = require('./prisma');
+const { registerSecretValue } = require('./redact');
+
+const SECRET_REF = /\{\{\s*secret:([A-Za-z0-9_.-]+)\s*\}\}/g;
+const SECRET_NAME = /^[A-Za-z0-9_.-]{1,100}$/;
+const CIPHER = 'aes-256-gcm';
+const FORMAT_VERSION = 'v1';
+
+/**
+ * The vault key: SECRETS_MASTER_KEY as 64 hex characters or base64 of 32 bytes.
+ */
+function getMasterKey() {
+  const raw = process.env.SECRETS_MASTER_KEY;
+  if (!raw) throw new Error('SECRETS_MASTER_KEY is not set; secrets cannot be read or stored.');
+
+  const key = /^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, 'hex') : Buffer.from(raw, 'base64');
+  if (key.length !== 32) throw new Error('SECRETS_MASTER_KEY must be 32 bytes (64 hex characters or base64).');
+  return key;
+}
+
+// The owner and name are bound in as associated data, so a ciphertext copied to another row fails to decrypt
+function encryptValue(value, userId, name) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, getMasterKey(), iv);
+  cipher.setAAD(Buffer.from(`${userId}:${name}`));
+  const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+  return [FORMAT_VERSION, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+}
+
+function decryptValue(encrypted, userId, name) {
+  const [version, iv, tag, ciphertext] = encrypted.split(':');
+  if (version !== FORMAT_VERSION) throw new Error(`Unsupported secret format: ${version}`);
+
+  const decipher = crypto.createDecipheriv(CIPHER, getMasterKey(), Buffer.from(iv, 'base64'));
+  decipher.setAAD(Buffer.from(`${userId}:${name}`));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Create or replace a user's secret.
+ * @returns {Promise<object>} - The Secret row without its value.
+ */
+async function setSecret(userId, name, value) {
+  if (!SECRET_NAME.test(name)) throw new Error(`Invalid secret name "${name}" (letters, digits, "_", "-", "." only).`);
+  if (typeof value !== 'string' || value.length === 0) throw new Error('Secret value must be a non-empty string.');
+
+  const encrypted = encryptValue(value, userId, name);
+  const { encrypted_value: _, ...secret } = await prisma.secret.upsert({
+    where: { user_id_name: { user_id: userId, name } },
+    update: { encrypted_value: encrypted },
+    create: { user_id: userId, name, encrypted_value: encrypted },
+  });
+  return secret;
+}
+
+/**
+ * Decrypt a user's secret. The value is registered with the redaction layer so it
+ * is masked in any log or error context it reaches afterwards.
+ * @returns {Promise<string|undefined>} - undefined if the user has no secret with that name.
+ */
+async function getSecret(userId, name) {
+  const secret = await prisma.secret.findUnique({ where: { user_id_name: { user_id: userId, name } } });
+  if (!secret) return undefined;
+
+  const value = decryptValue(secret.encrypted_value, userId, name);
+  registerSecretValue(value);
+  prisma.secret.update({ where: { secret_id: secret.secret_id }, data: { last_used_at: new Date() } }).catch(() => {});
+  return value;
+}
+
+/**
+ * A user's secrets, names and timestamps only.
+ */
+function listSecrets(userId) {
+  return prisma.secret.findMany({
+    where: { user_id: userId },
+    select: { secret_id: true, name: true, last_used_at: true, created_at: true, updated_at: true },
+    orderBy: { name: 'asc' },
+  });
+}
+
+/**
+ * @returns {Promise<boolean>} - false if there was nothing to delete.
+ */
+async function deleteSecret(userId, name) {
+  const { count } = await prisma.secret.deleteMany({ where: { user_id: userId, name } });
+  return count > 0;
+}
+
+function hasSecretRefs(value) {
+  if (typeof value === 'string') return new RegExp(SECRET_REF.source).test(value);
+  if (Array.isArray(value)) return value.some(hasSecretRefs);
+  if (value && typeof value === 'object') return Object.values(value).some(hasSecretRefs);
+  return false;
+}
+
+/**
+ * Replace every {{secret:NAME}} reference in a string, array or object (recursively)
+ * with the user's decrypted secret. Throws if a referenced secret does not exist.
+ * @param {*} value
+ * @param {string} userId
+ * @returns {Promise<*>} - A copy with the references resolved.
+ */
+async function resolveSecretRefs(value, userId) {
+  if (typeof value === 'string') {
+    const names = [...value.matchAll(SECRET_REF)].map(match => match[1]);
+    if (names.length === 0) return value;
+
+    const secrets = {};
+    for (const name of names) {
+      const secret = await getSecret(userId, name);
+      if (secret === undefined) throw new Error(`Secret "${name}" is not defined.`);
+      secrets[name] = secret;
+    }
+    return value.replace(SECRET_REF, (_, name) => secrets[name]);
+  }
+  if (Array.isArray(value)) {
+    return Promise.all(value.map(item => resolveSecretRefs(item, userId)));
+  }
+  if (value && typeof value === 'object') {
+    const entries = await Promise.all(
+      Object.entries(value).map(async ([key, item]) => [key, await resolveSecretRefs(item, userId)])
+    );
+    return Object.fromEntries(entries);
+  }
+  return value;
+}
+
+module.exports = {
+  SECRET_REF,
+  encryptValue,
+  decryptValue,
+  setSecret,
+  getSecret,
+  listSecrets,
+  deleteSecret,
+  hasSecretRefs,
+  resolveSecretRefs,
+};
@@ -0,0 +1,216 @@
+// lib/siteSessions.js
+const { prisma } = require('./prisma');
+const { hasSecretRefs, resolveSecretRefs, encryptValue, decryptValue } = require('./secrets');
+const { sleep } = require('./browser');
+
+const LOGIN_ACTION_TYPES = ['type', 'click', 'select', 'press', 'waitForSelector', 'waitForNavigation', 'delay'];
+const RESTORE_CHECK_TIMEOUT_MS = 5000;
+
+/**
+ * Check a login action list before it is saved. Typed values for password-like fields
+ * must be {{secret:NAME}} references so credentials are never stored in plain text.
+ * @param {Array<object>} actions
+ * @returns {Array<string>} - Problems found (empty when valid).
+ */
+function validateLoginActions(actions) {
+  if (!Array.isArray(actions) || actions.length === 0) return ['login_actions must be a non-empty array.'];
+
+  const problems = [];
+  actions.forEach((action, index) => {
+    if (!action || !LOGIN_ACTION_TYPES.includes(action.type)) {
+      problems.push(`login_actions[${index}].type must be one of ${LOGIN_ACTION_TYPES.join(', ')}.`);
+      return;
+    }
+    if (['type', 'click', 'select', 'waitForSelector'].includes(action.type) && !action.selector) {
+      problems.push(`login_actions[${index}] (${action.type}) requires a selector.`);
+    }
+    if (action.type === 'type' && typeof action.text !== 'string') {
+      problems.push(`login_actions[${index}] (type) requires text.`);
+    }
+    if (action.type === 'type' && /pass|secret|token|otp/i.test(action.selector || '') && !hasSecretRefs(action.text)) {
+      problems.push(`login_actions[${index}] types into ${action.selector}; use a {{secret:NAME}} reference instead of a literal value.`);
+    }
+  });
+  return problems;
+}
+
+function isSessionFresh(session) {
+  return Boolean(session.saved_state && session.expires_at && session.expires_at > new Date());
+}
+
+// Cookies and localStorage log anyone in as the user, so they are stored encrypted like secrets,
+// bound to the session's owner and name
+function sealState(session, state) {
+  return encryptValue(JSON.stringify(state), session.user_id, session.name);
+}
+
+// The saved state, or null if it cannot be decrypted (e.g. after a key change) and a new login is needed
+function openState(session) {
+  try {
+    return JSON.parse(decryptValue(session.saved_state, session.user_id, session.name));
+  } catch (error) {
+    console.warn(`⚠️ Saved state for site session "${session.name}" could not be decrypted: ${error.message}`);
+    return null;
+  }
+}
+
+async function runLoginActions(page, actions, timeout) {
+  for (const action of actions) {
+    switch (action.type) {
+      case 'type':
+        await page.waitForSelector(action.selector, { timeout });
+        await page.$eval(action.selector, element => { element.value = ''; });
+        await page.type(action.selector, action.text, { delay: action.delay || 0 });
+        break;
+      case 'click':
+        await page.waitForSelector(action.selector, { timeout });
+        if (action.waitForNavigation) {
+          await Promise.all([
+            page.waitForNavigation({ waitUntil: 'networkidle2', timeout }),
+            page.click(action.selector),
+          ]);
+        } else {
+          await page.click(action.selector);
+        }
+        break;
+      case 'select':
+        await page.waitForSelector(action.selector, { timeout });
+        await page.select(action.selector, String(action.value));
+        break;
+      case 'press':
+        await page.keyboard.press(action.key || 'Enter');
+        break;
+      case 'waitForSelector':
+        await page.waitForSelector(action.selector, { timeout: action.timeout || timeout });
+        break;
+      case 'waitForNavigation':
+        await page.waitForNavigation({ waitUntil: 'networkidle2', timeout: action.timeout || timeout });
+        break;
+      case 'delay':
+        await sleep(Number(action.ms || action.duration || 1000));
+        break;
+      default:
+        throw new Error(`Unsupported login action: ${action.type}`);
+    }
+  }
+}
+
+// Restore localStorage before any page script runs, but only on the origin it came from
+async function restoreLocalStorage(page, localStorageState) {
+  if (!localStorageState || !localStorageState.origin) return;
+  await page.evaluateOnNewDocument((origin, items) => {
+    if (window.location.origin !== origin) return;
+    for (const [key, value] of Object.entries(items)) {
+      window.localStorage.setItem(key, value);
+    }
+  }, localStorageState.origin, localStorageState.items || {});
+}
+
+async function captureState(page) {
+  // Keep only the fields setCookie() accepts back
+  const cookies = (await page.browserContext().cookies()).map(cookie => ({
+    name: cookie.name,
+    value: cookie.value,
+    domain: cookie.domain,
+    path: cookie.path,
+    expires: cookie.expires,
+    httpOnly: cookie.httpOnly,
+    secure: cookie.secure,
+    sameSite: cookie.sameSite,
+  }));
+  const localStorageState = await page.evaluate(() => ({
+    origin: window.location.origin,
+    items: Object.fromEntries(Object.entries(window.localStorage)),
+  })).catch(() => null);
+  return { cookies, localStorageState };
+}
+
+async function isLoggedIn(page, session, timeout) {
+  if (!session.success_selector) return true;
+  return page.waitForSelector(session.success_selector, { timeout }).then(() => true, () => false);
+}
+
+async function login(page, session, { userId, timeout }) {
+  console.log(`🔑 Logging in to site session "${session.name}"...`);
+
+  const context = page.browserContext();
+  const staleCookies = await context.cookies();
+  if (staleCookies.length > 0) await context.deleteCookie(...staleCookies);
+
+  await page.goto(session.login_url, { waitUntil: 'networkidle2', timeout });
+  const actions = await resolveSecretRefs(session.login_actions, userId);
+  await runLoginActions(page, actions, timeout);
+
+  if (!(await isLoggedIn(page, session, timeout))) {
+    throw new Error(`Login for site session "${session.name}" failed: ${session.success_selector} not found.`);
+  }
+
+  const { cookies, localStorageState } = await captureState(page);
+  const now = new Date();
+  await prisma.siteSession.update({
+    where: { session_id: session.session_id },
+    data: {
+      saved_state: sealState(session, { cookies, localStorage: localStorageState }),
+      last_login_at: now,
+      expires_at: new Date(now.getTime() + session.ttl_minutes * 60 * 1000),
+    },
+  });
+  console.log(`✅ Site session "${session.name}" logged in; saved ${cookies.length} cookies.`);
+}
+
+/**
+ * Prepare a page with a user's named site session. Saved cookies and localStorage are
+ * reused while the session is fresh (and, if it has a success_selector, still logged in);
+ * otherwise the login actions are run again and the new state is saved.
+ * Call this before navigating to the page that needs the login.
+ * @param {import('puppeteer').Page} page
+ * @param {object} params
+ * @param {string} params.userId
+ * @param {string} params.name - SiteSession name.
+ * @param {number} [params.timeout] - Timeout for login navigation and waits (ms).
+ * @returns {Promise<{ restored: boolean }>} - restored is false when a fresh login happened.
+ */
+async function openSiteSession(page, { userId, name, timeout = 30000 }) {
+  const session = await prisma.siteSession.findUnique({
+    where: { user_id_name: { user_id: userId, name } },
+  });
+  if (!session) throw new Error(`Site session "${name}" not found for user ${userId}.`);
+
+  const savedState = isSessionFresh(session) ? openState(session) : null;
+  if (savedState) {
+    await page.browserContext().setCookie(...savedState.cookies);
+    await restoreLocalStorage(page, savedState.localStorage);
+
+    if (!session.success_selector) {
+      console.log(`🍪 Restored site session "${name}" (expires ${session.expires_at.toISOString()}).`);
+      return { restored: true };
+    }
+
+    await page.goto(session.login_url, { waitUntil: 'networkidle2', timeout });
+    if (await isLoggedIn(page, session, RESTORE_CHECK_TIMEOUT_MS)) {
+      console.log(`🍪 Restored site session "${name}" (expires ${session.expires_at.toISOString()}).`);
+      return { restored: true };
+    }
+    console.log(`⌛ Saved state for site session "${name}" is no longer logged in.`);
+  }
+
+  await login(page, session, { userId, timeout });
+  return { restored: false };
+}
+
+/**
+ * Drop the saved cookies/localStorage so the next job logs in again.
+ */
+function resetSiteSession(session) {
+  return prisma.siteSession.update({
+    where: { session_id: session.session_id },
+    data: { saved_state: null, expires_at: null },
+  });
+}
+
+module.exports = {
+  LOGIN_ACTION_TYPES,
+  validateLoginActions,
+  openSiteSession,
+  resetSiteSession,
+};
@@ -0,0 +1,39 @@
+// lib/template.js
+
+const PLACEHOLDER = /\{\{\s*([^{}]+?)\s*\}\}/g;
+const SINGLE_PLACEHOLDER = /^\{\{\s*([^{}]+?)\s*\}\}$/;
+
+/**
+ * Look up a dotted path ("record.address.city", "items.0") in a scope object.
+ */
+function getPath(scope, expression) {
+  return expression.split('.').reduce(
+    (value, key) => (value === null || value === undefined ? undefined : value[key]),
+    scope
+  );
+}
+
+/**
+ * Replace {{path}} placeholders in a string with values from `scope`.
+ * A string that is exactly one placeholder returns the raw value (so booleans, numbers
+ * and arrays keep their type); otherwise values are stringified and missing ones become ''.
+ * @param {*} template - Non-string values are returned unchanged.
+ * @param {object} scope - e.g. { record }.
+ */
+function renderTemplate(template, scope) {
+  if (typeof template !== 'string') return template;
+
+  const single = template.match(SINGLE_PLACEHOLDER);
+  if (single) return getPath(scope, single[1]);
+
+  return template.replace(PLACEHOLDER, (_, expression) => {
+    const value = getPath(scope, expression);
+    if (value === null || value === undefined) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  });
+}
+
+module.exports = {
+  getPath,
+  renderTemplate,
+};
@@ -0,0 +1,435 @@
+// lib/transformRules.js
+//
+// Declarative field mapping for records produced by any processor.
+//
+// Example spec (stored in DataProcessingJob.config.transform / job.data.transform):
+// {
+//   "source": "allQuotes",                 // puppeteer extraction(s) to read, optional
+//   "keepUnmapped": false,                 // copy fields that are not mapped
+//   "fields": [
+//     { "target": "name", "source": "Full Name", "transforms": ["trim", "titleCase"] },
+//     { "target": "price", "source": "Price", "transforms": [{ "type": "currency", "decimal": "," }] },
+//     { "target": "signed_on", "source": "Date", "transforms": [{ "type": "date", "formats": ["DD/MM/YYYY"] }] },
+//     { "target": "first_name", "source": "Full Name", "transforms": [{ "type": "split", "separator": " ", "index": 0 }] },
+//     { "target": "address", "concat": ["Street", "City"], "separator": ", " },
+//     { "target": "country", "source": "cc", "transforms": [{ "type": "lookup", "table": { "US": "United States" } }] },
+//     { "target": "status", "default": "new" },
+//     { "target": "label", "template": "{{first_name}} ({{country}})" },
+//     { "target": "total", "compute": { "op": "multiply", "args": ["price", "quantity"], "precision": 2 } },
+//     { "target": "tier", "if": { "field": "total", "op": "gte", "value": 100 }, "then": "gold", "else": { "field": "status" } }
+//   ]
+// }
+//
+// Fields are applied in order and later fields can read earlier targets, so computed
+// fields can use already-normalized values. Specs are data only: nothing in them is run as code.
+
+const { isPlainObject } = require('./records');
+const { renderTemplate } = require('./template');
+
+const DATE_TOKENS = {
+  YYYY: '(\\d{4})',
+  YY: '(\\d{2})',
+  MM: '(\\d{1,2})',
+  M: '(\\d{1,2})',
+  DD: '(\\d{1,2})',
+  D: '(\\d{1,2})',
+  HH: '(\\d{1,2})',
+  mm: '(\\d{2})',
+  ss: '(\\d{2})',
+};
+
+const DEFAULT_DATE_FORMATS = ['YYYY-MM-DD', 'YYYY/MM/DD'];
+
+// The only free-form input accepted: an ISO-8601 date-time, read as UTC unless it has an offset
+const ISO_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})?$/;
+
+function isEmpty(value) {
+  return value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+}
+
+function toText(value) {
+  return isEmpty(value) ? value : String(value);
+}
+
+function compileDateFormat(format) {
+  const tokens = [];
+  const pattern = format.replace(/YYYY|YY|MM|M|DD|D|HH|mm|ss|[.*+?^${}()|[\]\\]/g, (match) => {
+    if (DATE_TOKENS[match]) {
+      tokens.push(match);
+      return DATE_TOKENS[match];
+    }
+    return `\\${match}`;
+  });
+  return { regex: new RegExp(`^${pattern}$`), tokens };
+}
+
+// A UTC date from its parts, or null if any part overflowed (31/02, 25:00)
+function utcDate({ year, month, day, hour = 0, minute = 0, second = 0 }) {
+  const date = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  const exact = date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day
+    && date.getUTCHours() === hour && date.getUTCMinutes() === minute && date.getUTCSeconds() === second;
+  return exact ? date : null;
+}
+
+function parseIsoDateTime(text) {
+  const match = text.match(ISO_DATE_TIME);
+  if (!match) return null;
+  const [, year, month, day, hour, minute, second = '0', fraction = '', offset = 'Z'] = match;
+  const date = utcDate({ year: Number(year), month: Number(month), day: Number(day), hour: Number(hour), minute: Number(minute), second: Number(second) });
+  if (!date) return null;
+  const [offsetHours, offsetMinutes] = offset === 'Z' ? [0, 0] : offset.slice(1).split(':').map(Number);
+  if (offsetHours > 23 || offsetMinutes > 59) return null;
+  const sign = offset.startsWith('-') ? -1 : 1;
+  return new Date(date.getTime() + Math.round(Number(`0${fraction}`) * 1000) - sign * (offsetHours * 60 + offsetMinutes) * 60000);
+}
+
+/**
+ * Parse a date in one of `formats` (then YYYY-MM-DD, YYYY/MM/DD or an ISO-8601 date-time)
+ * as UTC. Anything else, and overflowed dates such as 2024-02-31, give null: ambiguous input
+ * like 03/04/2024 is never guessed at.
+ * @param {*} value
+ * @param {string[]} [formats]
+ * @returns {Date|null}
+ */
+function parseDate(value, formats = []) {
+  if (isEmpty(value)) return null;
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+
+  const text = String(value).trim();
+  for (const format of [...formats, ...DEFAULT_DATE_FORMATS]) {
+    const { regex, tokens } = compileDateFormat(format);
+    const match = text.match(regex);
+    if (!match) continue;
+
+    const parts = { year: 1970, month: 1, day: 1, hour: 0, minute: 0, second: 0 };
+    tokens.forEach((token, index) => {
+      const number = Number(match[index + 1]);
+      if (token === 'YYYY') parts.year = number;
+      else if (token === 'YY') parts.year = number + (number < 70 ? 2000 : 1900);
+      else if (token === 'MM' || token === 'M') parts.month = number;
+      else if (token === 'DD' || token === 'D') parts.day = number;
+      else if (token === 'HH') parts.hour = number;
+      else if (token === 'mm') parts.minute = number;
+      else if (token === 'ss') parts.second = number;
+    });
+
+    const date = utcDate(parts);
+    if (date) return date;
+  }
+
+  return parseIsoDateTime(text);
+}
+
+function parseCurrency(value, decimal = '.') {
+  if (isEmpty(value)) return null;
+  if (typeof value === 'number') return value;
+
+  let text = String(value).trim();
+  const negative = /^\(.*\)$/.test(text) || text.includes('-');
+  text = text.replace(/[^\d.,]/g, '');
+  if (decimal === ',') {
+    text = text.replace(/\./g, '').replace(',', '.');
+  } else {
+    text = text.replace(/,/g, '');
+  }
+
+  const number = parseFloat(text);
+  if (Number.isNaN(number)) return null;
+  return negative ? -number : number;
+}
+
+function toTitleCase(text) {
+  return text.toLowerCase().replace(/(^|[\s\-'])(\p{L})/gu, (match, prefix, letter) => prefix + letter.toUpperCase());
+}
+
+/**
+ * Built-in value transforms. Each receives the current value and the transform's options.
+ */
+const TRANSFORMS = {
+  trim: value => (typeof value === 'string' ? value.trim() : value),
+  collapseWhitespace: value => (typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : value),
+  lowercase: value => (isEmpty(value) ? value : toText(value).toLowerCase()),
+  uppercase: value => (isEmpty(value) ? value : toText(value).toUpperCase()),
+  titleCase: value => (isEmpty(value) ? value : toTitleCase(toText(value))),
+  number: (value) => {
+    if (isEmpty(value)) return null;
+    const number = typeof value === 'number' ? value : parseFloat(String(value).replace(/[^\d.-]/g, ''));
+    if (Number.isNaN(number)) throw new Error(`Cannot parse number from "${value}"`);
+    return number;
+  },
+  currency: (value, options) => {
+    const number = parseCurrency(value, options.decimal);
+    if (number === null && !isEmpty(value)) throw new Error(`Cannot parse currency from "${value}"`);
+    return number;
+  },
+  date: (value, options) => {
+    const date = parseDate(value, options.formats);
+    if (!date) {
+      if (isEmpty(value)) return null;
+      throw new Error(`Cannot parse date from "${value}"`);
+    }
+    if (options.output === 'datetime') return date.toISOString();
+    return date.toISOString().slice(0, 10);
+  },
+  split: (value, options) => {
+    if (isEmpty(value)) return value;
+    const parts = toText(value).split(options.separator ?? ',').map(part => part.trim());
+    return options.index === undefined ? parts : (parts.at(options.index) ?? null);
+  },
+  replace: (value, options) => {
+    if (isEmpty(value)) return value;
+    options.regex.lastIndex = 0; // A sticky pattern would otherwise start where the last value left off
+    return toText(value).replace(options.regex, options.replacement ?? '');
+  },
+  lookup: (value, options) => {
+    const key = options.caseInsensitive && typeof value === 'string' ? value.toLowerCase() : value;
+    const table = options.caseInsensitive
+      ? Object.fromEntries(Object.entries(options.table).map(([k, v]) => [k.toLowerCase(), v]))
+      : options.table;
+    if (Object.prototype.hasOwnProperty.call(table, key)) return table[key];
+    return options.default !== undefined ? options.default : value;
+  },
+  default: (value, options) => (isEmpty(value) ? options.value : value),
+};
+
+function toNumber(value, name) {
+  const number = typeof value === 'number' ? value : (isEmpty(value) ? NaN : Number(String(value).trim()));
+  if (Number.isNaN(number)) throw new Error(`${name} is not a number (got ${JSON.stringify(value)})`);
+  return number;
+}
+
+/**
+ * Arithmetic for `compute` fields, applied left to right over the resolved arguments.
+ */
+const OPERATIONS = {
+  add: args => args.reduce((sum, arg) => sum + arg),
+  subtract: args => args.reduce((difference, arg) => difference - arg),
+  multiply: args => args.reduce((product, arg) => product * arg),
+  divide: args => args.reduce((quotient, arg) => {
+    if (arg === 0) throw new Error('Division by zero');
+    return quotient / arg;
+  }),
+  min: args => Math.min(...args),
+  max: args => Math.max(...args),
+  abs: args => Math.abs(args[0]),
+  round: args => args[0],
+};
+
+function bothNumeric(left, right) {
+  const numeric = value => typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value)));
+  return numeric(left) && numeric(right);
+}
+
+// An ordering test (order => boolean) applied to two values; false when either is empty
+function ordered(test) {
+  return (left, right) => {
+    if (isEmpty(left) || isEmpty(right)) return false;
+    return test(bothNumeric(left, right) ? Number(left) - Number(right) : String(left).localeCompare(String(right)));
+  };
+}
+
+/**
+ * Comparisons for `if` conditions here and for validation rules. Numbers and numeric
+ * strings compare as numbers; ordering against an empty value is always false.
+ */
+const COMPARISONS = {
+  eq: (left, right) => (bothNumeric(left, right) ? Number(left) === Number(right) : left === right),
+  ne: (left, right) => !COMPARISONS.eq(left, right),
+  gt: ordered(order => order > 0),
+  gte: ordered(order => order >= 0),
+  lt: ordered(order => order < 0),
+  lte: ordered(order => order <= 0),
+  in: (left, right) => Array.isArray(right) && right.some(item => COMPARISONS.eq(left, item)),
+  notIn: (left, right) => !COMPARISONS.in(left, right),
+  contains: (left, right) => (Array.isArray(left) ? left.includes(right) : !isEmpty(left) && String(left).includes(String(right))),
+  empty: left => isEmpty(left),
+  notEmpty: left => !isEmpty(left),
+};
+
+const UNARY_COMPARISONS = ['empty', 'notEmpty'];
+
+/**
+ * Check a condition `{ field, op, value }` or `{ field, op, otherField }` and return a
+ * function of the record that tells whether it holds.
+ * @param {object} condition
+ * @param {string} where - Spec path for error messages, e.g. 'transform.fields[2].if'.
+ * @returns {function(object): boolean}
+ */
+function compileCondition(condition, where) {
+  if (!isPlainObject(condition) || typeof condition.field !== 'string') {
+    throw new Error(`${where} must be an object with a "field".`);
+  }
+  const compare = COMPARISONS[condition.op];
+  if (!compare) throw new Error(`Unknown op "${condition.op}" in ${where}. Expected one of: ${Object.keys(COMPARISONS).join(', ')}.`);
+  if (!UNARY_COMPARISONS.includes(condition.op) && condition.value === undefined && typeof condition.otherField !== 'string') {
+    throw new Error(`${where} needs a "value" or an "otherField" to compare with.`);
+  }
+  if (['in', 'notIn'].includes(condition.op) && condition.otherField === undefined && !Array.isArray(condition.value)) {
+    throw new Error(`${where}.value must be an array for "${condition.op}".`);
+  }
+
+  return record => compare(
+    record[condition.field],
+    condition.otherField !== undefined ? record[condition.otherField] : condition.value
+  );
+}
+
+// A field value given as a literal or as { "field": "<name>" }, a reference to another field
+function resolveOperand(operand, scope) {
+  return isPlainObject(operand) && typeof operand.field === 'string' ? scope[operand.field] : operand;
+}
+
+function compileCompute(compute, index) {
+  const where = `transform.fields[${index}].compute`;
+  if (!isPlainObject(compute) || !OPERATIONS[compute.op]) {
+    throw new Error(`${where} needs an "op", one of: ${Object.keys(OPERATIONS).join(', ')}.`);
+  }
+  const args = compute.args;
+  if (!Array.isArray(args) || args.length === 0 || !args.every(arg => typeof arg === 'string' || (isPlainObject(arg) && 'value' in arg))) {
+    throw new Error(`${where}.args must be a non-empty array of field names or { "value": <literal> }.`);
+  }
+  if (compute.precision !== undefined && !Number.isInteger(compute.precision)) {
+    throw new Error(`${where}.precision must be an integer.`);
+  }
+
+  return (scope) => {
+    const values = args.map(arg => (typeof arg === 'string'
+      ? toNumber(scope[arg], arg)
+      : toNumber(arg.value, JSON.stringify(arg.value))));
+    const result = OPERATIONS[compute.op](values);
+    const precision = compute.precision ?? (compute.op === 'round' ? 0 : undefined);
+    if (precision === undefined) return result;
+    const factor = 10 ** precision;
+    return Math.round(result * factor) / factor;
+  };
+}
+
+function compileField(field, index) {
+  if (!isPlainObject(field) || typeof field.target !== 'string' || !field.target) {
+    throw new Error(`transform.fields[${index}] must be an object with a "target" name.`);
+  }
+  if (field.concat !== undefined && !Array.isArray(field.concat)) {
+    throw new Error(`transform.fields[${index}].concat must be an array of field names.`);
+  }
+
+  const transforms = (field.transforms || []).map((transform, transformIndex) => {
+    const options = typeof transform === 'string' ? { type: transform } : transform;
+    if (!isPlainObject(options) || !TRANSFORMS[options.type]) {
+      throw new Error(`Unknown transform at fields[${index}].transforms[${transformIndex}]: ${JSON.stringify(transform)}`);
+    }
+    if (options.type === 'lookup' && !isPlainObject(options.table)) {
+      throw new Error(`Lookup transform at fields[${index}] requires a "table" object.`);
+    }
+    if (options.type === 'replace') {
+      if (typeof options.pattern !== 'string') throw new Error(`Replace transform at fields[${index}] requires a "pattern" string.`);
+      try {
+        return { fn: TRANSFORMS.replace, options: { ...options, regex: new RegExp(options.pattern, options.flags ?? 'g') } };
+      } catch (error) {
+        throw new Error(`Invalid pattern in replace transform at fields[${index}]: ${error.message}`);
+      }
+    }
+    return { fn: TRANSFORMS[options.type], options };
+  });
+
+  if (field.expression !== undefined) {
+    throw new Error(`transform.fields[${index}].expression is not supported: use "compute", "template" or "if" instead.`);
+  }
+  if (field.template !== undefined && typeof field.template !== 'string') {
+    throw new Error(`transform.fields[${index}].template must be a string.`);
+  }
+
+  return {
+    ...field,
+    transforms,
+    compute: field.compute !== undefined ? compileCompute(field.compute, index) : null,
+    condition: field.if !== undefined ? compileCondition(field.if, `transform.fields[${index}].if`) : null,
+  };
+}
+
+/**
+ * Validate a transformation spec and precompile its transforms, computations and conditions.
+ * Throws a descriptive Error if the spec is malformed.
+ * @param {object} spec
+ * @returns {object} - Compiled spec accepted by transformRecords.
+ */
+function compileTransformSpec(spec) {
+  if (!isPlainObject(spec)) throw new Error('transform must be an object.');
+  if (!Array.isArray(spec.fields)) throw new Error('transform.fields must be an array.');
+
+  return {
+    compiled: true,
+    keepUnmapped: spec.keepUnmapped === true,
+    fields: spec.fields.map(compileField),
+  };
+}
+
+function transformRecord(input, compiledSpec, recordIndex, errors) {
+  const record = compiledSpec.keepUnmapped ? { ...input } : {};
+  const scope = { ...input };
+
+  for (const field of compiledSpec.fields) {
+    let value;
+    try {
+      if (field.concat) {
+        value = field.concat
+          .map(name => scope[name])
+          .filter(part => !isEmpty(part))
+          .join(field.separator ?? ' ');
+      } else if (field.template !== undefined) {
+        value = renderTemplate(field.template, scope);
+      } else if (field.compute) {
+        value = field.compute(scope);
+      } else if (field.condition) {
+        value = resolveOperand(field.condition(scope) ? field.then : field.else, scope);
+      } else if (field.source !== undefined) {
+        value = scope[field.source];
+      } else {
+        value = scope[field.target];
+      }
+
+      for (const { fn, options } of field.transforms) {
+        value = fn(value, options);
+      }
+
+      if (isEmpty(value) && field.default !== undefined) {
+        value = field.default;
+      }
+    } catch (error) {
+      errors.push({ index: recordIndex, field: field.target, message: error.message });
+      value = field.default !== undefined ? field.default : null;
+    }
+
+    record[field.target] = value === undefined ? null : value;
+    scope[field.target] = record[field.target];
+  }
+
+  return record;
+}
+
+/**
+ * Apply a transformation spec to a list of records.
+ * Field-level failures do not stop the batch: the field is set to its default (or null)
+ * and the failure is reported in `errors`.
+ * @param {Array<object>} records
+ * @param {object} spec - Raw or compiled transformation spec.
+ * @returns {{ records: Array<object>, errors: Array<{index: number, field: string, message: string}> }}
+ */
+function transformRecords(records, spec) {
+  if (!Array.isArray(records)) throw new Error('transformRecords expects an array of records.');
+  const compiledSpec = spec && spec.compiled ? spec : compileTransformSpec(spec);
+
+  const errors = [];
+  const transformed = records.map((record, index) => transformRecord(isPlainObject(record) ? record : { value: record }, compiledSpec, index, errors));
+  return { records: transformed, errors };
+}
+
+module.exports = {
+  TRANSFORMS,
+  OPERATIONS,
+  COMPARISONS,
+  compileCondition,
+  compileTransformSpec,
+  transformRecords,
+  parseDate,
+  parseCurrency,
+};
@@ -0,0 +1,65 @@
+// lib/urlPattern.js
+
+function escapeRegex(text) {
+  return text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compile a URL pattern. "/regex/flags" strings are regular expressions; anything else
+ * is a glob matched against the whole URL, where `*` matches any run of characters.
+ * @param {string|RegExp} pattern
+ * @returns {RegExp}
+ */
+function compileUrlPattern(pattern) {
+  if (pattern instanceof RegExp) return pattern;
+
+  const regexMatch = String(pattern).match(/^\/(.+)\/([a-z]*)$/);
+  if (regexMatch) return new RegExp(regexMatch[1], regexMatch[2]);
+
+  return new RegExp(`^${String(pattern).split('*').map(escapeRegex).join('.*')}$`, 'i');
+}
+
+/**
+ * Build a predicate deciding whether a URL may be visited.
+ * @param {object} options
+ * @param {Array<string>} [options.allow] - If given, the URL must match one of these.
+ * @param {Array<string>} [options.deny] - The URL must match none of these.
+ * @param {string} [options.sameOriginAs] - If given, only URLs on this URL's origin pass.
+ * @returns {function(string): boolean}
+ */
+function createUrlFilter({ allow = [], deny = [], sameOriginAs } = {}) {
+  const allowPatterns = [].concat(allow).map(compileUrlPattern);
+  const denyPatterns = [].concat(deny).map(compileUrlPattern);
+  const origin = sameOriginAs ? new URL(sameOriginAs).origin : null;
+
+  return (url) => {
+    if (origin && new URL(url).origin !== origin) return false;
+    if (allowPatterns.length > 0 && !allowPatterns.some(pattern => pattern.test(url))) return false;
+    return !denyPatterns.some(pattern => pattern.test(url));
+  };
+}
+
+/**
+ * Resolve a link against the page it was found on and normalize it for dedupe
+ * (fragment removed). Returns null for non-http(s) or unparseable links.
+ * @param {string} href
+ * @param {string} baseUrl
+ * @returns {string|null}
+ */
+function normalizeUrl(href, baseUrl) {
+  if (typeof href !== 'string' || href.trim() === '') return null;
+  try {
+    const url = new URL(href.trim(), baseUrl);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+    url.hash = '';
+    return url.href;
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  compileUrlPattern,
+  createUrlFilter,
+  normalizeUrl,
+};
@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "DataProcessingJob" ADD COLUMN     "cron_expression" TEXT,
+ADD COLUMN     "parent_job_id" TEXT,
+ADD COLUMN     "timezone" TEXT;
+
+-- CreateIndex
+CREATE INDEX "DataProcessingJob_parent_job_id_idx" ON "DataProcessingJob"("parent_job_id");
+
+-- AddForeignKey
+ALTER TABLE "DataProcessingJob" ADD CONSTRAINT "DataProcessingJob_parent_job_id_fkey" FOREIGN KEY ("parent_job_id") REFERENCES "DataProcessingJob"("job_id") ON DELETE SET NULL ON UPDATE CASCADE;
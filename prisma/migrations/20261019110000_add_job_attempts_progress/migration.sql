@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "DataProcessingJob" ADD COLUMN     "attempts" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "progress" JSONB;
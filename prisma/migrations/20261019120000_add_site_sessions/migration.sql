@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "SiteSession" (
+    "session_id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "login_url" TEXT NOT NULL,
+    "login_actions" JSONB NOT NULL,
+    "success_selector" TEXT,
+    "ttl_minutes" INTEGER NOT NULL DEFAULT 720,
+    "saved_state" TEXT,
+    "last_login_at" TIMESTAMP(3),
+    "expires_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "SiteSession_pkey" PRIMARY KEY ("session_id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SiteSession_user_id_name_key" ON "SiteSession"("user_id", "name");
+
+-- AddForeignKey
+ALTER TABLE "SiteSession" ADD CONSTRAINT "SiteSession_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "User"("user_id") ON DELETE CASCADE ON UPDATE CASCADE;
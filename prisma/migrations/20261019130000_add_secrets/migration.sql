@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "Secret" (
+    "secret_id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "encrypted_value" TEXT NOT NULL,
+    "last_used_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Secret_pkey" PRIMARY KEY ("secret_id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Secret_user_id_name_key" ON "Secret"("user_id", "name");
+
+-- AddForeignKey
+ALTER TABLE "Secret" ADD CONSTRAINT "Secret_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "User"("user_id") ON DELETE CASCADE ON UPDATE CASCADE;
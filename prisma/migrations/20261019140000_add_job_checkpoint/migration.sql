@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "DataProcessingJob" ADD COLUMN     "checkpoint" JSONB;
@@ -0,0 +1,35 @@
+-- AlterTable
+ALTER TABLE "ErrorLog" ADD COLUMN     "diagnosis_id" TEXT;
+
+-- CreateTable
+CREATE TABLE "AiDiagnosis" (
+    "diagnosis_id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "fingerprint" TEXT NOT NULL,
+    "suggestion" TEXT NOT NULL,
+    "backend" TEXT NOT NULL,
+    "model" TEXT NOT NULL,
+    "prompt_tokens" INTEGER,
+    "completion_tokens" INTEGER,
+    "total_tokens" INTEGER,
+    "hit_count" INTEGER NOT NULL DEFAULT 1,
+    "last_seen_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AiDiagnosis_pkey" PRIMARY KEY ("diagnosis_id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AiDiagnosis_fingerprint_key" ON "AiDiagnosis"("fingerprint");
+
+-- CreateIndex
+CREATE INDEX "AiDiagnosis_user_id_idx" ON "AiDiagnosis"("user_id");
+
+-- CreateIndex
+CREATE INDEX "ErrorLog_diagnosis_id_idx" ON "ErrorLog"("diagnosis_id");
+
+-- AddForeignKey
+ALTER TABLE "ErrorLog" ADD CONSTRAINT "ErrorLog_diagnosis_id_fkey" FOREIGN KEY ("diagnosis_id") REFERENCES "AiDiagnosis"("diagnosis_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AiDiagnosis" ADD CONSTRAINT "AiDiagnosis_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "User"("user_id") ON DELETE CASCADE ON UPDATE CASCADE;
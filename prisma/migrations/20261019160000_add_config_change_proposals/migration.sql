@@ -0,0 +1,28 @@
+-- CreateTable
+CREATE TABLE "ConfigChangeProposal" (
+    "proposal_id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "job_id" TEXT NOT NULL,
+    "source_job_id" TEXT,
+    "kind" TEXT NOT NULL DEFAULT 'selector_heal',
+    "changes" JSONB NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "backend" TEXT,
+    "model" TEXT,
+    "decided_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ConfigChangeProposal_pkey" PRIMARY KEY ("proposal_id")
+);
+
+-- CreateIndex
+CREATE INDEX "ConfigChangeProposal_user_id_idx" ON "ConfigChangeProposal"("user_id");
+
+-- CreateIndex
+CREATE INDEX "ConfigChangeProposal_job_id_status_idx" ON "ConfigChangeProposal"("job_id", "status");
+
+-- AddForeignKey
+ALTER TABLE "ConfigChangeProposal" ADD CONSTRAINT "ConfigChangeProposal_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "User"("user_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ConfigChangeProposal" ADD CONSTRAINT "ConfigChangeProposal_job_id_fkey" FOREIGN KEY ("job_id") REFERENCES "DataProcessingJob"("job_id") ON DELETE CASCADE ON UPDATE CASCADE;
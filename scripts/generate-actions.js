@@ -0,0 +1,71 @@
+// scripts/generate-actions.js
+// Propose a scrapeWebPage config for a plain-English goal and preview what it extracts.
+//
+//   npm run generate-actions -- <url> "<goal>" [--pages N] [--no-dry-run] [--out config.json]
+//   npm run generate-actions -- <url> "<goal>" --refine config.json --feedback "also get the rating"
+//
+// The AI backend comes from AI_BACKEND / AI_MODEL / OPENAI_API_KEY (see ai-advisor.js).
+require('dotenv').config();
+const fs = require('fs').promises;
+const { generateActions } = require('../jobs/actionGenerator');
+const { closeBrowserPool } = require('../lib/browserPool');
+const { closeRateLimiter } = require('../lib/rateLimiter');
+const { installConsoleRedaction } = require('../lib/redact');
+
+installConsoleRedaction();
+
+function parseArgs(argv) {
+  const args = { positional: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--pages') args.previewPages = Number(argv[++i]);
+    else if (arg === '--no-dry-run') args.dryRun = false;
+    else if (arg === '--out') args.out = argv[++i];
+    else if (arg === '--refine') args.refine = argv[++i];
+    else if (arg === '--feedback') args.feedback = argv[++i];
+    else args.positional.push(arg);
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const [url, goal] = args.positional;
+  if (!url || !goal) {
+    console.error('Usage: npm run generate-actions -- <url> "<goal>" [--pages N] [--no-dry-run] [--out file] [--refine file --feedback "..."]');
+    process.exitCode = 1;
+    return;
+  }
+
+  const previous = args.refine ? JSON.parse(await fs.readFile(args.refine, 'utf8')) : null;
+  const generated = await generateActions({
+    url,
+    goal,
+    previous,
+    feedback: args.feedback,
+    dryRun: args.dryRun !== false,
+    previewPages: args.previewPages || undefined,
+  });
+
+  if (generated.notes) console.log(`\n📝 ${generated.notes}`);
+  if (generated.preview) console.log('\n🔍 Preview:\n', JSON.stringify(generated.preview, null, 2));
+  console.log('\n📋 Config:\n', JSON.stringify(generated.config, null, 2));
+  console.log(`\n🧠 ${generated.backend}/${generated.model}, ${generated.usage.total_tokens} tokens`);
+
+  if (args.out) {
+    await fs.writeFile(args.out, `${JSON.stringify(generated.config, null, 2)}\n`);
+    console.log(`💾 Config written to ${args.out}; refine it with --refine ${args.out} --feedback "..."`);
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error('❌ Action generation failed:', error.message);
+    if (error.details && error.details.length > 0) console.error(error.details.map(detail => `  - ${detail}`).join('\n'));
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await closeBrowserPool();
+    await closeRateLimiter();
+    process.exit(); // The job queue's Redis connection (opened by the processor registry) would keep us alive
+  });
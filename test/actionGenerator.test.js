@@ -0,0 +1,117 @@
+// test/actionGenerator.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+// The dry run needs a browser, the queue and domain limiter need Redis and the processors load
+// Prisma; none of that is what's under test, so those modules are swapped for in-memory fakes
+// before anything loads them
+function fakeModule(relativePath, exports) {
+  const file = require.resolve(path.join(__dirname, '..', relativePath));
+  require.cache[file] = { id: file, filename: file, loaded: true, exports };
+}
+
+const LISTING_HTML = '<body><ul><li class="product"><h2>Lamp</h2><span class="price">$12</span></li></ul><a rel="next" href="?p=2">Next</a></body>';
+
+function fakePage() {
+  let currentUrl = 'about:blank';
+  return {
+    on() {},
+    setRequestInterception: async () => {},
+    setViewport: async () => {},
+    setUserAgent: async () => {},
+    setDefaultTimeout() {},
+    setDefaultNavigationTimeout() {},
+    goto: async (url) => { currentUrl = url; return { status: () => 200 }; },
+    url: () => currentUrl,
+    title: async () => 'Shop',
+    waitForSelector: async () => {},
+    evaluate: async () => LISTING_HTML,
+    $$eval: async selector => (selector === 'li.product' ? [{ name: 'Lamp', price: 12 }, { name: 'Desk', price: 80 }] : []),
+    $: async () => null,
+    screenshot: async () => {},
+    close: async () => {},
+  };
+}
+
+fakeModule('lib/browserPool.js', {
+  acquireBrowserContext: async () => ({ context: { newPage: async () => fakePage(), pages: async () => [] }, release: async () => {} }),
+  closeBrowserPool: async () => {},
+});
+fakeModule('lib/rateLimiter.js', { DEFAULT_MIN_DELAY_MS: 0, waitForDomainSlot: async () => 0, closeRateLimiter: async () => {} });
+fakeModule('jobs/queue.js', { queueName: name => name, getQueue: () => ({}) });
+fakeModule('lib/prisma.js', { prisma: {} });
+
+const { createAdvisor } = require('../ai-advisor');
+const { ActionGenerationError, parseGeneratedConfig, generateActions } = require('../jobs/actionGenerator');
+
+const URL = 'https://shop.test/';
+const VALID_REPLY = `\`\`\`json
+${JSON.stringify({
+    actions: [
+      { type: 'extractRecords', name: 'products', selector: 'li.product', fields: { name: 'h2', price: { selector: '.price', parse: 'number' } } },
+      { type: 'extract', name: 'reviews', selector: '.review' },
+    ],
+    pagination: { mode: 'urlPattern', urlTemplate: 'https://shop.test/?p={{n}}', maxPages: 50 },
+    notes: 'Products on every listing page',
+  })}
+\`\`\``;
+
+// A mock advisor that answers with `replies` in turn and records the prompts it was sent
+function scriptedAdvisor(replies) {
+  const prompts = [];
+  const advisor = createAdvisor({ backend: 'mock', respond: (prompt) => { prompts.push(prompt); return replies.shift(); } });
+  return { advisor, prompts };
+}
+
+test('parseGeneratedConfig reads the config out of a fenced reply', () => {
+  const { config, notes, problems } = parseGeneratedConfig(VALID_REPLY, URL);
+  assert.equal(problems, undefined);
+  assert.equal(config.url, URL);
+  assert.equal(config.actions.length, 2);
+  assert.equal(config.pagination.mode, 'urlPattern');
+  assert.equal(notes, 'Products on every listing page');
+});
+
+test('parseGeneratedConfig lists the problems of an unusable reply', () => {
+  assert.deepEqual(parseGeneratedConfig('No idea, sorry.', URL).problems, ['The reply did not contain a JSON object.']);
+  assert.deepEqual(parseGeneratedConfig('{"actions": []}', URL).problems, ['"actions" must be a non-empty array.']);
+
+  const { problems } = parseGeneratedConfig('{"actions":[{"type":"forEach","selector":"li","actions":[{"type":"evaluate","script":"1"}]}]}', URL);
+  assert.ok(problems.includes('Unsupported action type: evaluate'), problems.join('; '));
+});
+
+test('generateActions re-prompts with the problems of an invalid first reply', async () => {
+  const { advisor, prompts } = scriptedAdvisor(['{"actions":[{"type":"evaluate","script":"document.title"}]}', VALID_REPLY]);
+
+  const generated = await generateActions({ url: URL, goal: 'every product name and price', advisor, dryRun: false });
+
+  assert.equal(prompts.length, 2);
+  assert.doesNotMatch(prompts[0], /Unsupported action type/);
+  assert.match(prompts[1], /Unsupported action type: evaluate/);
+  assert.equal(generated.config.actions[0].name, 'products');
+  assert.equal(generated.preview, null);
+  assert.equal(generated.backend, 'mock');
+});
+
+test('generateActions gives up when no reply validates', async () => {
+  const { advisor } = scriptedAdvisor(['{"actions":[{"type":"screenshot"}]}', '{"actions":[{"type":"screenshot"}]}']);
+
+  await assert.rejects(
+    generateActions({ url: URL, goal: 'a screenshot', advisor, dryRun: false }),
+    (error) => error instanceof ActionGenerationError && error.details.includes('Unsupported action type: screenshot')
+  );
+});
+
+test('generateActions dry-runs the proposal on the preview pages and summarizes it', async () => {
+  const { advisor } = scriptedAdvisor([VALID_REPLY]);
+
+  const { config, preview } = await generateActions({ url: URL, goal: 'every product, all pages', advisor, previewPages: 2 });
+
+  assert.equal(config.pagination.maxPages, 50, 'the preview cap is not written back into the config');
+  assert.equal(preview.pagesVisited, 2);
+  assert.equal(preview.pagesLimit, 2);
+  assert.equal(preview.extracted.products.count, 4);
+  assert.deepEqual(preview.extracted.products.sample[0], { name: 'Lamp', price: 12 });
+  assert.deepEqual(preview.empty, ['reviews']);
+});